@@ -10,7 +10,8 @@ const DEBUG = false;
 
 // ============================================
 // BUILT-IN SPONSORED/ADS DETECTION
-// These are ALWAYS blocked regardless of user keywords
+// Blocked regardless of user keywords. Each pattern can be switched off and
+// extra labels added from the options page (see builtInRules in storage)
 // ============================================
 const BUILT_IN_ADS_PATTERNS = [
   // Vietnamese
@@ -29,10 +30,14 @@ const BUILT_IN_ADS_PATTERNS = [
 
 // Normalize text: remove diacritics for fuzzy matching
 function normalizeText(text) {
+  return stripDiacritics(text).toLowerCase();
+}
+
+// Remove diacritics but keep letter case ("Chính Trị" -> "Chinh Tri")
+function stripDiacritics(text) {
   return text
     .normalize('NFD')
     .replace(/[\u0300-\u036f]/g, '')
-    .toLowerCase()
     .replace(/đ/g, 'd')
     .replace(/Đ/g, 'D');
 }
@@ -47,116 +52,849 @@ function debugLog(...args) {
 // Inline modules (no bundler for content script)
 // ============================================
 
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Canonical form - Undo common keyword obfuscation
+ * Folds look-alike letters (Cyrillic, Greek, "¥", "$") and leetspeak digits to Latin,
+ * drops case and diacritics and squeezes repeated letters: "CR¥PPT0" -> "crypto".
+ * Separators put between letters ("c.r.y.p.t.o", "k i ế m") are handled by
+ * canonicalPattern(), which allows up to 3 non-letters between any two letters
+ * of keywords with at least CANONICAL_MIN_SPACED letters.
+ */
+const HOMOGLYPHS = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'г': 'r', 'е': 'e', 'і': 'i', 'ј': 'j', 'к': 'k', 'м': 'm', 'н': 'h',
+  'о': 'o', 'п': 'n', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'ԁ': 'd',
+  'ԛ': 'q', 'ԝ': 'w', 'ь': 'b',
+  // Greek
+  'α': 'a', 'β': 'b', 'γ': 'y', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+  // Symbols and leetspeak digits
+  '¥': 'y', '$': 's', '€': 'e', '£': 'l', '¢': 'c', '@': 'a',
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g'
+};
+const CANONICAL_SEPARATOR = '[^\\p{L}\\p{N}]';
+const CANONICAL_MIN_SPACED = 4;
+
+function canonicalize(text) {
+  return stripDiacritics(text.normalize('NFKC').toLowerCase())
+    .replace(/[^a-z\s]/g, ch => HOMOGLYPHS[ch] || ch)
+    .replace(/([\p{L}\p{N}])\1+/gu, '$1');
+}
+
+// Canonical letters only, so "c.r.y.p.t.o" and "crypto" share a key
+function canonicalKey(text) {
+  return canonicalize(text).replace(/[^\p{L}\p{N}]+/gu, '').replace(/(.)\1+/gu, '$1');
+}
+
+// Regex source matching the canonical text of a keyword, with separators allowed between
+// letters ("kiếm tiền" also matches "k.i.ế.m t-i-ề-n"). Repeats need no pattern, the canonical
+// text is already squeezed; every letter is a single step, so matching stays linear.
+// Short keywords keep their words, separators would let "ban" match "b a n h mi"
+function canonicalPattern(text) {
+  const words = canonicalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (canonicalKey(text).length < CANONICAL_MIN_SPACED) {
+    return words.map(escapeRegex).join(`${CANONICAL_SEPARATOR}{1,3}`);
+  }
+
+  // A letter ending one word and starting the next ("book keeper") is squeezed to one in "bookkeeper"
+  let source = '';
+  let previous = '';
+  for (const ch of words.join('')) {
+    const letter = escapeRegex(ch);
+    if (!previous) source += letter;
+    else if (ch === previous) source += `(?:${CANONICAL_SEPARATOR}{0,3}${letter})?`;
+    else source += `${CANONICAL_SEPARATOR}{0,3}${letter}`;
+    previous = ch;
+  }
+  return source;
+}
+
+/**
+ * Surfaces - Restrict rules to parts of Facebook
+ * A scope is either a surface name or a URL path pattern ("/groups/123", "/groups/*")
+ * where "*" matches one path segment. An empty scope list means everywhere.
+ */
+const SURFACES = ['feed', 'groups', 'watch', 'marketplace', 'search'];
+
+function getSurface(path) {
+  if (path === '/' || path === '/home.php') return 'feed';
+  const first = path.split('/')[1];
+  return SURFACES.includes(first) ? first : null;
+}
+
+function matchesScope(scopes, path) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return true;
+
+  const surface = getSurface(path);
+  return scopes.some(scope => {
+    if (!scope.startsWith('/')) return scope === surface;
+    const pattern = scope.replace(/\/+$/, '').split('*').map(escapeRegex).join('[^/]*');
+    return new RegExp(`^${pattern}(?:/|$)`, 'i').test(path);
+  });
+}
+
+/**
+ * RuleExpression - Boolean keyword rules
+ * Syntax: "quoted phrase" or word, AND, OR, NOT, NEAR/n, parentheses.
+ * Operators are uppercase. Precedence: NOT > NEAR > AND > OR.
+ * "a NOT b" means "a AND NOT b"; NEAR/n = both terms within n words (NEAR alone = 10).
+ * e.g. "giveaway" AND ("share" OR "tag") NOT "official"
+ */
+const RuleExpression = {
+  MAX_LENGTH: 1000,
+  MAX_TERMS: 50,
+  MAX_NEAR: 50,
+  DEFAULT_NEAR: 10,
+
+  tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const ch = text[i];
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch });
+        i++;
+      } else if (ch === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) throw new Error('Missing closing quote');
+        const value = text.slice(i + 1, end).trim();
+        if (!value) throw new Error('Empty term ""');
+        tokens.push({ type: 'TERM', value });
+        i = end + 1;
+      } else {
+        const word = /^[^\s()"]+/.exec(text.slice(i))[0];
+        const near = /^NEAR(?:\/(\d+))?$/.exec(word);
+        if (near) {
+          tokens.push({ type: 'NEAR', distance: near[1] ? Number(near[1]) : this.DEFAULT_NEAR });
+        } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+          tokens.push({ type: word });
+        } else {
+          tokens.push({ type: 'TERM', value: word });
+        }
+        i += word.length;
+      }
+    }
+
+    return tokens;
+  },
+
+  /**
+   * Parse an expression into a tree of { op: 'TERM' | 'AND' | 'OR' | 'NOT' | 'NEAR', ... }
+   * @param {string} text
+   * @returns {Object} Expression tree
+   * @throws {Error} With a user-facing message when the expression is invalid
+   */
+  parse(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Expression required');
+    }
+    if (text.length > this.MAX_LENGTH) {
+      throw new Error(`Expression too long (max ${this.MAX_LENGTH} characters)`);
+    }
+
+    const tokens = this.tokenize(text);
+    let pos = 0;
+    const peek = () => tokens[pos] && tokens[pos].type;
+    const describe = token => (token.type === 'TERM' ? `"${token.value}"` : token.type);
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (peek() === 'OR') {
+        pos++;
+        node = { op: 'OR', left: node, right: parseAnd() };
+      }
+      return node;
+    };
+
+    const parseAnd = () => {
+      let node = parseUnary();
+      while (peek() === 'AND' || peek() === 'NOT') {
+        const op = tokens[pos++].type;
+        const operand = parseUnary();
+        node = { op: 'AND', left: node, right: op === 'NOT' ? { op: 'NOT', operand } : operand };
+      }
+      return node;
+    };
+
+    const parseUnary = () => {
+      if (peek() === 'NOT') {
+        pos++;
+        return { op: 'NOT', operand: parseUnary() };
+      }
+      return parseNear();
+    };
+
+    const parseNear = () => {
+      let node = parsePrimary();
+      while (peek() === 'NEAR') {
+        const { distance } = tokens[pos++];
+        if (distance < 1 || distance > this.MAX_NEAR) {
+          throw new Error(`NEAR distance must be between 1 and ${this.MAX_NEAR}`);
+        }
+        const right = parsePrimary();
+        if (!this.isPositional(node) || !this.isPositional(right)) {
+          throw new Error('NEAR needs a term (or terms joined by OR) on both sides');
+        }
+        node = { op: 'NEAR', distance, left: node, right };
+      }
+      return node;
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[pos++];
+      if (!token) throw new Error('Unexpected end of expression');
+      if (token.type === 'TERM') return { op: 'TERM', value: token.value };
+      if (token.type === '(') {
+        const node = parseOr();
+        if (peek() !== ')') throw new Error('Missing closing parenthesis');
+        pos++;
+        return node;
+      }
+      throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    const tree = parseOr();
+    if (pos < tokens.length) {
+      const token = tokens[pos];
+      throw new Error(token.type === 'TERM'
+        ? `Missing operator before ${describe(token)}`
+        : `Unexpected ${describe(token)}`);
+    }
+    if (this.terms(tree).length > this.MAX_TERMS) {
+      throw new Error(`Too many terms (max ${this.MAX_TERMS})`);
+    }
+    if (!this.requiresTerm(tree)) {
+      throw new Error('Expression must require at least one term (NOT alone matches almost everything)');
+    }
+
+    return tree;
+  },
+
+  /**
+   * Validate expression syntax
+   * @param {string} text
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validate(text) {
+    try {
+      this.parse(text);
+      return { valid: true, error: null };
+    } catch (e) {
+      return { valid: false, error: e.message };
+    }
+  },
+
+  isPositional(node) {
+    return node.op === 'TERM' || (node.op === 'OR' && this.isPositional(node.left) && this.isPositional(node.right));
+  },
+
+  // Can the expression only match when some term is present?
+  requiresTerm(node) {
+    switch (node.op) {
+      case 'TERM':
+      case 'NEAR':
+        return true;
+      case 'NOT':
+        return false;
+      case 'AND':
+        return this.requiresTerm(node.left) || this.requiresTerm(node.right);
+      default:
+        return this.requiresTerm(node.left) && this.requiresTerm(node.right);
+    }
+  },
+
+  // All TERM nodes, optionally skipping negated ones
+  terms(node, positiveOnly = false) {
+    if (node.op === 'TERM') return [node];
+    if (node.op === 'NOT') return positiveOnly ? [] : this.terms(node.operand, positiveOnly);
+    return [...this.terms(node.left, positiveOnly), ...this.terms(node.right, positiveOnly)];
+  },
+
+  /**
+   * Evaluate a parsed expression whose TERM nodes carry a global `regex`
+   * @param {Object} tree - From parse(), with term.regex set by the caller
+   * @param {string} text
+   * @returns {string|null} The first matched (non-negated) term, or null
+   */
+  match(tree, text) {
+    const cache = new Map();
+    let wordStarts = null;
+
+    // Word indexes where a term occurs, for NEAR
+    const positionsOf = term => {
+      if (!cache.has(term)) {
+        if (!wordStarts) {
+          wordStarts = [...text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)].map(m => m.index);
+        }
+        const positions = [...text.matchAll(term.regex)].map(m => {
+          let index = 0;
+          while (index < wordStarts.length && wordStarts[index] <= m.index) index++;
+          return index;
+        });
+        cache.set(term, positions);
+      }
+      return cache.get(term);
+    };
+
+    const positions = node => (node.op === 'TERM'
+      ? positionsOf(node)
+      : [...positions(node.left), ...positions(node.right)]);
+
+    const evaluate = node => {
+      switch (node.op) {
+        case 'TERM':
+          return positionsOf(node).length > 0;
+        case 'NOT':
+          return !evaluate(node.operand);
+        case 'AND':
+          return evaluate(node.left) && evaluate(node.right);
+        case 'OR':
+          return evaluate(node.left) || evaluate(node.right);
+        case 'NEAR': {
+          const right = positions(node.right);
+          return positions(node.left).some(a => right.some(b => Math.abs(a - b) <= node.distance));
+        }
+        default:
+          return false;
+      }
+    };
+
+    if (!evaluate(tree)) return null;
+    const matched = this.terms(tree, true).find(term => positionsOf(term).length > 0);
+    return matched ? matched.value : null;
+  }
+};
+
+/**
+ * Wildcard - Glob-style keywords, a safer alternative to regex
+ * "*" = any letters within a word, "?" = exactly one character, "|" separates alternatives.
+ * e.g. "free*|giveaway", "c?n h?"
+ * "*" and "?" compile to bounded quantifiers. Literal chunks are escaped as is, or in canonical
+ * fold go through canonicalPattern(), which takes one letter per step with at most 3 separators
+ * between them. Every quantifier is bounded, so each start position does bounded work and matching
+ * is linear.
+ */
+const Wildcard = {
+  MAX_LENGTH: 200,
+  MAX_ALTERNATIVES: 20,
+  MAX_STARS: 3, // per alternative
+  STAR_LENGTH: 20, // letters matched by one "*"
+
+  alternatives(text) {
+    return text.split('|').map(alt => alt.trim());
+  },
+
+  /**
+   * Validate wildcard syntax
+   * @param {string} text
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validate(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return { valid: false, error: 'Pattern required' };
+    }
+    if (text.length > this.MAX_LENGTH) {
+      return { valid: false, error: `Pattern too long (max ${this.MAX_LENGTH} characters)` };
+    }
+
+    const alternatives = this.alternatives(text);
+    if (alternatives.length > this.MAX_ALTERNATIVES) {
+      return { valid: false, error: `Too many alternatives (max ${this.MAX_ALTERNATIVES})` };
+    }
+
+    for (const alt of alternatives) {
+      if (!alt) {
+        return { valid: false, error: 'Empty alternative next to "|"' };
+      }
+      if (!/[^*?\s]/.test(alt)) {
+        return { valid: false, error: `"${alt}" needs at least one letter besides * and ?` };
+      }
+      if ((alt.match(/\*+/g) || []).length > this.MAX_STARS) {
+        return { valid: false, error: `Too many * in "${alt}" (max ${this.MAX_STARS})` };
+      }
+    }
+
+    return { valid: true, error: null };
+  },
+
+  /**
+   * Regex source for a valid pattern, without word boundaries (the caller adds them)
+   * @param {string} text
+   * @param {Function} literal - Turns a literal chunk into regex source (default: escaped as is)
+   * @returns {string}
+   */
+  toPattern(text, literal = chunk => chunk.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) {
+    return this.alternatives(text).filter(Boolean).map(alt =>
+      alt.split(/(\*+|\?)/).map(part => {
+        if (part.startsWith('*')) return `[\\p{L}\\p{M}\\p{N}]{0,${this.STAR_LENGTH}}`;
+        if (part === '?') return '\\S';
+        return part ? literal(part) : '';
+      }).join('')
+    ).join('|');
+  }
+};
+
 /**
  * KeywordMatcher - Regex-based keyword matching with word boundary support
- * Supports: plain keywords, regex patterns, whitelist
+ * Supports: plain keywords, wildcard and regex patterns, whitelist, per-category switches,
+ * case-sensitive, diacritic-insensitive and canonical (anti-obfuscation) modes,
+ * whole-word/prefix/substring matching, surface scopes, boolean expressions,
+ * weighted keywords that only block once their summed score reaches a threshold,
+ * and per-keyword fields (post body, author, shared post, link card, comments, image alt text, aria-labels)
  */
 const MAX_KEYWORDS = 5000;
 const MAX_PATTERN_SIZE = 1024 * 1024; // 1MB regex pattern limit
+const MATCH_MODES = ['word', 'prefix', 'substring'];
+const MAX_WEIGHT = 100;
+const DEFAULT_SCORE_THRESHOLD = 10;
+// Parts of a feed unit a keyword can be matched against (see getCachedFields)
+const KEYWORD_FIELDS = ['body', 'author', 'shared', 'preview', 'comments', 'alt', 'aria'];
+const DEFAULT_KEYWORD_FIELDS = ['body'];
+// Letters, combining marks and digits of any script ("ư", "đ", "ộ", Cyrillic, Thai, ...)
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
 
 class KeywordMatcher {
-  constructor(keywords = [], whitelist = []) {
+  constructor(keywords = [], whitelist = [], options = {}) {
     this.keywords = keywords;
     this.whitelist = whitelist;
-    this.compiledRegex = null;
+    this.options = {
+      disabledCategories: [],
+      caseSensitive: false,
+      ignoreDiacritics: false,
+      categoryScopes: {},
+      canonicalCategories: [],
+      scoreThreshold: DEFAULT_SCORE_THRESHOLD,
+      categoryThresholds: {}, // category -> threshold, overrides scoreThreshold
+      path: null, // current URL path; null = ignore scopes
+      ...options
+    };
+    this.plainGroups = [];
     this.regexPatterns = [];
-    this.whitelistRegex = null;
+    this.expressions = [];
+    this.whitelistRules = [];
+    this.nextExpiry = null;
     this.compile();
   }
 
   compile() {
-    this.compiledRegex = null;
+    this.plainGroups = [];
     this.regexPatterns = [];
-    this.whitelistRegex = null;
-
-    if (this.keywords.length === 0) {
+    this.expressions = [];
+    this.whitelistRules = [];
+
+    const now = Date.now();
+    this.nextExpiry = this.keywords
+      .map(kw => this.expiresAt(kw))
+      .filter(time => time > now)
+      .reduce((min, time) => (min === null || time < min ? time : min), null);
+
+    // Only compile unexpired keywords whose category is switched on and that apply to the current page
+    const activeKeywords = this.keywords.filter(kw =>
+      !this.isExpired(kw, now) && this.isCategoryActive(kw) && this.isInScope(kw)
+    );
+    if (activeKeywords.length === 0) {
       return;
     }
 
     // Safety: Limit keywords
-    const safeKeywords = this.keywords.slice(0, MAX_KEYWORDS);
-    if (this.keywords.length > MAX_KEYWORDS) {
-      console.warn(`[FB Blocker] Keyword limit: ${MAX_KEYWORDS}. Ignoring ${this.keywords.length - MAX_KEYWORDS} keywords.`);
+    const safeKeywords = activeKeywords.slice(0, MAX_KEYWORDS);
+    if (activeKeywords.length > MAX_KEYWORDS) {
+      console.warn(`[FB Blocker] Keyword limit: ${MAX_KEYWORDS}. Ignoring ${activeKeywords.length - MAX_KEYWORDS} keywords.`);
     }
 
-    // Separate regex and plain keywords
-    const plainKeywords = [];
+    // Separate regex and plain keywords, plain ones grouped by case/fold mode
+    // 'diacritics' keywords are matched against diacritic-free text ("chính trị" -> "chinh tri"),
+    // 'canonical' ones against canonicalize(text), which is always lowercase
+    const plainBuckets = new Map();
     for (const kw of safeKeywords) {
-      const text = typeof kw === 'string' ? kw : kw.text;
+      const fold = this.foldFor(kw);
+      const mode = this.matchModeFor(kw);
+      const fields = this.fieldsFor(kw);
+      const caseSensitive = fold !== 'canonical' && this.isCaseSensitive(kw);
+      const flags = caseSensitive ? 'gu' : 'giu';
+      const rawText = typeof kw === 'string' ? kw : kw.text;
       const isRegex = typeof kw === 'object' && kw.isRegex;
+      const isExpression = typeof kw === 'object' && !isRegex && kw.isExpression;
+      const isWildcard = typeof kw === 'object' && !isRegex && !isExpression && kw.isWildcard;
+      const entry = {
+        keyword: kw,
+        text: rawText,
+        category: typeof kw === 'object' ? (kw.category || 'default') : 'default',
+        source: isRegex ? 'regex' : isExpression ? 'expression' : isWildcard ? 'wildcard' : 'keyword',
+        weight: this.weightFor(kw)
+      };
 
       if (isRegex) {
         try {
-          this.regexPatterns.push(new RegExp(text, 'giu'));
+          const source = fold === 'diacritics' ? stripDiacritics(rawText) : rawText;
+          this.regexPatterns.push({ regex: new RegExp(source, flags), fold, fields, entry });
         } catch (e) {
-          console.warn(`[FB Blocker] Invalid regex: ${text}`);
+          console.warn(`[FB Blocker] Invalid regex: ${rawText}`);
+        }
+      } else if (isExpression) {
+        try {
+          const tree = RuleExpression.parse(rawText);
+          for (const term of RuleExpression.terms(tree)) {
+            term.regex = this.compilePlain([this.patternFor(term.value, fold)], flags, mode);
+          }
+          this.expressions.push({ tree, fold, fields, entry });
+        } catch (e) {
+          console.warn(`[FB Blocker] Invalid expression: ${rawText}`);
+        }
+      } else if (isWildcard) {
+        // Bounded by construction; literal chunks get the same folding as plain keywords
+        if (Wildcard.validate(rawText).valid) {
+          const pattern = Wildcard.toPattern(rawText, chunk => this.patternFor(chunk, fold));
+          const regex = this.compilePlain([pattern], flags, mode);
+          if (regex) this.regexPatterns.push({ regex, fold, fields, entry });
+        } else {
+          console.warn(`[FB Blocker] Invalid wildcard: ${rawText}`);
         }
       } else {
-        plainKeywords.push(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const key = `${flags}:${fold}:${mode}:${fields.join(',')}`;
+        if (!plainBuckets.has(key)) {
+          plainBuckets.set(key, { flags, fold, mode, fields, caseSensitive, keywords: [], lookup: new Map() });
+        }
+        const bucket = plainBuckets.get(key);
+        bucket.keywords.push(this.patternFor(rawText, fold));
+        bucket.lookup.set(this.lookupKey(rawText, fold, caseSensitive), entry);
+      }
+    }
+
+    for (const { flags, fold, mode, fields, caseSensitive, keywords, lookup } of plainBuckets.values()) {
+      const regex = this.compilePlain(keywords, flags, mode);
+      if (regex) {
+        this.plainGroups.push({ regex, fold, fields, caseSensitive, lookup });
       }
     }
 
-    // Compile plain keywords into single regex
-    // Note: Using lookahead/lookbehind instead of \b for Vietnamese support
-    // \b only works with ASCII word characters, not Vietnamese/Unicode
-    // This approach: match keyword NOT preceded/followed by alphanumeric
-    if (plainKeywords.length > 0) {
-      // Pattern with Unicode-aware word boundaries
-      // (?<![a-zA-Z0-9]) = not preceded by ASCII alphanumeric
-      // (?![a-zA-Z0-9]) = not followed by ASCII alphanumeric
-      const pattern = `(?<![a-zA-Z0-9])(?:${plainKeywords.join('|')})(?![a-zA-Z0-9])`;
+    this.compileWhitelist();
+  }
+
+  // Plain whitelist entries share one regex per category limit, with a copy per fold mode
+  // used by any keyword; wildcard entries get the same copies, regex entries run on the raw text
+  compileWhitelist() {
+    if (this.whitelist.length === 0) return;
 
-      if (pattern.length > MAX_PATTERN_SIZE) {
-        console.error('[FB Blocker] Pattern too large. Reduce keywords.');
+    const rules = [...this.plainGroups, ...this.regexPatterns, ...this.expressions];
+    const folds = [null];
+    if (rules.some(r => r.fold === 'diacritics')) folds.push('diacritics');
+    if (rules.some(r => r.fold === 'canonical')) folds.push('canonical');
+
+    const plainGroups = new Map();
+    for (const item of this.whitelist) {
+      const text = typeof item === 'string' ? item : item.text;
+      if (!text) continue;
+      const categories = this.whitelistCategories(item);
+
+      if (typeof item === 'object' && item.isRegex) {
+        try {
+          this.whitelistRules.push({ regex: new RegExp(text, 'giu'), fold: null, categories });
+        } catch (e) {
+          console.warn(`[FB Blocker] Invalid whitelist regex: ${text}`);
+        }
+      } else if (typeof item === 'object' && item.isWildcard) {
+        if (!Wildcard.validate(text).valid) {
+          console.warn(`[FB Blocker] Invalid whitelist wildcard: ${text}`);
+          continue;
+        }
+        for (const fold of folds) {
+          const regex = this.compilePlain([Wildcard.toPattern(text, chunk => this.patternFor(chunk, fold))], 'giu');
+          if (regex) this.whitelistRules.push({ regex, fold, categories });
+        }
       } else {
-        this.compiledRegex = new RegExp(pattern, 'giu');
+        const key = categories ? categories.join(',') : '';
+        if (!plainGroups.has(key)) plainGroups.set(key, { categories, texts: [] });
+        plainGroups.get(key).texts.push(text);
       }
     }
 
-    // Compile whitelist
-    if (this.whitelist.length > 0) {
-      const whitelistTexts = this.whitelist.map(item => {
-        const text = typeof item === 'string' ? item : item.text;
-        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      });
-      this.whitelistRegex = new RegExp(`(?<![a-zA-Z0-9])(?:${whitelistTexts.join('|')})(?![a-zA-Z0-9])`, 'giu');
+    for (const { categories, texts } of plainGroups.values()) {
+      for (const fold of folds) {
+        const regex = this.compilePlain(texts.map(t => this.patternFor(t, fold)), 'giu');
+        if (regex) this.whitelistRules.push({ regex, fold, categories });
+      }
+    }
+  }
+
+  // Categories a whitelist entry is limited to, or null for all of them
+  whitelistCategories(item) {
+    if (typeof item !== 'object' || !Array.isArray(item.categories) || item.categories.length === 0) {
+      return null;
+    }
+    return [...item.categories].sort();
+  }
+
+  // Escaped regex source for a plain keyword or expression term in a fold mode
+  patternFor(text, fold) {
+    if (fold === 'canonical') {
+      // Keywords made only of separators have no letters to spread out
+      return canonicalPattern(text) || escapeRegex(canonicalize(text));
+    }
+    return escapeRegex(fold === 'diacritics' ? stripDiacritics(text) : text);
+  }
+
+  // Key that maps a matched substring back to its keyword
+  lookupKey(text, fold, caseSensitive) {
+    if (fold === 'canonical') return canonicalKey(text);
+    const folded = fold === 'diacritics' ? stripDiacritics(text) : text;
+    return caseSensitive ? folded : folded.toLowerCase();
+  }
+
+  // Compile escaped plain keywords into single regex
+  // Note: Using lookahead/lookbehind instead of \b for Vietnamese support
+  // \b only works with ASCII word characters, not Vietnamese/Unicode
+  // This approach: match keyword NOT preceded/followed by a letter, mark or digit of any script
+  // Modes: 'word' guards both sides, 'prefix' only the start, 'substring' neither
+  compilePlain(escapedKeywords, flags, mode = 'word') {
+    if (escapedKeywords.length === 0) return null;
+
+    // (?<!WORD_CHAR) = not preceded by a Unicode letter/mark/digit
+    // (?!WORD_CHAR) = not followed by one
+    const before = mode === 'substring' ? '' : `(?<!${WORD_CHAR})`;
+    const after = mode === 'word' ? `(?!${WORD_CHAR})` : '';
+    const pattern = `${before}(?:${escapedKeywords.join('|')})${after}`;
+
+    if (pattern.length > MAX_PATTERN_SIZE) {
+      console.error('[FB Blocker] Pattern too large. Reduce keywords.');
+      return null;
     }
+    return new RegExp(pattern, flags);
   }
 
   matches(text) {
-    if (!text) return false;
-    if (!this.compiledRegex && this.regexPatterns.length === 0) return false;
+    return this.scan(text, false).length > 0;
+  }
 
-    // Check whitelist first - if match, don't block
-    if (this.whitelistRegex) {
-      this.whitelistRegex.lastIndex = 0;
-      if (this.whitelistRegex.test(text)) {
-        return false;
+  /**
+   * First rule that matches text, with details for "why was this hidden"
+   * Weighted keywords are reported together as one 'score' match per category that reached its threshold:
+   * { keyword: null, category, source: 'score', term, score, threshold, breakdown: [{ text, term, weight }] }
+   * @returns {{keyword, text: string, category: string, source: 'keyword'|'regex'|'expression'|'wildcard'|'score', term: string}|null}
+   */
+  match(text) {
+    return this.scan(text, false)[0] || null;
+  }
+
+  /**
+   * All distinct rules found in text (empty when whitelisted)
+   * Every lookup takes a string (the body) or { body, author, shared, preview, comments, alt, aria }
+   * from getCachedFields; a keyword only sees the fields it lists, the whitelist sees all of them
+   * @returns {Array<{keyword, text: string, category: string, source: string, term: string}>}
+   */
+  matchAll(text) {
+    return this.scan(text, true);
+  }
+
+  scan(input, findAll) {
+    const fields = typeof input === 'string' ? { body: input } : (input || {});
+    if (!KEYWORD_FIELDS.some(field => fields[field])) return [];
+    if (this.plainGroups.length === 0 && this.regexPatterns.length === 0 && this.expressions.length === 0) return [];
+
+    // Join and fold lazily, once per field list: folding is only needed when a
+    // diacritic-insensitive or canonical group exists
+    const texts = new Map();
+    const textFor = (fold, ruleFields = KEYWORD_FIELDS) => {
+      const key = `${fold}:${ruleFields.join(',')}`;
+      if (!texts.has(key)) {
+        const raw = fold ? textFor(null, ruleFields) : ruleFields.map(field => fields[field]).filter(Boolean).join('\n');
+        texts.set(key, fold === 'canonical' ? canonicalize(raw) : fold === 'diacritics' ? stripDiacritics(raw) : raw);
+      }
+      return texts.get(key);
+    };
+
+    // Report the term as written in the post; diacritic folding keeps offsets for NFC text.
+    // Canonical text can be shorter (squeezed letters), so its own substring is reported
+    const termAt = (m, fold, ruleFields) => {
+      const text = textFor(null, ruleFields);
+      if (fold === 'diacritics' && textFor(fold, ruleFields).length === text.length) {
+        return text.substr(m.index, m[0].length);
+      }
+      return m[0];
+    };
+
+    // Check whitelist first - an entry for all categories means don't block,
+    // one limited to categories only excuses rules of those categories
+    const excused = new Set();
+    for (const { regex, fold, categories } of this.whitelistRules) {
+      if (categories && categories.every(category => excused.has(category))) continue;
+      regex.lastIndex = 0;
+      if (regex.test(textFor(fold))) {
+        if (!categories) return [];
+        categories.forEach(category => excused.add(category));
       }
     }
 
-    // Check plain keywords
-    if (this.compiledRegex) {
-      this.compiledRegex.lastIndex = 0;
-      if (this.compiledRegex.test(text)) {
-        return true;
+    const found = [];
+    const seen = new Set();
+    const weighted = [];
+
+    // Hard-block rules can stop the scan early; weighted ones only count towards a score
+    const add = (entry, term) => {
+      if (entry.weight) {
+        weighted.push({ ...entry, term });
+        return false;
+      }
+      found.push({ ...entry, term });
+      return !findAll;
+    };
+
+    // Check plain keywords: map each matched substring back to its keyword
+    for (const { regex, fold, fields: ruleFields, caseSensitive, lookup } of this.plainGroups) {
+      regex.lastIndex = 0;
+      for (const m of textFor(fold, ruleFields).matchAll(regex)) {
+        // Unicode case folding can differ from toLowerCase(); never drop a real match
+        const entry = lookup.get(this.lookupKey(m[0], fold, caseSensitive)) || lookup.values().next().value;
+        if (!seen.has(entry)) {
+          seen.add(entry);
+          if (excused.has(entry.category)) continue;
+          if (add(entry, termAt(m, fold, ruleFields))) return found;
+        }
       }
     }
 
-    // Check regex patterns
-    for (const re of this.regexPatterns) {
-      re.lastIndex = 0;
-      if (re.test(text)) {
-        return true;
-      }
+    // Check regex and wildcard patterns
+    for (const { regex, fold, fields: ruleFields, entry } of this.regexPatterns) {
+      if (excused.has(entry.category)) continue;
+      regex.lastIndex = 0;
+      const m = regex.exec(textFor(fold, ruleFields));
+      if (m && add(entry, termAt(m, fold, ruleFields))) return found;
+    }
+
+    // Check boolean expressions
+    for (const { tree, fold, fields: ruleFields, entry } of this.expressions) {
+      if (excused.has(entry.category)) continue;
+      const term = RuleExpression.match(tree, textFor(fold, ruleFields));
+      if (term && add(entry, term)) return found;
     }
 
-    return false;
+    for (const match of this.scoreMatches(weighted)) {
+      found.push(match);
+      if (!findAll) return found;
+    }
+
+    return found;
+  }
+
+  // Sum the weights of distinct weighted matches per category; one match per category at its threshold
+  scoreMatches(weighted) {
+    const byCategory = new Map();
+    for (const match of weighted) {
+      if (!byCategory.has(match.category)) byCategory.set(match.category, []);
+      byCategory.get(match.category).push(match);
+    }
+
+    const results = [];
+    for (const [category, matches] of byCategory) {
+      const score = matches.reduce((sum, m) => sum + m.weight, 0);
+      const threshold = this.thresholdFor(category);
+      if (score < threshold) continue;
+
+      matches.sort((a, b) => b.weight - a.weight);
+      results.push({
+        keyword: null,
+        text: matches[0].text,
+        category,
+        source: 'score',
+        term: matches[0].term,
+        score,
+        threshold,
+        breakdown: matches.map(({ text, term, weight }) => ({ text, term, weight }))
+      });
+    }
+    return results;
+  }
+
+  thresholdFor(category) {
+    const threshold = Number(this.options.categoryThresholds[category]);
+    if (threshold > 0) return threshold;
+    const global = Number(this.options.scoreThreshold);
+    return global > 0 ? global : DEFAULT_SCORE_THRESHOLD;
+  }
+
+  // Weight of a scored keyword, or null for keywords that block on their own
+  weightFor(kw) {
+    const weight = typeof kw === 'object' ? Number(kw.weight) : NaN;
+    return weight > 0 ? Math.min(weight, MAX_WEIGHT) : null;
+  }
+
+  // Expiry time in ms, or null for keywords that never expire
+  expiresAt(kw) {
+    const time = typeof kw === 'object' && kw.expiresAt ? Date.parse(kw.expiresAt) : NaN;
+    return Number.isNaN(time) ? null : time;
+  }
+
+  isExpired(kw, now = Date.now()) {
+    const time = this.expiresAt(kw);
+    return time !== null && time <= now;
+  }
+
+  isCategoryActive(kw) {
+    const category = typeof kw === 'object' ? (kw.category || 'default') : 'default';
+    return !this.options.disabledCategories.includes(category);
+  }
+
+  // Keyword scopes override the scopes of its category
+  isInScope(kw) {
+    if (this.options.path === null) return true;
+
+    const scopes = typeof kw === 'object' && Array.isArray(kw.scopes) && kw.scopes.length > 0
+      ? kw.scopes
+      : this.options.categoryScopes[typeof kw === 'object' ? (kw.category || 'default') : 'default'];
+    return matchesScope(scopes, this.options.path);
+  }
+
+  // A keyword's own flag (true or false) overrides the global setting; null or missing inherits it
+  isCaseSensitive(kw) {
+    const own = typeof kw === 'object' ? kw.caseSensitive : null;
+    return (own ?? this.options.caseSensitive) === true;
+  }
+
+  // Same rule for diacritic-insensitive mode, so a keyword can still tell "bán" from "ban"
+  ignoresDiacritics(kw) {
+    const own = typeof kw === 'object' ? kw.ignoreDiacritics : null;
+    return (own ?? this.options.ignoreDiacritics) === true;
+  }
+
+  // Whole word unless the keyword asks for prefix or substring matching
+  matchModeFor(kw) {
+    return typeof kw === 'object' && MATCH_MODES.includes(kw.matchMode) ? kw.matchMode : 'word';
+  }
+
+  // Canonical mode is switched on per keyword or per category
+  isCanonical(kw) {
+    const category = typeof kw === 'object' ? (kw.category || 'default') : 'default';
+    return (typeof kw === 'object' && kw.canonical === true) || this.options.canonicalCategories.includes(category);
   }
 
-  update(keywords, whitelist = []) {
+  // Fields a keyword is matched against, in KEYWORD_FIELDS order; none listed = the body
+  // ('text' is the older name of the body field)
+  fieldsFor(kw) {
+    const stored = typeof kw === 'object' && Array.isArray(kw.fields)
+      ? kw.fields.map(field => (field === 'text' ? 'body' : field))
+      : [];
+    const listed = KEYWORD_FIELDS.filter(field => stored.includes(field));
+    return listed.length > 0 ? listed : DEFAULT_KEYWORD_FIELDS;
+  }
+
+  // Canonical text already drops diacritics, so it wins over diacritic folding
+  foldFor(kw) {
+    if (this.isCanonical(kw)) return 'canonical';
+    return this.ignoresDiacritics(kw) ? 'diacritics' : null;
+  }
+
+  // Options are merged so callers can change one setting without repeating the rest
+  update(keywords, whitelist = [], options = {}) {
     this.keywords = keywords;
     this.whitelist = whitelist;
+    this.options = { ...this.options, ...options };
     this.compile();
   }
 
@@ -165,14 +903,287 @@ class KeywordMatcher {
   }
 }
 
+/**
+ * AuthorMatcher - Block or always show posts by author name or profile/page URL
+ * Entries containing "facebook.com", "profile.php" or starting with "/" are URLs,
+ * anything else is compared with the author's display name
+ */
+class AuthorMatcher {
+  constructor(blocked = [], allowed = []) {
+    this.update(blocked, allowed);
+  }
+
+  update(blocked = [], allowed = []) {
+    this.blocked = blocked.map(item => this.compileEntry(item)).filter(Boolean);
+    this.allowed = allowed.map(item => this.compileEntry(item)).filter(Boolean);
+  }
+
+  compileEntry(item) {
+    const text = (typeof item === 'string' ? item : item.text || '').trim();
+    if (!text) return null;
+
+    if (AuthorMatcher.isUrl(text)) {
+      return { text, url: AuthorMatcher.profileKey(text) };
+    }
+    return { text, name: normalizeText(text) };
+  }
+
+  /**
+   * @param {{name: string, url: string}|null} author - From the post header link
+   * @returns {{allowed: boolean, entry: {text: string}}|null} Allow list wins over block list
+   */
+  match(author) {
+    if (!author) return null;
+
+    const name = normalizeText(author.name || '').trim();
+    const url = author.url ? AuthorMatcher.profileKey(author.url) : null;
+    const hit = entry => entry.url ? entry.url === url : entry.name === name;
+
+    const allowedEntry = this.allowed.find(hit);
+    if (allowedEntry) return { allowed: true, entry: allowedEntry };
+
+    const blockedEntry = this.blocked.find(hit);
+    if (blockedEntry) return { allowed: false, entry: blockedEntry };
+
+    return null;
+  }
+
+  get count() {
+    return this.blocked.length + this.allowed.length;
+  }
+
+  static isUrl(text) {
+    return /facebook\.com|profile\.php|^\//i.test(text);
+  }
+
+  // "https://www.facebook.com/PageX/?ref=..." -> "pagex", ".../profile.php?id=123" -> "id:123"
+  static profileKey(url) {
+    try {
+      const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://www.facebook.com/${url.replace(/^.*facebook\.com\/?|^\//i, '')}`);
+      if (parsed.pathname.replace(/\/+$/, '') === '/profile.php') {
+        return `id:${parsed.searchParams.get('id')}`;
+      }
+      return decodeURIComponent(parsed.pathname).replace(/^\/+|\/+$/g, '').toLowerCase();
+    } catch (e) {
+      return url.toLowerCase();
+    }
+  }
+}
+
+/**
+ * DomainMatcher - Block posts that link to listed domains
+ * "example.com" matches example.com and www.example.com,
+ * "*.example.com" matches example.com and every subdomain.
+ * Facebook's outbound redirects (l.facebook.com/l.php?u=...) are unwrapped first.
+ */
+class DomainMatcher {
+  constructor(rules = [], whitelist = [], options = {}) {
+    this.update(rules, whitelist, { disabledCategories: [], ...options });
+  }
+
+  update(rules = [], whitelist = [], options = {}) {
+    this.rules = rules;
+    this.whitelist = whitelist;
+    this.options = { ...this.options, ...options };
+
+    this.entries = rules
+      .filter(rule => !this.options.disabledCategories.includes(rule.category || 'default'))
+      .map(rule => ({ ...DomainMatcher.parse(rule.text), rule }))
+      .filter(entry => entry.domain);
+    this.allowed = whitelist
+      .map(item => DomainMatcher.parse(typeof item === 'string' ? item : item.text))
+      .filter(entry => entry.domain);
+  }
+
+  /**
+   * @param {string[]} urls - Link hrefs found in a post
+   * @returns {{keyword: Object, text: string, term: string, category: string, source: string}|null}
+   */
+  match(urls) {
+    for (const url of urls) {
+      const host = DomainMatcher.hostOf(url);
+      if (!host || this.allowed.some(entry => DomainMatcher.covers(entry, host))) continue;
+
+      const entry = this.entries.find(e => DomainMatcher.covers(e, host));
+      if (entry) {
+        return {
+          keyword: entry.rule,
+          text: entry.rule.text,
+          term: host,
+          category: entry.rule.category || 'default',
+          source: 'domain'
+        };
+      }
+    }
+    return null;
+  }
+
+  get count() {
+    return this.entries.length;
+  }
+
+  static covers(entry, host) {
+    if (host === entry.domain || host === `www.${entry.domain}`) return true;
+    return entry.wildcard && host.endsWith(`.${entry.domain}`);
+  }
+
+  // "https://*.Example.com/path" -> { domain: "example.com", wildcard: true }
+  static parse(text) {
+    const raw = String(text || '').trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[/?#].*$/, '');
+    const wildcard = raw.startsWith('*.');
+    const host = raw.replace(/^\*\./, '').replace(/^www\./, '');
+
+    if (!/^([a-z0-9\u00a1-\uffff-]+\.)+[a-z0-9\u00a1-\uffff-]{2,}$/i.test(host)) {
+      return { domain: null, wildcard };
+    }
+    try {
+      // Punycode internationalized domains so they compare equal to link hosts
+      return { domain: new URL(`http://${host}`).hostname, wildcard };
+    } catch (e) {
+      return { domain: null, wildcard };
+    }
+  }
+
+  // Host of a link, unwrapping l.facebook.com/l.php?u=...; null for internal links
+  static hostOf(href) {
+    try {
+      let url = new URL(href, 'https://www.facebook.com');
+      if (/^(l|lm)\.facebook\.com$/.test(url.hostname) && url.searchParams.get('u')) {
+        url = new URL(url.searchParams.get('u'));
+      }
+      const host = url.hostname.toLowerCase();
+      if (!/^https?:$/.test(url.protocol) || /(^|\.)(facebook\.com|fb\.com|fb\.me|fbcdn\.net|messenger\.com)$/.test(host)) {
+        return null;
+      }
+      return host;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Schedule - Turn the whole blocker or single categories on by time of day
+ * A rule is { id, target: 'all' | category, days: [0-6] (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }.
+ * A target with at least one rule is only active inside its windows.
+ * Windows whose end is before their start run past midnight.
+ */
+const Schedule = {
+  TIME_PATTERN: /^([01]\d|2[0-3]):[0-5]\d$/,
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  },
+
+  isValid(rule) {
+    return !!rule && typeof rule.target === 'string' &&
+      Array.isArray(rule.days) && rule.days.length > 0 &&
+      rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+      this.TIME_PATTERN.test(rule.start) && this.TIME_PATTERN.test(rule.end) &&
+      rule.start !== rule.end;
+  },
+
+  /**
+   * Is the rule's window open at the given time?
+   * @param {Object} rule - Valid schedule rule
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  isOpen(rule, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const start = this.toMinutes(rule.start);
+    const end = this.toMinutes(rule.end);
+
+    if (start < end) {
+      return rule.days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Overnight: evening part on a scheduled day, morning part on the day after
+    return (rule.days.includes(day) && minutes >= start) ||
+      (rule.days.includes((day + 6) % 7) && minutes < end);
+  },
+
+  rulesFor(schedules, target) {
+    return (schedules || []).filter(rule => rule.target === target && this.isValid(rule));
+  },
+
+  /**
+   * @param {Array} schedules - All schedule rules
+   * @param {string} target - 'all' or a category
+   * @param {Date} date
+   * @returns {boolean} true when the target has no rules or one of its windows is open
+   */
+  isActive(schedules, target, date = new Date()) {
+    const rules = this.rulesFor(schedules, target);
+    return rules.length === 0 || rules.some(rule => this.isOpen(rule, date));
+  },
+
+  // Targets that have at least one valid rule
+  targets(schedules) {
+    return [...new Set((schedules || []).filter(rule => this.isValid(rule)).map(rule => rule.target))];
+  },
+
+  /**
+   * Next time any window opens or closes
+   * @param {Array} schedules - All schedule rules
+   * @param {Date} date - Search after this time
+   * @param {string|null} target - Only look at this target's rules
+   * @returns {Date|null}
+   */
+  nextChange(schedules, date = new Date(), target = null) {
+    let next = null;
+    const rules = (schedules || []).filter(rule => this.isValid(rule) && (!target || rule.target === target));
+
+    for (const rule of rules) {
+      const start = this.toMinutes(rule.start);
+      let end = this.toMinutes(rule.end);
+      if (end < start) end += 24 * 60;
+
+      // Start at yesterday: an overnight window from yesterday may close today
+      for (let offset = -1; offset <= 7; offset++) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+        if (!rule.days.includes(day.getDay())) continue;
+
+        for (const minutes of [start, end]) {
+          const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+          if (time > date && (!next || time < next)) next = time;
+        }
+      }
+    }
+
+    return next;
+  },
+
+  /**
+   * Next time the target actually switches on or off (skips back-to-back windows)
+   * @returns {Date|null}
+   */
+  nextSwitch(schedules, target, date = new Date()) {
+    const current = this.isActive(schedules, target, date);
+    let time = date;
+
+    for (let i = 0; i < 50; i++) {
+      time = this.nextChange(schedules, time, target);
+      if (!time) return null;
+      if (this.isActive(schedules, target, time) !== current) return time;
+    }
+    return null;
+  }
+};
+
 /**
  * Stats - Blocking statistics tracker
+ * key = storage key of the counter ('stats' for everything hidden, 'commentSpamStats' for spam heuristics,
+ * 'feedModuleStats' for feed modules)
  */
 const Stats = {
-  async increment() {
+  async increment(key = 'stats') {
     try {
-      const { stats = { today: 0, total: 0, lastReset: null } } =
-        await chrome.storage.local.get('stats');
+      const { [key]: stats = { today: 0, total: 0, lastReset: null } } =
+        await chrome.storage.local.get(key);
 
       const today = new Date().toISOString().split('T')[0];
 
@@ -184,7 +1195,7 @@ const Stats = {
       stats.today++;
       stats.total++;
 
-      await chrome.storage.local.set({ stats });
+      await chrome.storage.local.set({ [key]: stats });
       return { today: stats.today, total: stats.total };
     } catch (error) {
       console.error('[FB Blocker] Stats.increment error:', error);
@@ -193,15 +1204,872 @@ const Stats = {
   }
 };
 
+/**
+ * Classifier - On-device naive Bayes trained from the user's own feedback
+ * Learns from "Correct" / "Wrong" on placeholders and "Block this" on visible posts.
+ * The model is plain token counts kept in chrome.storage.local; nothing leaves the browser.
+ * Model: { version, docs: { block, allow }, tokens: { token: [blockDocs, allowDocs] }, updatedAt }
+ * tokenize() relies on normalizeText() from the content script.
+ */
+const Classifier = {
+  VERSION: 1,
+  LABELS: ['block', 'allow'],
+  MIN_DOCS: 3, // examples of each label before predict() answers
+  MAX_VOCABULARY: 20000, // rarest tokens are pruned beyond this to stay within storage quota
+  MAX_DOC_TOKENS: 300,
+  TOKEN_PATTERN: /[\p{L}\p{N}]{2,30}/gu,
+
+  empty() {
+    return { version: this.VERSION, docs: { block: 0, allow: 0 }, tokens: {}, updatedAt: null };
+  },
+
+  /**
+   * Stored or imported model, or an empty one when it is missing or malformed
+   * @param {*} model
+   * @returns {Object}
+   */
+  normalize(model) {
+    if (!this.isValid(model)) return this.empty();
+    return model;
+  },
+
+  isValid(model) {
+    return !!model && model.version === this.VERSION &&
+      !!model.docs && this.LABELS.every(label => Number.isInteger(model.docs[label]) && model.docs[label] >= 0) &&
+      !!model.tokens && typeof model.tokens === 'object' && !Array.isArray(model.tokens) &&
+      Object.values(model.tokens).every(counts =>
+        Array.isArray(counts) && counts.length === 2 && counts.every(n => Number.isInteger(n) && n >= 0));
+  },
+
+  // Unique lowercase, diacritic-free words - presence matters, not how often a word repeats
+  tokenize(text) {
+    const tokens = new Set();
+    for (const [token] of normalizeText(text || '').matchAll(this.TOKEN_PATTERN)) {
+      tokens.add(token);
+      if (tokens.size >= this.MAX_DOC_TOKENS) break;
+    }
+    return [...tokens];
+  },
+
+  /**
+   * Count one example into the model (mutates it)
+   * @param {Object} model
+   * @param {string} text
+   * @param {string} label - 'block' or 'allow'
+   * @returns {boolean} false when the label is unknown or the text has no words
+   */
+  train(model, text, label) {
+    const index = this.LABELS.indexOf(label);
+    const tokens = this.tokenize(text);
+    if (index === -1 || tokens.length === 0) return false;
+
+    model.docs[label]++;
+    for (const token of tokens) {
+      if (!this.counts(model, token)) model.tokens[token] = [0, 0];
+      model.tokens[token][index]++;
+    }
+    this.prune(model);
+    model.updatedAt = Date.now();
+    return true;
+  },
+
+  // Keep the most frequent tokens once the vocabulary outgrows MAX_VOCABULARY
+  prune(model) {
+    const entries = Object.entries(model.tokens);
+    if (entries.length <= this.MAX_VOCABULARY) return;
+
+    entries.sort((a, b) => (b[1][0] + b[1][1]) - (a[1][0] + a[1][1]));
+    model.tokens = Object.fromEntries(entries.slice(0, this.MAX_VOCABULARY));
+  },
+
+  // [blockDocs, allowDocs] of a token, or null; own keys only, so "constructor" is just a word
+  counts(model, token) {
+    return Object.hasOwn(model.tokens, token) ? model.tokens[token] : null;
+  },
+
+  isReady(model) {
+    return this.LABELS.every(label => model.docs[label] >= this.MIN_DOCS);
+  },
+
+  // Log-odds a token adds towards "block" (Laplace-smoothed share of each label's examples containing it)
+  tokenWeight(model, token) {
+    const [block, allow] = this.counts(model, token);
+    return Math.log((block + 1) / (model.docs.block + 2)) - Math.log((allow + 1) / (model.docs.allow + 2));
+  },
+
+  /**
+   * Probability that the text should be blocked
+   * @param {Object} model
+   * @param {string} text
+   * @returns {number|null} 0-1, or null until both labels have MIN_DOCS examples
+   */
+  predict(model, text) {
+    if (!this.isReady(model)) return null;
+
+    let logOdds = Math.log(model.docs.block / model.docs.allow);
+    for (const token of this.tokenize(text)) {
+      if (this.counts(model, token)) logOdds += this.tokenWeight(model, token);
+    }
+    return 1 / (1 + Math.exp(-logOdds));
+  },
+
+  /**
+   * Tokens that push hardest towards "block"
+   * @param {Object} model
+   * @param {number} limit
+   * @param {string[]} tokens - Only look at these (default: the whole vocabulary)
+   * @returns {Array<{token: string, weight: number, block: number, allow: number}>}
+   */
+  strongestTokens(model, limit = 10, tokens = Object.keys(model.tokens)) {
+    return tokens
+      .filter(token => this.counts(model, token))
+      .map(token => ({
+        token,
+        weight: this.tokenWeight(model, token),
+        block: model.tokens[token][0],
+        allow: model.tokens[token][1]
+      }))
+      .filter(item => item.weight > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, limit);
+  }
+};
+
+
+/**
+ * SpamHeuristics - Scores comments that look like bot replies, without any keyword list
+ * Signals (each can be switched off): contact details (links, phone numbers, Zalo/Telegram handles),
+ * emoji walls, the same text repeated in one thread, and known bot phrasing.
+ * Each signal adds 0-3 points; a comment reaching SPAM_SCORE is spam, so one strong signal is enough.
+ * Text is read through normalizeText() from the content script.
+ */
+const SpamHeuristics = {
+  SIGNALS: ['contacts', 'emoji', 'repeated', 'phrases'],
+  SPAM_SCORE: 3,
+  SHORT_COMMENT_WORDS: 15, // one contact detail in a comment this short is suspicious
+  MIN_REPEAT_LENGTH: 20, // "đẹp quá" repeated is normal, a repeated paragraph is not
+
+  LINK_PATTERN: /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|vn|ly|me|io|co|xyz|top|link|site|online|shop|info|click)\b(?:\/\S*)?/gu,
+  // Local (0...) or international (+...) numbers with optional spaces, dots or dashes; prices don't start with 0
+  PHONE_PATTERN: /(?:\+\d{1,3}|\b0)(?:[\s.-]?\d){8,10}\b/gu,
+  HANDLE_PATTERN: /\b(?:zalo|zl|telegram|tele|tg|whatsapp|viber)\s*[:.-]?\s*(?:@[a-z0-9_.]{3,}|\+?\d)/gu, // t.me/... counts as a link
+  EMOJI_PATTERN: /\p{Extended_Pictographic}/gu,
+
+  // Normalized (lowercase, no diacritics); matched as whole words
+  BOT_PHRASES: [
+    'ib minh', 'ib em', 'inbox minh', 'inbox em', 'check ib', 'check inbox',
+    'xem trang ca nhan', 'xem tuong nha', 'ket ban zalo', 'lien he zalo', 'add zalo',
+    'thu nhap thu dong', 'kiem tien online', 'viec nhe luong cao', 'lam viec tai nha',
+    'click vao link', 'bam vao link', 'link o bio', 'nhan qua mien phi',
+    'check my profile', 'dm me', 'message me on', 'link in bio', 'work from home',
+    'earn money online', 'passive income', 'contact me on whatsapp'
+  ],
+  phraseRegex: null, // built from BOT_PHRASES on first use
+
+  /**
+   * Stored settings with every signal on unless switched off
+   * @param {Object} stored - { enabled, signals: { contacts, emoji, repeated, phrases } }
+   * @returns {{enabled: boolean, signals: Object}}
+   */
+  settings(stored = {}) {
+    const signals = (stored && stored.signals) || {};
+    return {
+      enabled: !!stored && stored.enabled === true,
+      signals: Object.fromEntries(this.SIGNALS.map(signal => [signal, signals[signal] !== false]))
+    };
+  },
+
+  contactPoints(normalized) {
+    const contacts = ['LINK_PATTERN', 'PHONE_PATTERN', 'HANDLE_PATTERN']
+      .reduce((sum, key) => sum + (normalized.match(this[key]) || []).length, 0);
+    if (contacts === 0) return 0;
+    if (contacts >= 2) return 3;
+    const words = (normalized.match(/[\p{L}\p{N}]+/gu) || []).length;
+    return words <= this.SHORT_COMMENT_WORDS ? 2 : 1;
+  },
+
+  emojiPoints(text) {
+    const emoji = (text.match(this.EMOJI_PATTERN) || []).length;
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    const ratio = emoji / (emoji + letters || 1);
+    if (emoji >= 10 && ratio >= 0.5) return 3;
+    if (emoji >= 5 && ratio >= 0.25) return 2;
+    if (emoji >= 3 && ratio >= 0.1) return 1;
+    return 0;
+  },
+
+  repeatPoints(copies) {
+    if (copies >= 3) return 3;
+    return copies === 2 ? 2 : 0;
+  },
+
+  phrasePoints(normalized) {
+    if (!this.phraseRegex) {
+      const phrases = this.BOT_PHRASES.map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      this.phraseRegex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${phrases.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+    }
+    const hits = new Set(normalized.match(this.phraseRegex) || []).size;
+    if (hits === 0) return 0;
+    return hits >= 2 ? 3 : 2;
+  },
+
+  /**
+   * Key for counting copies of a comment in a thread, or null when it is too short to count
+   * @param {string} text
+   * @returns {string|null}
+   */
+  repeatKey(text) {
+    const key = normalizeText(text).replace(/\s+/g, ' ').trim();
+    return key.length >= this.MIN_REPEAT_LENGTH ? key : null;
+  },
+
+  /**
+   * Score a comment with the enabled signals
+   * @param {string} text
+   * @param {Object} signals - { signal: boolean }, from settings()
+   * @param {number} copies - Comments in the same thread with this text (1 = unique)
+   * @returns {{spam: boolean, score: number, signals: Array<{signal: string, points: number}>}}
+   */
+  evaluate(text, signals, copies = 1) {
+    const normalized = normalizeText(text);
+    const points = {
+      contacts: () => this.contactPoints(normalized),
+      emoji: () => this.emojiPoints(text),
+      repeated: () => this.repeatPoints(copies),
+      phrases: () => this.phrasePoints(normalized)
+    };
+
+    const fired = this.SIGNALS
+      .filter(signal => signals[signal])
+      .map(signal => ({ signal, points: points[signal]() }))
+      .filter(item => item.points > 0);
+    const score = fired.reduce((sum, item) => sum + item.points, 0);
+
+    return { spam: score >= this.SPAM_SCORE, score, signals: fired };
+  }
+};
+
+
+/**
+ * LanguageDetector - Offline language guess for post text
+ * Non-Latin scripts decide directly (Hangul = ko, kana = ja, Thai = th, ...).
+ * Latin text is compared by character trigrams against profiles built from the short samples below.
+ * Returns null for text too short or too ambiguous to call, so such posts are left alone.
+ */
+const LanguageDetector = {
+  MIN_LETTERS: 30, // Latin letters needed before trigrams say anything useful
+  MIN_SCRIPT_LETTERS: 10, // enough for a script that only a few languages use (one Han/kana character is a whole word)
+  MIN_CONFIDENCE: 0.1,
+  MAX_SAMPLE: 1000, // characters examined per post
+  MIN_SIMILARITY: 0.15, // below this the text matches no profile well (a language we have no sample for)
+
+  // Checked in order: kana before Han, so Japanese with kanji is not read as Chinese
+  SCRIPTS: [
+    ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+    ['ko', /\p{Script=Hangul}/u],
+    ['zh', /\p{Script=Han}/u],
+    ['th', /\p{Script=Thai}/u],
+    ['km', /\p{Script=Khmer}/u],
+    ['lo', /\p{Script=Lao}/u],
+    ['my', /\p{Script=Myanmar}/u],
+    ['ru', /\p{Script=Cyrillic}/u],
+    ['el', /\p{Script=Greek}/u],
+    ['ar', /\p{Script=Arabic}/u],
+    ['he', /\p{Script=Hebrew}/u],
+    ['hi', /\p{Script=Devanagari}/u],
+    ['bn', /\p{Script=Bengali}/u],
+    ['ta', /\p{Script=Tamil}/u]
+  ],
+
+  SAMPLES: {
+    vi:
+      'Hôm nay trời đẹp quá, cả nhà mình cùng nhau đi chơi công viên và ăn trưa ở một quán nhỏ gần hồ. Mọi người đều rất vui vẻ, các con chạy nhảy suốt cả buổi chiều. Mình nghĩ đây là một trong những ngày tuyệt vời nhất của năm. Cảm ơn các bạn đã luôn ủng hộ và gửi những lời chúc tốt đẹp. Nếu có dịp thì lần sau chúng ta lại hẹn nhau đi tiếp nhé. Bạn đã từng đến đó chưa? Hãy chia sẻ cảm nhận của bạn ở phần bình luận bên dưới, được không?' +
+      'Chính phủ vừa công bố quy định mới đối với các sàn thương mại điện tử, có hiệu lực từ tháng sau. Theo báo cáo, giá cả đã tăng đáng kể kể từ đầu năm và nhiều người lo lắng về công việc của mình. Các chuyên gia cho rằng tình hình có thể được cải thiện nếu nền kinh tế tiếp tục tăng trưởng. Có ai biết chỗ nào bán vé xem ca nhạc vào thứ bảy không? Xe của tôi cứ kêu lạ, nên tôi đang tìm một thợ sửa xe giỏi ở khu vực này.',
+    en:
+      'The weather is so nice today, so we went to the park with the whole family and had lunch at a small restaurant near the lake. Everyone was very happy and the kids were running around all afternoon. I think it was one of the best days of the year, and I would like to do it again soon. Thank you all for your kind messages, they mean a lot to me. Have you ever been there? Let me know what you think in the comments below and share this with anyone who might be interested.' +
+      'The government announced new rules for online shopping platforms, which will take effect from next month. According to the report, prices have increased significantly since the beginning of the year, and many people are worried about their jobs. Experts say that the situation could improve if the economy continues to grow. Does anyone know where I can buy tickets for the concert on Saturday? My car keeps making a strange noise, so I am looking for a good mechanic in this area.',
+    es:
+      'Hoy hace un día precioso, así que fuimos con toda la familia al parque y comimos en un pequeño restaurante cerca del lago. Todos estaban muy contentos y los niños corrieron durante toda la tarde. Creo que ha sido uno de los mejores días del año y me gustaría repetirlo pronto. Muchas gracias a todos por vuestros mensajes, significan mucho para mí. ¿Alguna vez habéis estado allí? Dejad vuestra opinión en los comentarios y compartid esto con quien le pueda interesar.' +
+      'El gobierno anunció nuevas normas para las plataformas de compras en línea, que entrarán en vigor el próximo mes. Según el informe, los precios han subido mucho desde principios de año y muchas personas están preocupadas por su trabajo. Los expertos dicen que la situación podría mejorar si la economía sigue creciendo. ¿Alguien sabe dónde puedo comprar entradas para el concierto del sábado? Mi coche hace un ruido extraño, así que busco un buen mecánico en esta zona.',
+    fr:
+      'Aujourd\'hui il fait très beau, alors nous sommes allés au parc avec toute la famille et nous avons mangé dans un petit restaurant près du lac. Tout le monde était très content et les enfants ont couru pendant tout l\'après-midi. Je pense que c\'était l\'une des plus belles journées de l\'année et j\'aimerais bien recommencer bientôt. Merci à tous pour vos gentils messages, ils comptent beaucoup pour moi. Est-ce que vous y êtes déjà allés ? Dites-moi ce que vous en pensez dans les commentaires et partagez avec ceux que cela pourrait intéresser.' +
+      'Le gouvernement a annoncé de nouvelles règles pour les plateformes d\'achat en ligne, qui entreront en vigueur le mois prochain. Selon le rapport, les prix ont beaucoup augmenté depuis le début de l\'année et beaucoup de gens s\'inquiètent pour leur emploi. Les experts estiment que la situation pourrait s\'améliorer si l\'économie continue de croître. Quelqu\'un sait où je peux acheter des billets pour le concert de samedi ? Ma voiture fait un bruit bizarre, donc je cherche un bon garagiste dans le quartier.',
+    de:
+      'Heute ist so ein schöner Tag, deshalb sind wir mit der ganzen Familie in den Park gegangen und haben in einem kleinen Restaurant am See gegessen. Alle waren sehr glücklich und die Kinder sind den ganzen Nachmittag herumgelaufen. Ich glaube, das war einer der schönsten Tage des Jahres, und ich würde das gerne bald wiederholen. Vielen Dank an alle für die lieben Nachrichten, sie bedeuten mir sehr viel. Wart ihr schon einmal dort? Schreibt mir eure Meinung in die Kommentare und teilt das mit allen, die es interessieren könnte.' +
+      'Die Regierung hat neue Regeln für Online-Shopping-Plattformen angekündigt, die ab nächstem Monat gelten. Laut dem Bericht sind die Preise seit Jahresbeginn deutlich gestiegen und viele Menschen machen sich Sorgen um ihre Arbeit. Experten sagen, dass sich die Lage verbessern könnte, wenn die Wirtschaft weiter wächst. Weiß jemand, wo ich Karten für das Konzert am Samstag kaufen kann? Mein Auto macht ein seltsames Geräusch, deshalb suche ich eine gute Werkstatt in dieser Gegend.',
+    pt:
+      'Hoje está um dia lindo, então fomos com toda a família ao parque e almoçamos num pequeno restaurante perto do lago. Todos ficaram muito felizes e as crianças correram durante a tarde inteira. Acho que foi um dos melhores dias do ano e eu gostaria de repetir em breve. Muito obrigado a todos pelas mensagens carinhosas, elas significam muito para mim. Vocês já estiveram lá? Deixem a sua opinião nos comentários e compartilhem isto com quem possa se interessar.' +
+      'O governo anunciou novas regras para as plataformas de compras online, que entram em vigor no próximo mês. Segundo o relatório, os preços subiram bastante desde o início do ano e muitas pessoas estão preocupadas com o seu emprego. Os especialistas dizem que a situação pode melhorar se a economia continuar a crescer. Alguém sabe onde posso comprar ingressos para o show de sábado? O meu carro está fazendo um barulho estranho, por isso estou procurando um bom mecânico nesta região.',
+    it:
+      'Oggi è una giornata bellissima, così siamo andati al parco con tutta la famiglia e abbiamo mangiato in un piccolo ristorante vicino al lago. Tutti erano molto contenti e i bambini hanno corso per tutto il pomeriggio. Penso che sia stata una delle giornate più belle dell\'anno e mi piacerebbe ripeterla presto. Grazie a tutti per i vostri messaggi gentili, significano molto per me. Ci siete mai stati? Fatemi sapere cosa ne pensate nei commenti e condividete questo post con chi potrebbe essere interessato.' +
+      'Il governo ha annunciato nuove regole per le piattaforme di acquisti online, che entreranno in vigore il mese prossimo. Secondo il rapporto, i prezzi sono aumentati molto dall\'inizio dell\'anno e molte persone sono preoccupate per il proprio lavoro. Gli esperti dicono che la situazione potrebbe migliorare se l\'economia continua a crescere. Qualcuno sa dove posso comprare i biglietti per il concerto di sabato? La mia macchina fa un rumore strano, quindi cerco un buon meccanico in questa zona.',
+    nl:
+      'Vandaag is het zulk mooi weer, dus zijn we met de hele familie naar het park gegaan en hebben we geluncht in een klein restaurant bij het meer. Iedereen was heel blij en de kinderen hebben de hele middag rondgerend. Ik denk dat het een van de mooiste dagen van het jaar was en ik zou het graag snel nog eens doen. Heel erg bedankt voor jullie lieve berichten, ze betekenen veel voor mij. Zijn jullie daar ooit geweest? Laat in de reacties weten wat jullie ervan vinden en deel dit met iedereen die het interessant zou kunnen vinden.' +
+      'De regering heeft nieuwe regels aangekondigd voor online winkelplatforms, die volgende maand ingaan. Volgens het rapport zijn de prijzen sinds het begin van het jaar flink gestegen en maken veel mensen zich zorgen over hun baan. Deskundigen zeggen dat de situatie kan verbeteren als de economie blijft groeien. Weet iemand waar ik kaartjes kan kopen voor het concert van zaterdag? Mijn auto maakt een vreemd geluid, dus ik zoek een goede monteur in deze buurt.',
+    id:
+      'Hari ini cuacanya sangat cerah, jadi kami pergi ke taman bersama seluruh keluarga dan makan siang di sebuah warung kecil dekat danau. Semua orang sangat senang dan anak-anak berlari sepanjang sore. Saya rasa ini adalah salah satu hari terbaik tahun ini dan saya ingin mengulanginya lagi segera. Terima kasih banyak untuk semua pesan yang baik, itu sangat berarti bagi saya. Apakah kalian pernah ke sana? Tulis pendapat kalian di kolom komentar dan bagikan kepada siapa saja yang mungkin tertarik.' +
+      'Pemerintah mengumumkan aturan baru untuk platform belanja daring yang akan berlaku mulai bulan depan. Menurut laporan tersebut, harga-harga telah naik cukup tinggi sejak awal tahun dan banyak orang khawatir dengan pekerjaan mereka. Para ahli mengatakan bahwa keadaan bisa membaik jika ekonomi terus tumbuh. Ada yang tahu di mana saya bisa membeli tiket untuk konser hari Sabtu? Mobil saya terus mengeluarkan suara aneh, jadi saya sedang mencari montir yang bagus di daerah ini.',
+    tl:
+      'Napakaganda ng panahon ngayon kaya pumunta kami sa parke kasama ang buong pamilya at kumain kami ng tanghalian sa isang maliit na kainan malapit sa lawa. Masayang-masaya ang lahat at tumakbo ang mga bata buong hapon. Sa tingin ko ito ay isa sa mga pinakamagandang araw ngayong taon at gusto kong ulitin ito sa lalong madaling panahon. Maraming salamat sa inyong lahat sa mga mensahe, malaking bagay iyon para sa akin. Nakapunta na ba kayo roon? Sabihin ninyo sa mga komento kung ano ang inyong palagay at ibahagi ito sa mga maaaring interesado.' +
+      'Nag-anunsyo ang pamahalaan ng mga bagong patakaran para sa mga online na tindahan na magsisimula sa susunod na buwan. Ayon sa ulat, tumaas nang malaki ang mga presyo mula sa simula ng taon at maraming tao ang nag-aalala sa kanilang trabaho. Sinasabi ng mga eksperto na maaaring bumuti ang sitwasyon kung patuloy na lalago ang ekonomiya. May nakakaalam ba kung saan ako makakabili ng tiket para sa konsiyerto sa Sabado? Laging may kakaibang tunog ang sasakyan ko kaya naghahanap ako ng magaling na mekaniko sa lugar na ito.'
+  },
+
+  profiles: null, // [{ language, vector, norm }], built from SAMPLES on first use
+  DEFAULT_ALLOWED: ['vi', 'en'],
+
+  // Every language code the detector can return
+  languages() {
+    return [...Object.keys(this.SAMPLES), ...this.SCRIPTS.map(([language]) => language)];
+  },
+
+  /**
+   * Stored language filter settings with defaults (the caller checks the action)
+   * @param {Object} stored - { enabled, allowed: [code], action }
+   * @returns {{enabled: boolean, allowed: string[], action: string}}
+   */
+  settings(stored) {
+    const languages = this.languages();
+    return {
+      enabled: !!stored && stored.enabled === true,
+      allowed: stored && Array.isArray(stored.allowed)
+        ? stored.allowed.filter(language => languages.includes(language))
+        : [...this.DEFAULT_ALLOWED],
+      action: (stored && stored.action) || 'collapse'
+    };
+  },
+
+  // Trigram counts of the words, padded with a space on each side (" th", "the", "he ")
+  trigrams(text) {
+    const counts = new Map();
+    for (const [word] of text.toLowerCase().matchAll(/\p{L}+/gu)) {
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        const gram = padded.slice(i, i + 3);
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+      }
+    }
+    return counts;
+  },
+
+  norm(vector) {
+    let sum = 0;
+    for (const count of vector.values()) sum += count * count;
+    return Math.sqrt(sum);
+  },
+
+  buildProfiles() {
+    // Vietnamese is often typed without diacritics - give it a second profile for that
+    const samples = [
+      ...Object.entries(this.SAMPLES),
+      ['vi', normalizeText(this.SAMPLES.vi)]
+    ];
+    this.profiles = samples.map(([language, sample]) => {
+      const vector = this.trigrams(sample);
+      return { language, vector, norm: this.norm(vector) };
+    });
+  },
+
+  /**
+   * Guess the language of a text
+   * @param {string} text
+   * @returns {{language: string, confidence: number}|null} confidence 0-1; null when unsure
+   */
+  detect(text) {
+    // Links and handles are not language
+    const sample = (text || '').slice(0, this.MAX_SAMPLE).replace(/\S*[/@#]\S*/g, ' ');
+    const letters = sample.match(/\p{L}/gu) || [];
+    if (letters.length < this.MIN_SCRIPT_LETTERS) return null;
+
+    for (const [language, pattern] of this.SCRIPTS) {
+      const share = letters.filter(ch => pattern.test(ch)).length / letters.length;
+      if (share >= 0.5) return { language, confidence: share };
+      // Kanji-heavy Japanese: any kana at all beats Chinese, but only in text that is mostly Han and
+      // kana - a kaomoji like "(ツ)" in a Latin post is not Japanese
+      if (language === 'ja' && share > 0.05) {
+        const cjk = letters.filter(ch => pattern.test(ch) || /\p{Script=Han}/u.test(ch)).length / letters.length;
+        if (cjk >= 0.5) return { language, confidence: cjk };
+      }
+    }
+
+    const latin = letters.filter(ch => /\p{Script=Latin}/u.test(ch)).length / letters.length;
+    if (latin < 0.5 || letters.length < this.MIN_LETTERS) return null;
+
+    if (!this.profiles) this.buildProfiles();
+    const vector = this.trigrams(sample);
+    const norm = this.norm(vector);
+
+    // Best similarity per language
+    const scores = new Map();
+    for (const profile of this.profiles) {
+      let dot = 0;
+      for (const [gram, count] of vector) {
+        dot += count * (profile.vector.get(gram) || 0);
+      }
+      const similarity = dot / (norm * profile.norm);
+      if (similarity > (scores.get(profile.language) || 0)) scores.set(profile.language, similarity);
+    }
+
+    const [best, second] = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+    if (best[1] < this.MIN_SIMILARITY) return null;
+
+    // How far ahead of the runner-up: 0 = tie, 1 = nothing else comes close
+    const confidence = (best[1] - second[1]) / best[1];
+    return confidence >= this.MIN_CONFIDENCE ? { language: best[0], confidence } : null;
+  }
+};
+
+
+/**
+ * FeedModules - Recognizes whole feed modules that have no post text worth matching
+ * Reels carousels, the Stories tray, "People You May Know", suggested groups and follow suggestions.
+ * A module is recognized by its heading or aria-label, by links to several reels, or by a list of
+ * cards that each carry the same button. Stories are only recognized by their heading.
+ * Headings and button labels cover the Vietnamese and English Facebook UI; they are compared
+ * through normalizeText() from the content script, so diacritics and case don't matter.
+ */
+const FeedModules = {
+  TYPES: ['reels', 'stories', 'people', 'groups', 'follow'],
+  MIN_ITEMS: 2, // a single reel link is an ordinary post, a carousel links to several
+  MIN_CARDS: 3, // a reshare shows two Follow buttons (sharer and original page), a carousel more
+
+  // Normalized; the whole heading or aria-label must match
+  HEADINGS: {
+    reels: ['reels', 'reels and short videos', 'reels va video ngan', 'video ngan', 'short videos'],
+    stories: ['stories', 'create story', 'tao tin'],
+    people: ['people you may know', 'nhung nguoi ban co the biet', 'nguoi ban co the biet', 'friend suggestions', 'goi y ket ban'],
+    groups: ['suggested groups', 'groups you might like', 'nhom goi y', 'nhom goi y cho ban', 'nhom duoc de xuat', 'nhom ban co the thich'],
+    follow: ['people to follow', 'suggested pages', 'pages you may like', 'goi y theo doi', 'nguoi ban co the theo doi', 'trang ban co the thich']
+  },
+
+  // Only trusted as an aria-label: "tin" is also the Vietnamese word for news
+  LABELS: {
+    stories: ['tin']
+  },
+
+  // Each card in the module links to its own reel
+  LINK_PATTERNS: {
+    reels: /\/reels?\/[\w-]+/
+  },
+
+  // Each card in the module's list has one of these buttons
+  BUTTONS: {
+    people: ['add friend', 'them ban be', 'them ban'],
+    groups: ['join group', 'join', 'tham gia nhom', 'tham gia'],
+    follow: ['follow', 'theo doi']
+  },
+
+  /**
+   * Stored settings with every module type off unless switched on
+   * @param {Object} stored - { reels, stories, people, groups, follow }
+   * @returns {Object} { type: boolean }
+   */
+  settings(stored = {}) {
+    return Object.fromEntries(this.TYPES.map(type => [type, !!stored && stored[type] === true]));
+  },
+
+  anyEnabled(settings) {
+    return this.TYPES.some(type => settings[type]);
+  },
+
+  key(text) {
+    return normalizeText(text || '').replace(/\s+/g, ' ').trim().replace(/[\s:.!]+$/, '');
+  },
+
+  /**
+   * Module type of a feed unit, checking only the enabled types
+   * @param {Object} signals - { headings: string[], labels: string[], links: string[], cards: string[][] }
+   *   cards holds the button labels of each list item in the unit
+   * @param {Object} types - { type: boolean }, from settings()
+   * @returns {{type: string, signal: string}|null} signal is 'heading', 'links' or 'buttons'
+   */
+  classify(signals, types) {
+    const labels = (signals.labels || []).map(text => this.key(text));
+    const headings = [...(signals.headings || []).map(text => this.key(text)), ...labels];
+    const cards = (signals.cards || []).map(buttons => buttons.map(text => this.key(text)));
+    const links = signals.links || [];
+
+    for (const type of this.TYPES.filter(type => types[type])) {
+      if (headings.some(heading => this.HEADINGS[type].includes(heading)) ||
+          labels.some(label => (this.LABELS[type] || []).includes(label))) {
+        return { type, signal: 'heading' };
+      }
+
+      const pattern = this.LINK_PATTERNS[type];
+      if (pattern) {
+        const targets = new Set(links.map(link => (link.match(pattern) || [])[0]).filter(Boolean));
+        if (targets.size >= this.MIN_ITEMS) return { type, signal: 'links' };
+      }
+
+      const buttons = this.BUTTONS[type];
+      if (buttons && cards.filter(card => card.some(button => buttons.includes(button))).length >= this.MIN_CARDS) {
+        return { type, signal: 'buttons' };
+      }
+    }
+    return null;
+  }
+};
+
+/**
+ * SponsoredDetector - Finds "Sponsored" labels that Facebook hides from textContent
+ * The label may be split into single-letter spans mixed with hidden decoy letters, shuffled with
+ * flexbox `order`, or only reachable through aria-label, aria-labelledby or an SVG <use> of a <text>.
+ * Labels are rebuilt from what is rendered: hidden elements are skipped and flex children are read in
+ * visual order. A view supplies computed styles and id lookup, so the DOM walk stays testable:
+ *   { style: element => CSSStyleDeclaration-like, byId: id => Element|null }
+ * Text is compared through normalizeText() from the content script.
+ */
+const SponsoredDetector = {
+  CANDIDATE_SELECTOR: 'a, [aria-label], [aria-labelledby], svg',
+  MAX_LABEL_LENGTH: 40, // letters in a label; longer text is a sentence that mentions the word
+  MAX_RAW_LENGTH: 400, // skip rebuilding big subtrees such as a whole post body
+
+  // Lowercase letters and digits only, so "S·p o-n" and "Sp on" compare equal
+  compact(text) {
+    return normalizeText(text || '').replace(/[^\p{L}\p{N}]/gu, '');
+  },
+
+  // Decoy letters are hidden outright, or are single letters taken out of the line with absolute
+  // positioning; a positioned wrapper around a real label is still read
+  isHidden(style, element) {
+    if (!style) return false;
+    if (style.display === 'none' ||
+      style.visibility === 'hidden' || style.visibility === 'collapse' ||
+      parseFloat(style.opacity) === 0 ||
+      parseFloat(style.fontSize) === 0) return true;
+    return (style.position === 'absolute' || style.position === 'fixed') && !!element && this.isLetter(element);
+  },
+
+  // Element with only text inside, showing at most one letter or digit
+  isLetter(element) {
+    return [...element.childNodes].every(child => child.nodeType === 3) && this.compact(element.textContent).length <= 1;
+  },
+
+  // Element an SVG <use> draws, from href or the older xlink:href
+  useTarget(element, view) {
+    const ref = element.getAttribute('href') || element.getAttribute('xlink:href') || '';
+    return ref.startsWith('#') ? view.byId(ref.slice(1)) : null;
+  },
+
+  /**
+   * Text as rendered: hidden descendants skipped, flex children in `order`
+   * @param {Node} node
+   * @param {Object} view
+   * @param {boolean} root - The element itself is read even when hidden (e.g. an aria-labelledby target)
+   * @returns {string}
+   */
+  visibleText(node, view, root = true) {
+    if (node.nodeType === 3) return node.data;
+    if (node.nodeType !== 1) return '';
+
+    const style = view.style(node);
+    if (!root && this.isHidden(style, node)) return '';
+    if (node.localName === 'use') {
+      const target = this.useTarget(node, view);
+      return target ? target.textContent : '';
+    }
+
+    let children = [...node.childNodes];
+    if (style && (style.display === 'flex' || style.display === 'inline-flex')) {
+      const order = child => (child.nodeType === 1 ? parseInt(view.style(child)?.order, 10) || 0 : 0);
+      // Whitespace between flex items is not rendered
+      children = children
+        .filter(child => child.nodeType !== 3 || child.data.trim())
+        .map((child, index) => ({ child, index, order: order(child) }))
+        .sort((a, b) => a.order - b.order || a.index - b.index)
+        .map(item => item.child);
+    }
+    return children.map(child => this.visibleText(child, view, false)).join('');
+  },
+
+  /**
+   * Every label an element shows or announces, visible text first
+   * @param {Element} element
+   * @param {Object} view
+   * @returns {Array<{text: string, via: string}>} via is 'text', 'aria-label' or 'aria-labelledby'
+   */
+  labels(element, view) {
+    const labels = [];
+    if ((element.textContent || '').length <= this.MAX_RAW_LENGTH) {
+      labels.push({ text: this.visibleText(element, view), via: 'text' });
+    }
+
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel) labels.push({ text: ariaLabel, via: 'aria-label' });
+
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/)
+      .map(id => id && view.byId(id))
+      .filter(Boolean);
+    if (labelledBy.length > 0) {
+      labels.push({ text: labelledBy.map(target => this.visibleText(target, view)).join(' '), via: 'aria-labelledby' });
+    }
+    return labels;
+  },
+
+  /**
+   * First candidate whose label contains one of the patterns
+   * @param {Iterable<Element>} candidates - Elements matching CANDIDATE_SELECTOR, in document order
+   * @param {string[]} patterns - Label texts such as 'Sponsored', 'Được tài trợ'
+   * @param {Object} view
+   * @returns {{element: Element, label: string, pattern: string, via: string}|null}
+   */
+  find(candidates, patterns, view) {
+    const keys = patterns
+      .map(pattern => ({ pattern, key: this.compact(pattern) }))
+      .filter(item => item.key);
+    if (keys.length === 0) return null;
+
+    for (const element of candidates) {
+      for (const { text, via } of this.labels(element, view)) {
+        const label = this.compact(text);
+        if (!label || label.length > this.MAX_LABEL_LENGTH) continue;
+
+        const hit = keys.find(item => label.includes(item.key));
+        if (hit) return { element, label: text.replace(/\s+/g, ' ').trim(), pattern: hit.pattern, via };
+      }
+    }
+    return null;
+  }
+};
+
+/**
+ * DuplicateDetector - Recognizes the same viral post shared again by other pages and people
+ * A post body is reduced to a bottom-k sketch of its hashed word shingles, so copies with a few
+ * words changed still compare as near-identical. Each fingerprint keeps the sources (authors) it was
+ * seen from, in first-seen order; the first `threshold` sources inside the rolling window are shown,
+ * later ones are duplicates. Same author twice counts once, so re-rendering a post is harmless.
+ * Store: { version, entries: [{ sketch: number[], sources: [{ id, at }] }] } in chrome.storage.local.
+ * Fingerprints are looked up through an in-memory index of their sketch hashes, so a post is only
+ * compared with fingerprints it shares a shingle with, not with the whole store.
+ * sketch() relies on normalizeText() from the content script.
+ */
+const DuplicateDetector = {
+  VERSION: 1,
+  SHINGLE_WORDS: 3,
+  SKETCH_SIZE: 24,
+  MIN_WORDS: 12, // "Chúc mừng sinh nhật!" is repeated everywhere without being a copy
+  SIMILARITY: 0.6, // estimated Jaccard similarity at which two bodies are copies
+  MAX_ENTRIES: 1000, // oldest fingerprints are dropped beyond this to stay within storage quota
+  MAX_SOURCES: 50,
+  DEFAULT_THRESHOLD: 2,
+  MAX_THRESHOLD: 20,
+  DEFAULT_WINDOW_HOURS: 24,
+  MAX_WINDOW_HOURS: 24 * 30,
+  indexes: new WeakMap(), // store -> index; never saved, rebuilt when store.entries is replaced
+
+  /**
+   * Stored settings with defaults
+   * @param {Object} stored - { enabled, threshold, windowHours }
+   * @returns {{enabled: boolean, threshold: number, windowHours: number}}
+   */
+  settings(stored = {}) {
+    const value = stored || {};
+    const inRange = (number, max, fallback) =>
+      Number.isInteger(number) && number >= 1 && number <= max ? number : fallback;
+    return {
+      enabled: value.enabled === true,
+      threshold: inRange(Number(value.threshold), this.MAX_THRESHOLD, this.DEFAULT_THRESHOLD),
+      windowHours: inRange(Number(value.windowHours), this.MAX_WINDOW_HOURS, this.DEFAULT_WINDOW_HOURS)
+    };
+  },
+
+  empty() {
+    return { version: this.VERSION, entries: [] };
+  },
+
+  /**
+   * Stored fingerprints, or an empty store when they are missing or malformed
+   * @param {*} store
+   * @returns {Object}
+   */
+  normalize(store) {
+    const valid = !!store && store.version === this.VERSION && Array.isArray(store.entries) &&
+      store.entries.every(entry =>
+        !!entry && Array.isArray(entry.sketch) && entry.sketch.every(Number.isInteger) &&
+        Array.isArray(entry.sources) && entry.sources.every(source =>
+          !!source && typeof source.id === 'string' && Number.isFinite(source.at)));
+    return valid ? store : this.empty();
+  },
+
+  // 32-bit FNV-1a
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  },
+
+  /**
+   * Bottom-k sketch of a post body: the SKETCH_SIZE smallest hashes of its word shingles
+   * @param {string} text
+   * @returns {number[]|null} Sorted hashes, or null when the body is too short to fingerprint
+   */
+  sketch(text) {
+    const words = normalizeText(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length < this.MIN_WORDS) return null;
+
+    const hashes = new Set();
+    for (let i = 0; i + this.SHINGLE_WORDS <= words.length; i++) {
+      hashes.add(this.hash(words.slice(i, i + this.SHINGLE_WORDS).join(' ')));
+    }
+    return [...hashes].sort((a, b) => a - b).slice(0, this.SKETCH_SIZE);
+  },
+
+  // Jaccard estimate: share of the k smallest hashes of both sketches that are in each of them
+  similarity(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    const union = [...new Set([...a, ...b])].sort((x, y) => x - y).slice(0, this.SKETCH_SIZE);
+    if (union.length === 0) return 0;
+    return union.filter(hash => setA.has(hash) && setB.has(hash)).length / union.length;
+  },
+
+  // Forget sources outside the window and fingerprints with none left
+  prune(store, now, windowMs) {
+    for (const entry of store.entries) {
+      entry.sources = entry.sources.filter(source => now - source.at < windowMs);
+    }
+    // Keep the array (and its index) when nothing expired
+    const kept = store.entries.filter(entry => entry.sources.length > 0);
+    if (kept.length !== store.entries.length) store.entries = kept;
+  },
+
+  /**
+   * Index of a store's fingerprints: exact sketches, and entries by each hash of their sketch
+   * @param {Object} store
+   * @returns {{entries: Object[], size: number, exact: Map, byHash: Map, order: Map}}
+   */
+  index(store) {
+    const cached = this.indexes.get(store);
+    if (cached && cached.entries === store.entries && cached.size === store.entries.length) return cached;
+
+    const index = { entries: store.entries, size: 0, exact: new Map(), byHash: new Map(), order: new Map() };
+    store.entries.forEach(entry => this.indexEntry(index, entry));
+    this.indexes.set(store, index);
+    return index;
+  },
+
+  indexEntry(index, entry) {
+    index.order.set(entry, index.size++);
+    if (!index.exact.has(entry.sketch.join())) index.exact.set(entry.sketch.join(), entry);
+    for (const hash of entry.sketch) {
+      if (!index.byHash.has(hash)) index.byHash.set(hash, []);
+      index.byHash.get(hash).push(entry);
+    }
+  },
+
+  add(store, entry) {
+    const index = this.index(store);
+    store.entries.push(entry);
+    this.indexEntry(index, entry);
+    return entry;
+  },
+
+  // Fingerprint most similar to a sketch, if any is similar enough to be a copy.
+  // Copies share most of their hashes, so only entries sharing one are compared
+  closest(store, sketch) {
+    const index = this.index(store);
+    const exact = index.exact.get(sketch.join());
+    if (exact) return exact;
+
+    const candidates = new Set(sketch.flatMap(hash => index.byHash.get(hash) || []));
+    let best = null;
+    let bestSimilarity = this.SIMILARITY;
+    for (const entry of [...candidates].sort((a, b) => index.order.get(a) - index.order.get(b))) {
+      const similarity = this.similarity(sketch, entry.sketch);
+      if (similarity >= bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+    return best;
+  },
+
+  // Drop the least recently seen fingerprints beyond MAX_ENTRIES
+  cap(store) {
+    if (store.entries.length <= this.MAX_ENTRIES) return;
+    const lastSeen = new Map(store.entries.map(entry => [entry, Math.max(...entry.sources.map(source => source.at))]));
+    store.entries.sort((a, b) => lastSeen.get(b) - lastSeen.get(a));
+    store.entries = store.entries.slice(0, this.MAX_ENTRIES);
+  },
+
+  /**
+   * Record a post and tell whether it is a duplicate (mutates the store)
+   * @param {Object} store
+   * @param {string} text - Post body
+   * @param {string} source - Who posted it (author profile key or name)
+   * @param {Object} settings - From settings()
+   * @param {number} now - Timestamp in ms
+   * @returns {{duplicate: boolean, copy: number, changed: boolean}|null} copy is the source's 1-based
+   *   position among copies in the window; null when the body is too short to fingerprint
+   */
+  observe(store, text, source, settings, now = Date.now()) {
+    const sketch = this.sketch(text);
+    if (!sketch) return null;
+
+    this.prune(store, now, settings.windowHours * 60 * 60 * 1000);
+
+    let best = this.closest(store, sketch);
+    let changed = false;
+    if (!best) best = this.add(store, { sketch, sources: [] });
+
+    let index = best.sources.findIndex(item => item.id === source);
+    if (index === -1 && best.sources.length < this.MAX_SOURCES) {
+      best.sources.push({ id: source, at: now });
+      index = best.sources.length - 1;
+      changed = true;
+    }
+    if (index === -1) index = best.sources.length;
+    if (changed) this.cap(store);
+
+    return { duplicate: index >= settings.threshold, copy: index + 1, changed };
+  },
+
+  /**
+   * Fold another store into this one (mutates it), so tabs saving their own sightings don't
+   * overwrite each other. Copies are joined as in observe(); a source keeps its earliest sighting
+   * and sources stay in first-seen order
+   * @param {Object} store
+   * @param {Object} other - Normalized store, e.g. the one in chrome.storage.local
+   * @returns {Object} store
+   */
+  merge(store, other) {
+    for (const entry of other.entries) {
+      const match = this.closest(store, entry.sketch);
+      if (!match) {
+        this.add(store, { sketch: entry.sketch, sources: entry.sources.map(source => ({ ...source })) });
+        continue;
+      }
+
+      for (const source of entry.sources) {
+        const known = match.sources.find(item => item.id === source.id);
+        if (known) {
+          known.at = Math.min(known.at, source.at);
+        } else {
+          match.sources.push({ ...source });
+        }
+      }
+      match.sources.sort((a, b) => a.at - b.at);
+      match.sources = match.sources.slice(0, this.MAX_SOURCES);
+    }
+    this.cap(store);
+    return store;
+  }
+};
+
 /**
  * Migration - v1 to v2 data migration
  */
 const Migration = {
+  // Per-keyword flags where null inherits the global setting (v3)
+  TRI_STATE_FLAGS: ['caseSensitive', 'ignoreDiacritics'],
+
   async migrateV1ToV2() {
     try {
       const syncData = await chrome.storage.sync.get(['keywords', 'version', 'enabled']);
 
-      if (syncData.version === 2) {
+      if (syncData.version >= 2) {
         return { migrated: false, count: 0 };
       }
 
@@ -241,6 +2109,35 @@ const Migration = {
       console.error('[FB Blocker] Migration error:', error);
       return { migrated: false, count: 0 };
     }
+  },
+
+  // v2 keywords stored false for "use the global setting"; from v3 false turns the setting off
+  async migrateV2ToV3() {
+    try {
+      const { version } = await chrome.storage.sync.get('version');
+      if (version !== 2) {
+        return { migrated: false, count: 0 };
+      }
+
+      const { keywords = [] } = await chrome.storage.local.get('keywords');
+      let count = 0;
+      const newKeywords = keywords.map(kw => {
+        if (typeof kw !== 'object' || !this.TRI_STATE_FLAGS.some(flag => kw[flag] === false)) return kw;
+        count++;
+        const updated = { ...kw };
+        this.TRI_STATE_FLAGS.forEach(flag => {
+          if (updated[flag] === false) updated[flag] = null;
+        });
+        return updated;
+      });
+
+      if (count > 0) await chrome.storage.local.set({ keywords: newKeywords });
+      await chrome.storage.sync.set({ version: 3 });
+      return { migrated: count > 0, count };
+    } catch (error) {
+      console.error('[FB Blocker] Migration error:', error);
+      return { migrated: false, count: 0 };
+    }
   }
 };
 
@@ -249,15 +2146,51 @@ const Migration = {
 // ============================================
 
 let matcher = new KeywordMatcher([], []);
+let authorMatcher = new AuthorMatcher([], []);
+let domainMatcher = new DomainMatcher([], []);
 let enabled = true;
+let scheduleActive = true; // false while a schedule for the whole blocker is closed
+let schedules = [];
+let manualDisabledCategories = []; // disabledCategories from storage, before schedules
+let scheduleTimer = null;
+let expiryTimer = null;
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000; // re-check at least daily for far-off expiries
 let blockComments = true;
 let showPlaceholder = true; // false = completely remove from DOM
+let caseSensitive = false;
+let ignoreDiacritics = false;
+let showReason = true; // show which rule fired in placeholders
+let builtInRules = { disabled: [], custom: [], showPlaceholder: true };
+let categoryActions = {}; // { category: action } - overrides the global default per category
+let classifierEnabled = false; // learn from feedback and use the model as an extra signal
+let classifierThreshold = 90; // % confidence needed before the model hides a post
+let classifierModel = Classifier.empty();
+let commentSpam = SpamHeuristics.settings(); // { enabled, signals } for comment spam heuristics
+const SPAM_STATS_KEY = 'commentSpamStats';
+let languageFilter = LanguageDetector.settings(); // { enabled, allowed, action } - hide posts in other languages
+let feedModules = FeedModules.settings(); // { reels, stories, people, groups, follow } - module types to hide
+const MODULE_STATS_KEY = 'feedModuleStats';
+let duplicatePosts = DuplicateDetector.settings(); // { enabled, threshold, windowHours } - hide repeated copies
+let duplicateStore = DuplicateDetector.empty(); // fingerprints, kept in chrome.storage.local across sessions
+let duplicateVerdicts = new WeakMap(); // post -> observe() result, so a post is counted once
+let duplicateSaveTimer = null;
+const DUPLICATE_SAVE_MS = 2000; // fingerprints are written at most this often while scrolling
+let activeAdsPatterns = []; // [{ pattern, normalized }] built from builtInRules
+let sponsoredChecked = new WeakMap(); // post -> text length when its labels were last rebuilt
+const DOM_VIEW = { style: element => getComputedStyle(element), byId: id => document.getElementById(id) };
+let currentPath = location.pathname; // for scoped rules; Facebook navigates without reloading
 let observer = null;
 let debounceTimer = null;
 const DEBOUNCE_MS = 150; // Reduced for faster response to new posts
 
+// What to do with a matched post/comment, strongest first.
+// When several rules match, the strongest action wins.
+const RULE_ACTIONS = ['remove', 'hide', 'collapse', 'blur', 'highlight'];
+const ACTION_CLASSES = ['fb-blocker-blurred', 'fb-blocker-collapsed', 'fb-blocker-highlighted'];
+
 // Text content cache for performance (WeakMap doesn't prevent GC of elements)
 const textCache = new WeakMap();
+const fieldCache = new WeakMap();
 const CACHE_TTL = 5000; // 5 seconds
 
 function getCachedText(element) {
@@ -270,6 +2203,76 @@ function getCachedText(element) {
   return text;
 }
 
+/**
+ * Text of a feed unit split into KEYWORD_FIELDS, so a word in a comment or in a share's
+ * attribution does not count as the post saying it
+ * @param {Element} container - Post container from findPostContainer
+ * @returns {{body: string, author: string, shared: string, preview: string, comments: string, alt: string, aria: string}}
+ *   body: the post message (or the unit's text without the other fields), author: header line(s),
+ *   shared: the shared/quoted post, preview: link card title, description and domain,
+ *   comments: visible comments, alt: image alt text (including Facebook's "May be an image of text
+ *   that says '...'"), aria: aria-labels - the last two outside comments
+ */
+function getCachedFields(container) {
+  const cached = fieldCache.get(container);
+  if (cached && Date.now() - cached.time < CACHE_TTL) {
+    return cached.fields;
+  }
+
+  const unique = values => [...new Set(values.map(value => (value || '').trim()).filter(Boolean))].join('\n');
+  const comments = getPostComments(container);
+  const own = element => !comments.some(comment => comment.contains(element));
+  const ownAll = selector => [...container.querySelectorAll(selector)].filter(own);
+
+  // The first message is the post's own; later ones belong to the post it shares
+  const messages = ownAll('[data-ad-preview="message"], [data-ad-comet-preview="message"]')
+    .filter((message, index, all) => !all.some(other => other !== message && other.contains(message)));
+  const headings = ownAll('h2, h3, h4');
+  const previews = getLinkPreviews(container).filter(own);
+
+  const author = headings[0]?.textContent || '';
+  const shared = [...headings.slice(1), ...messages.slice(1)].map(el => el.textContent);
+  const others = [author, ...shared, ...previews.map(card => card.textContent), ...comments.map(comment => comment.textContent)];
+
+  const fields = {
+    body: messages.length > 0
+      ? messages[0].textContent
+      : others.filter(Boolean).reduce((text, part) => text.replace(part, '\n'), getCachedText(container)),
+    author,
+    shared: unique(shared),
+    preview: unique(previews.map(card => card.textContent)),
+    comments: unique(comments.map(comment => comment.textContent)),
+    alt: unique(ownAll('img[alt]').map(img => img.getAttribute('alt'))),
+    // Buttons ("Like", "Comment") are not content
+    aria: unique(ownAll('[aria-label]:not(button):not([role="button"]):not([role="article"])')
+      .map(el => el.getAttribute('aria-label')))
+  };
+  fieldCache.set(container, { fields, time: Date.now() });
+  return fields;
+}
+
+// Top-level comments of a post: articles whose nearest article ancestor is the post itself
+function getPostComments(container) {
+  const post = container.matches('[role="article"]') ? container : container.querySelector('[role="article"]');
+  if (!post) return [];
+  return [...post.querySelectorAll('[role="article"]')]
+    .filter(article => article.parentElement.closest('[role="article"]') === post);
+}
+
+// Link cards: external links outside the post message (links typed in the message are part of its text)
+function getLinkPreviews(element) {
+  return [...element.querySelectorAll('a[href]')].filter(link =>
+    !link.closest('[data-ad-preview="message"], [data-ad-comet-preview="message"]') &&
+    DomainMatcher.hostOf(link.href) !== null &&
+    link.textContent.trim());
+}
+
+// Hidden, or revealed with Show: later rules leave it alone. A highlighted post is not settled,
+// a hiding rule found after the highlight still applies (the strongest action wins)
+function isSettled(post) {
+  return post.dataset.fbBlocked === 'true' || post.dataset.fbBlocked === 'shown';
+}
+
 /**
  * Find the actual post container by traversing up the DOM
  * Facebook posts are wrapped in specific containers we need to hide
@@ -285,13 +2288,9 @@ function findPostContainer(element) {
       const role = current.getAttribute('role');
 
       // Primary: FeedUnit containers (most reliable)
-      if (pagelet && pagelet.startsWith('FeedUnit')) {
-        return current;
-      }
-
       // Secondary: article role (standard accessibility)
-      if (role === 'article') {
-        return current;
+      if ((pagelet && pagelet.startsWith('FeedUnit')) || role === 'article') {
+        return outermostPost(current);
       }
     }
 
@@ -303,6 +2302,36 @@ function findPostContainer(element) {
   return element;
 }
 
+// Comments are articles nested in the post: climb to the feed unit that holds them
+function outermostPost(container) {
+  let outer;
+  while ((outer = container.parentElement?.closest('[data-pagelet^="FeedUnit"], [role="article"]'))) {
+    container = outer;
+  }
+  return container;
+}
+
+/**
+ * Get the author of a post: the first profile/page link in its header
+ * @param {Element} container - Post container
+ * @returns {{name: string, url: string}|null}
+ */
+function getPostAuthor(container) {
+  const link = container.querySelector('h2 a[href], h3 a[href], h4 a[href], strong a[href]');
+  if (!link) return null;
+
+  const name = link.textContent.trim();
+  const url = link.getAttribute('href') || '';
+  return name || url ? { name, url } : null;
+}
+
+// Link targets in a post (text links and link-preview cards), skipping links inside comments
+function getPostLinks(container) {
+  return [...container.querySelectorAll('a[href]')]
+    .filter(link => !link.closest('[role="article"]')?.parentElement?.closest('[role="article"]'))
+    .map(link => link.href);
+}
+
 init().catch(err => console.error('[FB Blocker] Init failed:', err));
 
 async function init() {
@@ -310,6 +2339,7 @@ async function init() {
 
   // Run migration first
   await Migration.migrateV1ToV2();
+  await Migration.migrateV2ToV3();
 
   await loadSettings();
   debugLog('Settings loaded:', { enabled, blockComments, keywordCount: matcher.count });
@@ -335,11 +2365,100 @@ async function init() {
       if (changes.keywords || changes.whitelist) {
         const { keywords = [], whitelist = [] } = await chrome.storage.local.get(['keywords', 'whitelist']);
         matcher.update(keywords, whitelist);
+        armExpiryTimer();
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.domainRules || changes.domainWhitelist) {
+        const { domainRules = [], domainWhitelist = [] } = await chrome.storage.local.get(['domainRules', 'domainWhitelist']);
+        domainMatcher.update(domainRules, domainWhitelist);
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.classifierModel) {
+        // Feedback only trains; posts already hidden stay as they are
+        classifierModel = Classifier.normalize(changes.classifierModel.newValue);
+        filterContent();
+      }
+      if (changes.blockedAuthors || changes.allowedAuthors) {
+        const { blockedAuthors = [], allowedAuthors = [] } = await chrome.storage.local.get(['blockedAuthors', 'allowedAuthors']);
+        authorMatcher.update(blockedAuthors, allowedAuthors);
+        resetHiddenPosts();
+        filterContent();
+      }
+      // Our own saves land here too; only a clear from the options page starts over
+      if (changes.duplicateFingerprints && !changes.duplicateFingerprints.newValue?.entries?.length) {
+        clearTimeout(duplicateSaveTimer);
+        duplicateStore = DuplicateDetector.empty();
+        duplicateVerdicts = new WeakMap();
         resetHiddenPosts();
         filterContent();
       }
     }
     if (areaName === 'sync') {
+      if (changes.disabledCategories || changes.schedules) {
+        if (changes.disabledCategories) manualDisabledCategories = changes.disabledCategories.newValue || [];
+        if (changes.schedules) schedules = changes.schedules.newValue || [];
+        const disabledCategories = applySchedules();
+        matcher.update(matcher.keywords, matcher.whitelist, { disabledCategories });
+        domainMatcher.update(domainMatcher.rules, domainMatcher.whitelist, { disabledCategories });
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.categoryScopes) {
+        const categoryScopes = changes.categoryScopes.newValue || {};
+        matcher.update(matcher.keywords, matcher.whitelist, { categoryScopes });
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.categoryThresholds) {
+        const categoryThresholds = changes.categoryThresholds.newValue || {};
+        matcher.update(matcher.keywords, matcher.whitelist, { categoryThresholds });
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.canonicalCategories) {
+        const canonicalCategories = changes.canonicalCategories.newValue || [];
+        matcher.update(matcher.keywords, matcher.whitelist, { canonicalCategories });
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.categoryActions) {
+        categoryActions = changes.categoryActions.newValue || {};
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.builtInRules) {
+        applyBuiltInRules(changes.builtInRules.newValue);
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.classifier) {
+        applyClassifierSettings(changes.classifier.newValue);
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.commentSpam) {
+        commentSpam = SpamHeuristics.settings(changes.commentSpam.newValue);
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.languageFilter) {
+        languageFilter = LanguageDetector.settings(changes.languageFilter.newValue);
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.feedModules) {
+        feedModules = FeedModules.settings(changes.feedModules.newValue);
+        resetHiddenPosts();
+        filterContent();
+      }
+      if (changes.duplicatePosts) {
+        duplicatePosts = DuplicateDetector.settings(changes.duplicatePosts.newValue);
+        duplicateVerdicts = new WeakMap();
+        resetHiddenPosts();
+        filterContent();
+      }
       if (changes.enabled) {
         enabled = changes.enabled.newValue !== false;
         if (!enabled) {
@@ -352,41 +2471,292 @@ async function init() {
         const settings = changes.settings.newValue || {};
         blockComments = settings.blockComments !== false;
         showPlaceholder = settings.showPlaceholder !== false;
+        caseSensitive = settings.caseSensitive === true;
+        ignoreDiacritics = settings.ignoreDiacritics === true;
+        showReason = settings.showReason !== false;
+        const scoreThreshold = settings.scoreThreshold;
+        matcher.update(matcher.keywords, matcher.whitelist, { caseSensitive, ignoreDiacritics, scoreThreshold });
         resetHiddenPosts();
         filterContent();
       }
     }
-  });
+  });
+}
+
+async function loadSettings() {
+  try {
+    const [localData, syncData] = await Promise.all([
+      chrome.storage.local.get(['keywords', 'whitelist', 'blockedAuthors', 'allowedAuthors', 'domainRules', 'domainWhitelist', 'classifierModel', 'duplicateFingerprints']),
+      chrome.storage.sync.get(['enabled', 'settings', 'disabledCategories', 'categoryActions', 'categoryScopes', 'canonicalCategories', 'categoryThresholds', 'builtInRules', 'schedules', 'classifier', 'commentSpam', 'languageFilter', 'feedModules', 'duplicatePosts'])
+    ]);
+
+    const keywords = localData.keywords || [];
+    const whitelist = localData.whitelist || [];
+    const settings = syncData.settings || {};
+    manualDisabledCategories = syncData.disabledCategories || [];
+    schedules = syncData.schedules || [];
+    const disabledCategories = applySchedules();
+    const categoryScopes = syncData.categoryScopes || {};
+    const canonicalCategories = syncData.canonicalCategories || [];
+    const categoryThresholds = syncData.categoryThresholds || {};
+
+    enabled = syncData.enabled !== false;
+    blockComments = settings.blockComments !== false;
+    showPlaceholder = settings.showPlaceholder !== false; // default true
+    caseSensitive = settings.caseSensitive === true;
+    ignoreDiacritics = settings.ignoreDiacritics === true;
+    showReason = settings.showReason !== false;
+    categoryActions = syncData.categoryActions || {};
+
+    debugLog('Keywords loaded:', keywords.map(k => typeof k === 'string' ? k : k.text));
+    debugLog('Whitelist:', whitelist.map(w => typeof w === 'string' ? w : w.text));
+    debugLog('Settings:', { enabled, scheduleActive, blockComments, showPlaceholder, caseSensitive, ignoreDiacritics, disabledCategories });
+
+    matcher.update(keywords, whitelist, {
+      disabledCategories, caseSensitive, ignoreDiacritics, categoryScopes, canonicalCategories,
+      scoreThreshold: settings.scoreThreshold, categoryThresholds, path: currentPath
+    });
+    armExpiryTimer();
+    authorMatcher.update(localData.blockedAuthors || [], localData.allowedAuthors || []);
+    domainMatcher.update(localData.domainRules || [], localData.domainWhitelist || [], { disabledCategories });
+    applyBuiltInRules(syncData.builtInRules);
+    applyClassifierSettings(syncData.classifier);
+    classifierModel = Classifier.normalize(localData.classifierModel);
+    commentSpam = SpamHeuristics.settings(syncData.commentSpam);
+    languageFilter = LanguageDetector.settings(syncData.languageFilter);
+    feedModules = FeedModules.settings(syncData.feedModules);
+    duplicatePosts = DuplicateDetector.settings(syncData.duplicatePosts);
+    duplicateStore = DuplicateDetector.normalize(localData.duplicateFingerprints);
+  } catch (error) {
+    console.error('[FB Blocker] loadSettings error:', error);
+  }
+}
+
+/**
+ * Evaluate schedules now and arm a timer for the next boundary
+ * @returns {string[]} Manually disabled categories plus those outside their schedule
+ */
+function applySchedules() {
+  clearTimeout(scheduleTimer);
+  const now = new Date();
+
+  scheduleActive = Schedule.isActive(schedules, 'all', now);
+  const closed = Schedule.targets(schedules)
+    .filter(target => target !== 'all' && !Schedule.isActive(schedules, target, now));
+
+  const next = Schedule.nextChange(schedules, now);
+  if (next) {
+    // A little past the boundary so the window has really opened/closed
+    scheduleTimer = setTimeout(onScheduleBoundary, next - now + 500);
+  }
+
+  debugLog('Schedules:', { scheduleActive, closed, next });
+  return [...new Set([...manualDisabledCategories, ...closed])];
+}
+
+// Swap the active rule set without a page reload
+function onScheduleBoundary() {
+  const disabledCategories = applySchedules();
+  matcher.update(matcher.keywords, matcher.whitelist, { disabledCategories });
+  domainMatcher.update(domainMatcher.rules, domainMatcher.whitelist, { disabledCategories });
+  resetHiddenPosts();
+  filterContent();
+}
+
+// Recompile when the next keyword expires so it stops matching without a reload
+function armExpiryTimer() {
+  clearTimeout(expiryTimer);
+  if (matcher.nextExpiry === null) return;
+
+  const delay = Math.min(matcher.nextExpiry - Date.now() + 500, MAX_TIMER_MS);
+  expiryTimer = setTimeout(() => {
+    if (Date.now() < matcher.nextExpiry) {
+      armExpiryTimer();
+      return;
+    }
+    matcher.compile();
+    armExpiryTimer();
+    resetHiddenPosts();
+    filterContent();
+  }, delay);
 }
 
-async function loadSettings() {
-  try {
-    const [localData, syncData] = await Promise.all([
-      chrome.storage.local.get(['keywords', 'whitelist']),
-      chrome.storage.sync.get(['enabled', 'settings'])
-    ]);
+function isRunning() {
+  return enabled && scheduleActive;
+}
 
-    const keywords = localData.keywords || [];
-    const whitelist = localData.whitelist || [];
-    const settings = syncData.settings || {};
+// Built-in patterns minus the ones switched off, plus user-added labels
+function applyBuiltInRules(rules = {}) {
+  builtInRules = {
+    disabled: rules.disabled || [],
+    custom: rules.custom || [],
+    showPlaceholder: rules.showPlaceholder !== false
+  };
 
-    enabled = syncData.enabled !== false;
-    blockComments = settings.blockComments !== false;
-    showPlaceholder = settings.showPlaceholder !== false; // default true
+  activeAdsPatterns = [...BUILT_IN_ADS_PATTERNS, ...builtInRules.custom]
+    .filter(pattern => pattern && !builtInRules.disabled.includes(pattern))
+    .map(pattern => ({ pattern, normalized: normalizeText(pattern) }));
+  sponsoredChecked = new WeakMap();
 
-    debugLog('Keywords loaded:', keywords.map(k => typeof k === 'string' ? k : k.text));
-    debugLog('Whitelist:', whitelist.map(w => typeof w === 'string' ? w : w.text));
-    debugLog('Settings:', { enabled, blockComments, showPlaceholder });
+  debugLog('Built-in rules:', activeAdsPatterns.map(p => p.pattern));
+}
+
+function applyClassifierSettings(settings = {}) {
+  classifierEnabled = settings.enabled === true;
+  const threshold = Number(settings.threshold);
+  classifierThreshold = Number.isInteger(threshold) && threshold >= 50 && threshold <= 99 ? threshold : 90;
+}
+
+// Keyword action > category action > global showPlaceholder setting
+function actionForMatch(entry) {
+  // Score matches have no single keyword and use the category action
+  const keywordAction = entry.keyword && typeof entry.keyword === 'object' ? entry.keyword.action : null;
+  if (RULE_ACTIONS.includes(keywordAction)) return keywordAction;
+
+  const categoryAction = categoryActions[entry.category];
+  if (RULE_ACTIONS.includes(categoryAction)) return categoryAction;
+
+  return showPlaceholder ? 'hide' : 'remove';
+}
+
+// The match whose action is strongest decides what happens (and is shown as the reason)
+function strongestMatch(matches) {
+  return matches.reduce((best, m) =>
+    RULE_ACTIONS.indexOf(actionForMatch(m)) < RULE_ACTIONS.indexOf(actionForMatch(best)) ? m : best
+  );
+}
+
+const SOURCE_LABEL_KEYS = {
+  keyword: 'reasonSourceKeyword',
+  regex: 'reasonSourceRegex',
+  expression: 'reasonSourceExpression',
+  wildcard: 'reasonSourceWildcard',
+  'built-in': 'reasonSourceBuiltIn',
+  author: 'reasonSourceAuthor',
+  domain: 'reasonSourceDomain',
+  score: 'reasonSourceScore',
+  classifier: 'reasonSourceClassifier',
+  feedback: 'reasonSourceFeedback',
+  heuristic: 'reasonSourceHeuristic',
+  language: 'reasonSourceLanguage',
+  module: 'reasonSourceModule',
+  duplicate: 'reasonSourceDuplicate'
+};
+
+const FEED_MODULE_LABEL_KEYS = {
+  reels: 'feedModuleReels',
+  stories: 'feedModuleStories',
+  people: 'feedModulePeople',
+  groups: 'feedModuleGroups',
+  follow: 'feedModuleFollow'
+};
+
+const SPAM_SIGNAL_LABEL_KEYS = {
+  contacts: 'spamSignalContacts',
+  emoji: 'spamSignalEmoji',
+  repeated: 'spamSignalRepeated',
+  phrases: 'spamSignalPhrases'
+};
+
+const CATEGORY_LABEL_KEYS = {
+  default: 'categoryDefault',
+  spam: 'categorySpam',
+  ads: 'categoryAds',
+  politics: 'categoryPolitics',
+  other: 'categoryOther'
+};
+
+// e.g. "bitcoin" · Spam · keyword
+// Score matches list every weighted term: "bitcoin" +6, "x2" +4 = 10/10 · Spam · score
+// Learned matches show their strongest words and confidence: "crypto", "signal" = 94% · learned
+// Comment spam lists the signals that fired: contact details +3, bot phrasing +2 = 5/3 · spam heuristics
+// Language matches name the detected language: French 42% · language
+// Feed modules name the module type: Reels · feed module
+// Duplicates tell which copy this was: copy 3 within 24 h · duplicate
+function describeMatch(match) {
+  if (match.source === 'feedback') {
+    return chrome.i18n.getMessage(SOURCE_LABEL_KEYS.feedback) || 'blocked by you';
+  }
+
+  const parts = [`"${match.term}"`];
+  if (match.source === 'score') {
+    const terms = match.breakdown.map(item => `"${item.term}" +${item.weight}`).join(', ');
+    parts[0] = `${terms} = ${match.score}/${match.threshold}`;
+  }
+  if (match.source === 'classifier') {
+    const terms = match.tokens.map(token => `"${token}"`).join(', ');
+    parts[0] = terms ? `${terms} = ${match.confidence}%` : `${match.confidence}%`;
+  }
+  if (match.source === 'language') {
+    parts[0] = `${languageName(match.language)} ${match.confidence}%`;
+  }
+  if (match.source === 'module') {
+    parts[0] = chrome.i18n.getMessage(FEED_MODULE_LABEL_KEYS[match.module]) || match.module;
+  }
+  if (match.source === 'duplicate') {
+    parts[0] = chrome.i18n.getMessage('duplicateCopy', [String(match.copy), String(match.windowHours)]) ||
+      `copy ${match.copy} within ${match.windowHours} h`;
+  }
+  if (match.source === 'heuristic') {
+    const signals = match.signals.map(item =>
+      `${chrome.i18n.getMessage(SPAM_SIGNAL_LABEL_KEYS[item.signal]) || item.signal} +${item.points}`);
+    parts[0] = `${signals.join(', ')} = ${match.score}/${match.threshold}`;
+  }
+  if (match.source === 'regex') {
+    parts.push(`/${match.text}/`);
+  }
+  if (match.source === 'expression' || match.source === 'wildcard') {
+    parts.push(match.text);
+  }
+  if (match.source === 'domain' && match.text !== match.term) {
+    parts.push(match.text);
+  }
+  if (match.category) {
+    parts.push(chrome.i18n.getMessage(CATEGORY_LABEL_KEYS[match.category]) || match.category);
+  }
+  parts.push(chrome.i18n.getMessage(SOURCE_LABEL_KEYS[match.source]) || match.source);
+  return parts.join(' · ');
+}
 
-    matcher.update(keywords, whitelist);
+// "French" in the browser's language, or the code when the name is unknown
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames([], { type: 'language' }).of(code) || code;
   } catch (error) {
-    console.error('[FB Blocker] loadSettings error:', error);
+    return code;
   }
 }
 
+// Reason line for placeholders, or null when hidden by the showReason setting
+function reasonText(match) {
+  if (!showReason || !match) return null;
+  const reason = describeMatch(match);
+  return chrome.i18n.getMessage('placeholderReason', [reason]) || `Reason: ${reason}`;
+}
+
+function hasActiveRules() {
+  return matcher.count > 0 || authorMatcher.count > 0 || domainMatcher.count > 0 || activeAdsPatterns.length > 0 ||
+    classifierEnabled || commentSpam.enabled || languageFilter.enabled || FeedModules.anyEnabled(feedModules) ||
+    duplicatePosts.enabled;
+}
+
+// Facebook is a single-page app: recompile scoped rules when the URL path changes
+function checkNavigation() {
+  if (location.pathname === currentPath) return;
+
+  currentPath = location.pathname;
+  debugLog('Navigated to', currentPath, getSurface(currentPath));
+  matcher.update(matcher.keywords, matcher.whitelist, { path: currentPath });
+  resetHiddenPosts();
+  filterContent();
+}
+
 function setupObserver() {
+  window.addEventListener('popstate', checkNavigation);
+
   observer = new MutationObserver(() => {
-    if (!enabled || matcher.count === 0) return;
+    checkNavigation();
+    if (!isRunning() || !hasActiveRules()) return;
 
     // Debounce filter calls for performance
     clearTimeout(debounceTimer);
@@ -402,9 +2772,9 @@ function setupObserver() {
 }
 
 function filterContent() {
-  if (!enabled || matcher.count === 0) return;
+  if (!isRunning() || !hasActiveRules()) return;
 
-  debugLog('filterContent called', { enabled, keywordCount: matcher.count });
+  debugLog('filterContent called', { enabled, scheduleActive, keywordCount: matcher.count });
 
   try {
     // Facebook post selectors (updated for current FB DOM - Dec 2024)
@@ -430,80 +2800,233 @@ function filterContent() {
       'div[data-pagelet="Feed"] div[dir="auto"]'
     ];
 
+    // Feed modules (Reels, Stories, suggestions) - recognized by structure, not by post text
+    // Feed units first; the Stories tray and some carousels sit outside them
+    const moduleSelectors = [
+      '[data-pagelet^="FeedUnit"]',
+      '[role="article"]',
+      '[data-pagelet="Stories"]',
+      '[data-pagelet*="Reels"]',
+      '[role="region"][aria-label]'
+    ];
+
     // Filter posts
     let totalPosts = 0;
     let blockedPosts = 0;
     const processedContainers = new Set();
 
+    // Feed modules: whole units hidden by type before any rule reads their text
+    if (FeedModules.anyEnabled(feedModules)) {
+      document.querySelectorAll(moduleSelectors.join(', ')).forEach(unit => {
+        // Comments are nested articles, and a module inside a hidden one is already gone
+        if (unit.parentElement?.closest('[role="article"], [data-pagelet^="FeedUnit"], [data-fb-blocked="true"]')) return;
+        if (!unit.isConnected) return;
+        if (isSettled(unit)) return;
+        // A region holding the whole feed is not a module
+        if (unit.querySelector('[role="feed"], [role="main"]')) return;
+        if (processedContainers.has(unit)) return;
+
+        const verdict = FeedModules.classify(getModuleSignals(unit), feedModules);
+        if (!verdict) return;
+
+        processedContainers.add(unit);
+        debugLog(`>>> BLOCKING (feed module ${verdict.type} by ${verdict.signal})`);
+        const match = { keyword: null, text: null, term: verdict.type, category: null, source: 'module', module: verdict.type };
+        hidePost(unit, actionForMatch(match), match);
+        blockedPosts++;
+      });
+    }
+
+    // Method 0: Author and linked-domain rules, checked once per post
+    // An always-shown author skips every other rule
+    if (authorMatcher.count > 0 || domainMatcher.count > 0) {
+      document.querySelectorAll('[data-pagelet^="FeedUnit"], [role="article"]').forEach(post => {
+        // Comments are nested articles; only look at top-level posts
+        if (post.parentElement?.closest('[role="article"], [data-pagelet^="FeedUnit"]')) return;
+        if (isSettled(post)) return;
+
+        const postContainer = findPostContainer(post);
+        if (processedContainers.has(postContainer)) return;
+
+        const author = authorMatcher.count > 0 ? getPostAuthor(postContainer) : null;
+        const verdict = author && authorMatcher.match(author);
+        if (verdict?.allowed) {
+          processedContainers.add(postContainer);
+          return;
+        }
+
+        let match = null;
+        let action = null;
+        if (verdict) {
+          match = { text: verdict.entry.text, term: author.name, category: null, source: 'author' };
+          action = showPlaceholder ? 'hide' : 'remove';
+        } else if (domainMatcher.count > 0) {
+          match = domainMatcher.match(getPostLinks(postContainer));
+          action = match && actionForMatch(match);
+        }
+        if (!match) return;
+
+        if (action !== 'highlight') processedContainers.add(postContainer);
+        debugLog(`>>> BLOCKING (${match.source}):`, match.term);
+        hidePost(postContainer, action, match);
+        blockedPosts++;
+      });
+    }
+
     // Method 1: Scan using selectors
+    // Every element found leads to its post, which is matched once, field by field
+    const checkedContainers = new Set();
     postSelectors.forEach((selector, idx) => {
       const posts = document.querySelectorAll(selector);
       if (posts.length > 0) {
         debugLog(`Selector ${idx} [${selector.substring(0, 30)}...] found ${posts.length} elements`);
       }
       totalPosts += posts.length;
+      if (matcher.count === 0) return;
 
       posts.forEach(post => {
-        if (post.dataset.fbBlocked === 'true' || post.dataset.fbBlocked === 'shown') return;
-
-        const text = getCachedText(post);
-
-        if (matcher.matches(text)) {
-          const postContainer = findPostContainer(post);
-          if (postContainer.dataset.fbBlocked === 'true' || postContainer.dataset.fbBlocked === 'shown') return;
-          if (processedContainers.has(postContainer)) return;
-
-          processedContainers.add(postContainer);
+        if (isSettled(post)) return;
+
+        const postContainer = findPostContainer(post);
+        if (isSettled(postContainer)) return;
+        if (processedContainers.has(postContainer) || checkedContainers.has(postContainer)) return;
+        checkedContainers.add(postContainer);
+
+        const matched = matcher.matchAll(getCachedFields(postContainer));
+        if (matched.length > 0) {
+          const match = strongestMatch(matched);
+          const action = actionForMatch(match);
+          if (action !== 'highlight') processedContainers.add(postContainer);
           debugLog('>>> BLOCKING (selector):', postContainer.tagName, postContainer.getAttribute('data-pagelet') || postContainer.getAttribute('role'));
-          hidePost(postContainer);
+          hidePost(postContainer, action, match);
           blockedPosts++;
         }
       });
     });
 
-    // Method 2: BUILT-IN ADS BLOCKING (always active)
+    // Method 2: BUILT-IN ADS BLOCKING
     // Automatically blocks sponsored/suggested content without needing user keywords
     const allTextNodes = document.querySelectorAll('[dir="auto"], span, a');
 
     allTextNodes.forEach(node => {
       const text = node.textContent?.trim() || '';
       if (!text || text.length > 100) return; // Skip empty or too long
+      // Labels sit in the post header; the same words in a comment don't make the post an ad
+      if (node.closest('[role="article"]')?.parentElement?.closest('[role="article"]')) return;
 
       // Normalize for fuzzy matching (removes diacritics)
       const normalizedText = normalizeText(text);
 
-      // Check against built-in ads patterns
-      for (const pattern of BUILT_IN_ADS_PATTERNS) {
-        const normalizedPattern = normalizeText(pattern);
-
+      // Check against enabled built-in ads patterns
+      for (const { pattern, normalized: normalizedPattern } of activeAdsPatterns) {
         // Match if text contains pattern (case-insensitive, diacritic-insensitive)
         if (normalizedText.includes(normalizedPattern) || text.includes(pattern)) {
           const postContainer = findPostContainer(node);
 
-          if (postContainer.dataset.fbBlocked === 'true' || postContainer.dataset.fbBlocked === 'shown') return;
+          if (isSettled(postContainer)) return;
           if (processedContainers.has(postContainer)) return;
 
           // BLOCK IMMEDIATELY - no need to check user keywords for built-in patterns
           processedContainers.add(postContainer);
           debugLog('>>> BLOCKING (built-in ads):', text);
-          hidePost(postContainer);
+          const match = { text: pattern, term: text, category: null, source: 'built-in' };
+          hidePost(postContainer, builtInRules.showPlaceholder ? 'hide' : 'remove', match);
           blockedPosts++;
           return;
         }
       }
+    });
 
-      // Also check user keywords (with fuzzy matching)
-      if (matcher.count > 0 && matcher.matches(text)) {
-        const postContainer = findPostContainer(node);
-        if (postContainer.dataset.fbBlocked === 'true' || postContainer.dataset.fbBlocked === 'shown') return;
+    // Method 2 (continued): labels hidden from textContent - split into decoy letters,
+    // reordered with CSS or only in aria attributes / SVG. Rebuilt from the rendered DOM.
+    if (activeAdsPatterns.length > 0) {
+      const patterns = activeAdsPatterns.map(p => p.pattern);
+      document.querySelectorAll('[data-pagelet^="FeedUnit"], [role="article"]').forEach(post => {
+        if (post.parentElement?.closest('[role="article"], [data-pagelet^="FeedUnit"]')) return;
+
+        const postContainer = findPostContainer(post);
+        if (isSettled(postContainer)) return;
         if (processedContainers.has(postContainer)) return;
 
+        // Computed styles are costly: only look again once the post has rendered more
+        const length = postContainer.textContent.length;
+        if (sponsoredChecked.get(postContainer) === length) return;
+        sponsoredChecked.set(postContainer, length);
+
+        const candidates = [...postContainer.querySelectorAll(SponsoredDetector.CANDIDATE_SELECTOR)]
+          .filter(element => !element.closest('[role="article"]')?.parentElement?.closest('[role="article"]'));
+        const found = SponsoredDetector.find(candidates, patterns, DOM_VIEW);
+        if (!found) return;
+
         processedContainers.add(postContainer);
-        debugLog('>>> BLOCKING (user keyword):', text);
-        hidePost(postContainer);
+        debugLog(`>>> BLOCKING (built-in ads via ${found.via}):`, found.label);
+        const match = { text: found.pattern, term: found.label, category: null, source: 'built-in' };
+        hidePost(postContainer, builtInRules.showPlaceholder ? 'hide' : 'remove', match);
         blockedPosts++;
-      }
-    });
+      });
+    }
+
+    // Method 3: Language filter - posts confidently written in a language not on the allow-list
+    if (languageFilter.enabled) {
+      document.querySelectorAll('[data-pagelet^="FeedUnit"], [role="article"]').forEach(post => {
+        if (post.parentElement?.closest('[role="article"], [data-pagelet^="FeedUnit"]')) return;
+
+        const postContainer = findPostContainer(post);
+        if (isSettled(postContainer)) return;
+        if (processedContainers.has(postContainer)) return;
+
+        const match = languageMatch(getPostMessage(postContainer));
+        if (!match) return;
+
+        const action = RULE_ACTIONS.includes(languageFilter.action) ? languageFilter.action : 'collapse';
+        if (action !== 'highlight') processedContainers.add(postContainer);
+        debugLog(`>>> BLOCKING (language ${match.language} ${match.confidence}%)`);
+        hidePost(postContainer, action, match);
+        blockedPosts++;
+      });
+    }
+
+    // Method 4: Duplicate posts - the same text posted again by more pages than the threshold
+    if (duplicatePosts.enabled) {
+      document.querySelectorAll('[data-pagelet^="FeedUnit"], [role="article"]').forEach(post => {
+        if (post.parentElement?.closest('[role="article"], [data-pagelet^="FeedUnit"]')) return;
+
+        const postContainer = findPostContainer(post);
+        if (isSettled(postContainer)) return;
+        if (processedContainers.has(postContainer)) return;
+
+        const match = duplicateMatch(postContainer);
+        if (!match) return;
+
+        processedContainers.add(postContainer);
+        debugLog(`>>> BLOCKING (duplicate, copy ${match.copy})`);
+        hidePost(postContainer, actionForMatch(match), match);
+        blockedPosts++;
+      });
+    }
+
+    // Method 5: Learned classifier - an extra signal for posts no rule caught
+    // Posts it lets through get a "Block this" button to teach it
+    if (classifierEnabled) {
+      document.querySelectorAll('[data-pagelet^="FeedUnit"], [role="article"]').forEach(post => {
+        if (post.parentElement?.closest('[role="article"], [data-pagelet^="FeedUnit"]')) return;
+
+        const postContainer = findPostContainer(post);
+        if (isSettled(postContainer)) return;
+        if (processedContainers.has(postContainer)) return;
+        processedContainers.add(postContainer);
+
+        const match = classifierMatch(getCachedText(postContainer));
+        if (!match) {
+          addBlockThisButton(postContainer);
+          return;
+        }
+
+        debugLog(`>>> BLOCKING (classifier ${match.confidence}%):`, match.tokens);
+        hidePost(postContainer, actionForMatch(match), match);
+        blockedPosts++;
+      });
+    }
 
     debugLog(`=== Scan complete: ${totalPosts} posts, ${blockedPosts} blocked ===`);
 
@@ -514,8 +3037,194 @@ function filterContent() {
   }
 }
 
+// Headings, labels, links and per-card buttons of a feed unit, skipping anything inside its comments
+function getModuleSignals(unit) {
+  const own = element => !element.closest('[role="article"]')?.parentElement?.closest('[role="article"]');
+  const texts = (selector, root = unit) => [...root.querySelectorAll(selector)].filter(own)
+    .map(element => element.getAttribute('aria-label') || element.textContent?.trim() || '')
+    .filter(text => text && text.length <= 60);
+
+  return {
+    headings: texts('h2, h3, h4, [role="heading"]'),
+    labels: [unit.getAttribute('aria-label'), ...texts('[role="region"][aria-label], [role="list"][aria-label]')].filter(Boolean),
+    links: getPostLinks(unit),
+    // Suggestion carousels lay their cards out as list items; loose buttons belong to a post
+    cards: [...unit.querySelectorAll('[role="listitem"]')].filter(own).map(card => texts('[role="button"], button', card))
+  };
+}
+
+// Post body without the author line, buttons and comments (they are in the reader's language)
+function getPostMessage(container) {
+  const message = container.querySelector('[data-ad-preview="message"], [data-ad-comet-preview="message"]');
+  return getCachedText(message || container);
+}
+
+// Language verdict for a post, or null when it is allowed or too short/ambiguous to tell
+function languageMatch(text) {
+  const result = LanguageDetector.detect(text);
+  if (!result || languageFilter.allowed.includes(result.language)) return null;
+
+  return {
+    keyword: null,
+    text: null,
+    term: result.language,
+    category: null,
+    source: 'language',
+    language: result.language,
+    confidence: Math.round(result.confidence * 100)
+  };
+}
+
+/**
+ * Duplicate verdict for a post, or null when it is one of the first copies or has too little text
+ * Each post is observed once its author is known; a re-share without its own text is fingerprinted
+ * by the shared text
+ * @param {Element} container - Post container
+ * @returns {Object|null} Match
+ */
+function duplicateMatch(container) {
+  if (!duplicateVerdicts.has(container)) {
+    const author = getPostAuthor(container);
+    const source = author && (author.url ? AuthorMatcher.profileKey(author.url) : normalizeText(author.name).trim());
+    // Copies can't be told apart until the author link renders: look again on a later pass
+    if (!source) return null;
+
+    const fields = getCachedFields(container);
+    const verdict = DuplicateDetector.observe(duplicateStore, fields.body, source, duplicatePosts) ||
+      DuplicateDetector.observe(duplicateStore, fields.shared, source, duplicatePosts);
+    duplicateVerdicts.set(container, verdict);
+    if (verdict?.changed) saveDuplicateStore();
+  }
+
+  const verdict = duplicateVerdicts.get(container);
+  if (!verdict?.duplicate) return null;
+  return {
+    keyword: null,
+    text: null,
+    term: '',
+    category: null,
+    source: 'duplicate',
+    copy: verdict.copy,
+    windowHours: duplicatePosts.windowHours
+  };
+}
+
+// Fingerprints change with nearly every new post; write them once scrolling settles.
+// Other Facebook tabs save their own sightings, so the stored fingerprints are merged in first
+function saveDuplicateStore() {
+  clearTimeout(duplicateSaveTimer);
+  duplicateSaveTimer = setTimeout(async () => {
+    try {
+      const { duplicateFingerprints } = await chrome.storage.local.get('duplicateFingerprints');
+      duplicateStore = DuplicateDetector.merge(DuplicateDetector.normalize(duplicateFingerprints), duplicateStore);
+      await chrome.storage.local.set({ duplicateFingerprints: duplicateStore });
+    } catch (error) {
+      console.error('[FB Blocker] saveDuplicateStore error:', error);
+    }
+  }, DUPLICATE_SAVE_MS);
+}
+
+// Learned signal for a post, or null until the model is trained or below the confidence threshold
+function classifierMatch(text) {
+  const probability = Classifier.predict(classifierModel, text);
+  if (probability === null || probability * 100 < classifierThreshold) return null;
+
+  const tokens = Classifier.strongestTokens(classifierModel, 3, Classifier.tokenize(text)).map(item => item.token);
+  return {
+    keyword: null,
+    text: null,
+    term: tokens[0] || '',
+    tokens,
+    category: null,
+    source: 'classifier',
+    confidence: Math.floor(probability * 100)
+  };
+}
+
+// Feedback reads the stored model and writes it back; storage.onChanged refreshes classifierModel
+async function learnFrom(text, label) {
+  try {
+    const { classifierModel: stored } = await chrome.storage.local.get('classifierModel');
+    const model = Classifier.normalize(stored);
+    if (Classifier.train(model, text, label)) {
+      await chrome.storage.local.set({ classifierModel: model });
+    }
+  } catch (error) {
+    console.error('[FB Blocker] learnFrom error:', error);
+  }
+}
+
+// Small button on a visible post: hide it now and learn from it
+function addBlockThisButton(post) {
+  if (post.querySelector(':scope > .fb-blocker-learn-btn')) return;
+
+  // The label is drawn by CSS from data-label so it never becomes part of the post's text
+  const label = chrome.i18n.getMessage('feedbackBlockThis') || 'Block this';
+  const button = document.createElement('button');
+  button.className = 'fb-blocker-learn-btn';
+  button.dataset.label = label;
+  button.setAttribute('aria-label', label);
+  button.title = chrome.i18n.getMessage('feedbackBlockThisTitle') || 'Hide this post and learn to hide similar ones';
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    button.remove();
+    post.classList.remove('fb-blocker-learnable');
+    learnFrom(getCachedText(post), 'block');
+    hidePost(post, actionForMatch({ keyword: null, category: null }), { source: 'feedback' });
+  });
+
+  post.classList.add('fb-blocker-learnable');
+  post.appendChild(button);
+}
+
+// Placeholders ask for feedback while learning is on, except for posts the user hid themselves
+// and feed modules or duplicates (they are not hidden for what they say)
+function wantsFeedback(match) {
+  return classifierEnabled && !['feedback', 'module', 'duplicate'].includes(match?.source);
+}
+
+/**
+ * "Correct / Wrong" buttons for a placeholder
+ * @param {Element} element - The hidden post or comment, read when a button is clicked
+ * @param {Function} reveal - Shows the element again (a wrong block should not stay hidden)
+ * @returns {Element}
+ */
+function createFeedbackButtons(element, reveal) {
+  const wrapper = document.createElement('span');
+  wrapper.className = 'fb-blocker-feedback';
+
+  const thank = () => {
+    wrapper.textContent = chrome.i18n.getMessage('feedbackThanks') || 'Thanks, noted';
+  };
+
+  const correctBtn = document.createElement('button');
+  correctBtn.className = 'fb-blocker-feedback-btn';
+  correctBtn.textContent = chrome.i18n.getMessage('feedbackCorrect') || 'Correct';
+  correctBtn.title = chrome.i18n.getMessage('feedbackCorrectTitle') || 'This should be hidden';
+  correctBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    learnFrom(getCachedText(element), 'block');
+    thank();
+  });
+
+  const wrongBtn = document.createElement('button');
+  wrongBtn.className = 'fb-blocker-feedback-btn';
+  wrongBtn.textContent = chrome.i18n.getMessage('feedbackWrong') || 'Wrong';
+  wrongBtn.title = chrome.i18n.getMessage('feedbackWrongTitle') || 'This should not be hidden';
+  wrongBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    learnFrom(getCachedText(element), 'allow');
+    reveal();
+  });
+
+  wrapper.append(correctBtn, wrongBtn);
+  return wrapper;
+}
+
 function filterComments() {
-  if (!enabled || !blockComments || matcher.count === 0) return;
+  const useKeywords = blockComments && matcher.count > 0;
+  if (!isRunning() || (!useKeywords && !commentSpam.enabled)) return;
 
   // Facebook comment selectors (updated for current FB DOM - Dec 2024)
   const commentSelectors = [
@@ -539,6 +3248,8 @@ function filterComments() {
     'div[aria-label*="reply"]'
   ];
 
+  const copies = commentSpam.enabled && commentSpam.signals.repeated ? countThreadCopies(commentSelectors) : null;
+
   commentSelectors.forEach(selector => {
     const comments = document.querySelectorAll(selector);
     comments.forEach(comment => {
@@ -550,26 +3261,106 @@ function filterComments() {
       if (comment.closest('[data-fb-blocked="true"]')) return;
 
       const text = getCachedText(comment);
-
-      if (matcher.matches(text)) {
-        hideComment(comment);
+      const matched = useKeywords ? matcher.matchAll(getCachedFields(comment)) : [];
+
+      if (matched.length > 0) {
+        const match = strongestMatch(matched);
+        const action = actionForMatch(match);
+        hideComment(comment, action, match);
+        // A highlighted comment can still be hidden as spam
+        if (action !== 'highlight') return;
+      }
+      if (commentSpam.enabled) {
+        const match = spamMatch(text, copies?.get(comment)?.length || 1);
+        if (match) hideComment(comment, actionForMatch(match), match);
       }
     });
   });
 }
 
-async function hideComment(comment) {
+// Heuristic verdict for a comment no keyword caught, or null when it does not look like spam
+function spamMatch(text, copies) {
+  const result = SpamHeuristics.evaluate(text, commentSpam.signals, copies);
+  if (!result.spam) return null;
+
+  return {
+    keyword: null,
+    text: null,
+    term: '',
+    category: null,
+    source: 'heuristic',
+    signals: result.signals,
+    score: result.score,
+    threshold: SpamHeuristics.SPAM_SCORE
+  };
+}
+
+// Outermost post around a comment - replies are articles nested inside it
+function commentThread(comment) {
+  const selector = '[role="article"], [data-pagelet^="FeedUnit"]';
+  let thread = document.body;
+  let element = comment.closest(selector);
+  while (element) {
+    thread = element;
+    element = element.parentElement?.closest(selector);
+  }
+  return thread;
+}
+
+/**
+ * Group comments with the same text in each thread, hidden ones included
+ * Selectors overlap, so an element nested in another with the same text is one comment, not two
+ * @param {string[]} selectors - Comment selectors
+ * @returns {Map<Element, Element[]>} Each comment's group of copies
+ */
+function countThreadCopies(selectors) {
+  const threads = new Map(); // thread -> Map(repeatKey -> copies)
+  const copies = new Map();
+
+  document.querySelectorAll(selectors.join(', ')).forEach(comment => {
+    if (comment.closest('[data-fb-blocked="true"]')) return;
+    const key = SpamHeuristics.repeatKey(getCachedText(comment));
+    if (!key) return;
+
+    const thread = commentThread(comment);
+    if (!threads.has(thread)) threads.set(thread, new Map());
+    const texts = threads.get(thread);
+    if (!texts.has(key)) texts.set(key, []);
+
+    const group = texts.get(key);
+    if (!group.some(other => other.contains(comment) || comment.contains(other))) group.push(comment);
+    copies.set(comment, group);
+  });
+
+  return copies;
+}
+
+async function hideComment(comment, action, match) {
+  // Highlight only marks the comment, it is not counted as blocked
+  if (action === 'highlight') {
+    comment.dataset.fbHighlighted = 'true';
+    comment.classList.add('fb-blocker-highlighted');
+    return;
+  }
+  unhighlight(comment);
+
   // Increment stats
   Stats.increment();
+  if (match.source === 'heuristic') Stats.increment(SPAM_STATS_KEY);
 
-  // If showPlaceholder is false, completely remove from DOM
-  if (!showPlaceholder) {
+  if (action === 'remove') {
     comment.remove();
     return;
   }
 
-  // Otherwise, hide with placeholder
   comment.dataset.fbCommentBlocked = 'true';
+
+  if (action === 'blur') {
+    blurUntilClicked(comment, reasonText(match), () => { comment.dataset.fbCommentBlocked = 'shown'; });
+    return;
+  }
+
+  // Hide and collapse both use the inline placeholder - comments are too short to collapse
   comment.dataset.originalDisplay = comment.style.display;
   comment.style.display = 'none';
 
@@ -582,32 +3373,74 @@ async function hideComment(comment) {
   textSpan.textContent = chrome.i18n.getMessage('commentHidden') || '[Comment hidden]';
   placeholder.appendChild(textSpan);
 
+  const reason = reasonText(match);
+  if (reason) {
+    const reasonSpan = document.createElement('span');
+    reasonSpan.className = 'fb-blocker-comment-reason';
+    reasonSpan.textContent = reason;
+    placeholder.appendChild(reasonSpan);
+  }
+
+  const reveal = () => {
+    comment.style.display = comment.dataset.originalDisplay || '';
+    comment.dataset.fbCommentBlocked = 'shown';
+    placeholder.remove();
+  };
+
   const showBtn = document.createElement('button');
   showBtn.className = 'fb-blocker-comment-show';
   showBtn.textContent = chrome.i18n.getMessage('placeholderShow') || 'Show';
   showBtn.addEventListener('click', (e) => {
     e.stopPropagation();
-    comment.style.display = comment.dataset.originalDisplay || '';
-    comment.dataset.fbCommentBlocked = 'shown';
-    placeholder.remove();
+    reveal();
   });
   placeholder.appendChild(showBtn);
 
+  if (wantsFeedback(match)) {
+    placeholder.appendChild(createFeedbackButtons(comment, reveal));
+  }
+
   comment.parentNode.insertBefore(placeholder, comment);
 }
 
-async function hidePost(post) {
+// A stronger action replaces the highlight
+function unhighlight(element) {
+  element.classList.remove('fb-blocker-highlighted');
+  delete element.dataset.fbHighlighted;
+}
+
+async function hidePost(post, action, match) {
+  // Highlight only marks the post, it is not counted as blocked; later hiding rules still apply
+  if (action === 'highlight') {
+    post.dataset.fbHighlighted = 'true';
+    post.classList.add('fb-blocker-highlighted');
+    return;
+  }
+  unhighlight(post);
+
   // Increment stats
   Stats.increment();
+  if (match.source === 'module') Stats.increment(MODULE_STATS_KEY);
 
-  // If showPlaceholder is false, completely remove from DOM
-  if (!showPlaceholder) {
+  // Remove completely from DOM
+  if (action === 'remove') {
     post.remove();
     return;
   }
 
-  // Otherwise, hide with placeholder
   post.dataset.fbBlocked = 'true';
+
+  if (action === 'blur') {
+    blurUntilClicked(post, reasonText(match), () => { post.dataset.fbBlocked = 'shown'; });
+    return;
+  }
+
+  if (action === 'collapse') {
+    collapsePost(post, reasonText(match), wantsFeedback(match));
+    return;
+  }
+
+  // Otherwise, hide with placeholder
   post.dataset.originalDisplay = post.style.display;
   post.style.display = 'none';
 
@@ -615,40 +3448,138 @@ async function hidePost(post) {
   const placeholder = document.createElement('div');
   placeholder.className = 'fb-blocker-placeholder';
 
-  const textSpan = document.createElement('span');
-  textSpan.textContent = chrome.i18n.getMessage('placeholderHidden') || 'Content hidden by FB Content Blocker';
-  placeholder.appendChild(textSpan);
+  const message = match.source === 'duplicate'
+    ? chrome.i18n.getMessage('placeholderDuplicate') || 'Duplicate of a post you already saw'
+    : chrome.i18n.getMessage('placeholderHidden') || 'Content hidden by FB Content Blocker';
+  placeholder.appendChild(createPlaceholderText(message, reasonText(match)));
 
-  const showBtn = document.createElement('button');
-  showBtn.className = 'fb-blocker-show-btn';
-  showBtn.textContent = chrome.i18n.getMessage('placeholderShow') || 'Show';
-  showBtn.addEventListener('click', () => {
+  const reveal = () => {
     post.style.display = post.dataset.originalDisplay || '';
     post.dataset.fbBlocked = 'shown';
     placeholder.remove();
-  });
+  };
+
+  const showBtn = document.createElement('button');
+  showBtn.className = 'fb-blocker-show-btn';
+  showBtn.textContent = chrome.i18n.getMessage('placeholderShow') || 'Show';
+  showBtn.addEventListener('click', reveal);
   placeholder.appendChild(showBtn);
 
+  if (wantsFeedback(match)) {
+    placeholder.appendChild(createFeedbackButtons(post, reveal));
+  }
+
   post.parentNode.insertBefore(placeholder, post);
 }
 
+// Placeholder message with an optional reason line underneath
+function createPlaceholderText(message, reason) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'fb-blocker-placeholder-text';
+
+  const textSpan = document.createElement('span');
+  textSpan.textContent = message;
+  wrapper.appendChild(textSpan);
+
+  if (reason) {
+    const reasonSpan = document.createElement('span');
+    reasonSpan.className = 'fb-blocker-reason';
+    reasonSpan.textContent = reason;
+    wrapper.appendChild(reasonSpan);
+  }
+
+  return wrapper;
+}
+
+// First click reveals the element instead of activating links inside it
+function blurUntilClicked(element, reason, onReveal) {
+  element.classList.add('fb-blocker-blurred');
+  // Reason shown as tooltip - text on the element itself would be blurred too
+  if (reason && !element.hasAttribute('title')) {
+    element.dataset.fbBlockerReason = reason;
+    element.title = reason;
+  }
+
+  const reveal = (e) => {
+    element.removeEventListener('click', reveal, true);
+    // Already restored by resetHiddenPosts - let the click through
+    if (!element.classList.contains('fb-blocker-blurred')) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    element.classList.remove('fb-blocker-blurred');
+    clearReasonTooltip(element);
+    onReveal();
+  };
+  element.addEventListener('click', reveal, true);
+}
+
+function clearReasonTooltip(element) {
+  if (element.dataset.fbBlockerReason) {
+    element.removeAttribute('title');
+    delete element.dataset.fbBlockerReason;
+  }
+}
+
+// Keep only the top of the post (author line) visible, with a bar to expand it
+function collapsePost(post, reason, withFeedback) {
+  post.classList.add('fb-blocker-collapsed');
+
+  const bar = document.createElement('div');
+  bar.className = 'fb-blocker-placeholder fb-blocker-collapse-bar';
+
+  bar.appendChild(createPlaceholderText(
+    chrome.i18n.getMessage('placeholderCollapsed') || 'Post collapsed by FB Content Blocker',
+    reason
+  ));
+
+  const reveal = () => {
+    post.classList.remove('fb-blocker-collapsed');
+    post.dataset.fbBlocked = 'shown';
+    bar.remove();
+  };
+
+  const showBtn = document.createElement('button');
+  showBtn.className = 'fb-blocker-show-btn';
+  showBtn.textContent = chrome.i18n.getMessage('placeholderShow') || 'Show';
+  showBtn.addEventListener('click', reveal);
+  bar.appendChild(showBtn);
+
+  if (withFeedback) {
+    bar.appendChild(createFeedbackButtons(post, reveal));
+  }
+
+  post.parentNode.insertBefore(bar, post.nextSibling);
+}
+
 function resetHiddenPosts() {
-  // Remove all post placeholders
+  // Remove all post placeholders (including collapse bars)
   document.querySelectorAll('.fb-blocker-placeholder').forEach(el => el.remove());
 
   // Remove all comment placeholders
   document.querySelectorAll('.fb-blocker-comment-placeholder').forEach(el => el.remove());
 
+  // Remove "Block this" buttons (added back while learning is on)
+  document.querySelectorAll('.fb-blocker-learn-btn').forEach(el => el.remove());
+  document.querySelectorAll('.fb-blocker-learnable').forEach(el => el.classList.remove('fb-blocker-learnable'));
+
   // Reset blocked posts
   document.querySelectorAll('[data-fb-blocked]').forEach(post => {
     post.style.display = post.dataset.originalDisplay || '';
+    post.classList.remove(...ACTION_CLASSES);
+    clearReasonTooltip(post);
     delete post.dataset.fbBlocked;
     delete post.dataset.originalDisplay;
   });
 
+  // Reset highlighted posts and comments
+  document.querySelectorAll('[data-fb-highlighted]').forEach(unhighlight);
+
   // Reset blocked comments
   document.querySelectorAll('[data-fb-comment-blocked]').forEach(comment => {
     comment.style.display = comment.dataset.originalDisplay || '';
+    comment.classList.remove(...ACTION_CLASSES);
+    clearReasonTooltip(comment);
     delete comment.dataset.fbCommentBlocked;
     delete comment.dataset.originalDisplay;
   });
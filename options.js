@@ -25,6 +25,13 @@ function applyI18n() {
     const msg = getMessage(key);
     if (msg) el.placeholder = msg;
   });
+
+  // Titles
+  document.querySelectorAll('[data-i18n-title]').forEach(el => {
+    const key = el.getAttribute('data-i18n-title');
+    const msg = getMessage(key);
+    if (msg) el.title = msg;
+  });
 }
 
 // Category labels for display - using i18n
@@ -41,17 +48,209 @@ function getCategoryLabel(category) {
 
 const VALID_CATEGORIES = ['default', 'spam', 'ads', 'politics', 'other'];
 
+// Same list as BUILT_IN_ADS_PATTERNS in content.js
+const BUILT_IN_ADS_PATTERNS = [
+  'Được tài trợ',
+  'Đề xuất cho bạn',
+  'Bài viết được tài trợ',
+  'Nội dung được tài trợ',
+  'Sponsored',
+  'Suggested for you',
+  'Paid partnership',
+  'Duoc tai tro',
+  'De xuat cho ban',
+];
+// Rule actions applied by content.js when a keyword matches ('' = inherit)
+const RULE_ACTIONS = ['hide', 'blur', 'collapse', 'remove', 'highlight'];
+
+function getActionLabel(action) {
+  const labels = {
+    hide: getMessage('actionHide'),
+    blur: getMessage('actionBlur'),
+    collapse: getMessage('actionCollapse'),
+    remove: getMessage('actionRemove'),
+    highlight: getMessage('actionHighlight')
+  };
+  return labels[action] || getMessage('actionDefault');
+}
+
+function renderActionSelect(current, attrs) {
+  const options = ['', ...RULE_ACTIONS].map(action =>
+    `<option value="${action}" ${action === (current || '') ? 'selected' : ''}>${getActionLabel(action)}</option>`
+  ).join('');
+  return `<select class="action-select" ${attrs}>${options}</select>`;
+}
+
+// Same limits as content.js: a weight makes a keyword count towards a score instead of blocking alone
+const MAX_WEIGHT = 100;
+const MAX_SCORE_THRESHOLD = 1000;
+const DEFAULT_SCORE_THRESHOLD = 10;
+
+// Whole number in [1, max], or null for an empty or invalid input
+function parsePositiveInt(value, max) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 && number <= max ? number : null;
+}
+
+// Same list as MATCH_MODES in content.js: whole word, start of a word, anywhere
+const MATCH_MODES = ['word', 'prefix', 'substring'];
+
+function getMatchModeLabel(mode) {
+  const labels = {
+    word: getMessage('matchWord'),
+    prefix: getMessage('matchPrefix'),
+    substring: getMessage('matchSubstring')
+  };
+  return labels[mode] || labels.word;
+}
+
+function renderMatchModeSelect(current, attrs) {
+  const options = MATCH_MODES.map(mode =>
+    `<option value="${mode}" ${mode === (current || 'word') ? 'selected' : ''}>${getMatchModeLabel(mode)}</option>`
+  ).join('');
+  return `<select class="match-select" title="${getMessage('optionsMatchTitle')}" ${attrs}>${options}</select>`;
+}
+
+// Same lists as KEYWORD_FIELDS and DEFAULT_KEYWORD_FIELDS in content.js
+const KEYWORD_FIELDS = ['body', 'author', 'shared', 'preview', 'comments', 'alt', 'aria'];
+const DEFAULT_KEYWORD_FIELDS = ['body'];
+
+function getFieldLabel(field) {
+  const labels = {
+    body: getMessage('fieldBody'),
+    author: getMessage('fieldAuthor'),
+    shared: getMessage('fieldShared'),
+    preview: getMessage('fieldPreview'),
+    comments: getMessage('fieldComments'),
+    alt: getMessage('fieldAlt'),
+    aria: getMessage('fieldAria')
+  };
+  return labels[field] || field;
+}
+
+// Stored form of a field list: null for the default (body only); 'text' is the older name of body
+function normalizeFields(fields) {
+  const stored = Array.isArray(fields) ? fields.map(field => (field === 'text' ? 'body' : field)) : [];
+  const listed = KEYWORD_FIELDS.filter(field => stored.includes(field));
+  const isDefault = listed.length === 0 || listed.join(',') === DEFAULT_KEYWORD_FIELDS.join(',');
+  return isDefault ? null : listed;
+}
+
+function renderFieldPicker(fields, id) {
+  const active = normalizeFields(fields) || DEFAULT_KEYWORD_FIELDS;
+  const options = KEYWORD_FIELDS.map(field => `
+    <label class="field-option">
+      <input type="checkbox" value="${field}" ${active.includes(field) ? 'checked' : ''}>${getFieldLabel(field)}
+    </label>`).join('');
+  return `<span class="field-picker" data-id="${id}" title="${getMessage('optionsFieldsTitle')}">${options}</span>`;
+}
+
+// Same list as SURFACES in content.js
+const SURFACES = ['feed', 'groups', 'watch', 'marketplace', 'search'];
+
+/**
+ * Parse a comma-separated scope list: surface names or URL paths.
+ * Full Facebook links are reduced to their path.
+ * @returns {{scopes: string[], invalid: string[]}}
+ */
+function parseScopes(value) {
+  const scopes = [];
+  const invalid = [];
+
+  String(value || '').split(',').map(s => s.trim()).filter(Boolean).forEach(token => {
+    let scope = token.toLowerCase();
+    if (/^(https?:\/\/)?([\w-]+\.)*facebook\.com/i.test(token)) {
+      scope = '/' + token.replace(/^(https?:\/\/)?([\w-]+\.)*facebook\.com\/?/i, '');
+    }
+    scope = scope.replace(/[?#].*$/, '').replace(/(.)\/+$/, '$1');
+
+    if (SURFACES.includes(scope) || (scope.startsWith('/') && scope.length > 1)) {
+      if (!scopes.includes(scope)) scopes.push(scope);
+    } else {
+      invalid.push(token);
+    }
+  });
+
+  return { scopes, invalid };
+}
+
+function renderScopeInput(scopes, attrs) {
+  const value = Array.isArray(scopes) ? scopes.join(', ') : '';
+  return `<input type="text" class="scope-input" value="${escapeHtml(value)}"
+    placeholder="${getMessage('scopeEverywhere')}" title="${getMessage('scopeHelp')}" ${attrs}>`;
+}
+
+// Reads a scope input; alerts and returns null when it contains unknown entries
+function readScopeInput(input) {
+  const { scopes, invalid } = parseScopes(input.value);
+  if (invalid.length > 0) {
+    alert(getMessage('alertInvalidScope', [invalid.join(', ')]));
+    return null;
+  }
+  input.value = scopes.join(', ');
+  return scopes;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ISO expiry N days from now, or null for no expiry
+function expiryFromDays(days) {
+  const count = parseInt(days, 10);
+  return count > 0 ? new Date(Date.now() + count * DAY_MS).toISOString() : null;
+}
+
+// ISO expiry at the end of a picked <input type="date"> day, or null if empty/past
+function expiryFromDate(value) {
+  const [year, month, day] = String(value).split('-').map(Number);
+  if (!year || !month || !day) return null;
+  const end = new Date(year, month - 1, day, 23, 59, 59, 999);
+  return end.getTime() > Date.now() ? end.toISOString() : null;
+}
+
+function isExpired(kw) {
+  return typeof kw === 'object' && !!kw.expiresAt && Date.parse(kw.expiresAt) <= Date.now();
+}
+
+function renderExpiry(kw) {
+  if (typeof kw !== 'object' || !kw.expiresAt || Number.isNaN(Date.parse(kw.expiresAt))) return '-';
+  if (isExpired(kw)) return `<span class="expired-badge">${getMessage('keywordExpired')}</span>`;
+
+  const date = new Date(kw.expiresAt);
+  return `<span title="${escapeHtml(date.toLocaleString())}">${escapeHtml(date.toLocaleDateString())}</span>`;
+}
+
+const MAX_BUILTIN_LABEL_LENGTH = 100; // content.js skips longer text nodes
+
+// Learned classifier confidence, in percent
+const MIN_CLASSIFIER_THRESHOLD = 50;
+const MAX_CLASSIFIER_THRESHOLD = 99;
+const DEFAULT_CLASSIFIER_THRESHOLD = 90;
+
 // Current filter state
 let currentSearch = '';
 let currentCategory = '';
 let allKeywords = [];
+let globalCaseSensitive = false;
+let globalIgnoreDiacritics = false;
+let canonicalCategories = [];
+let globalScoreThreshold = DEFAULT_SCORE_THRESHOLD;
 
 async function init() {
   applyI18n();
   await loadStats();
   await loadSettings();
+  await loadCategoryStates();
+  await loadSchedules();
+  await loadBuiltInRules();
+  await loadFeedModules();
+  await loadDuplicatePosts();
   await loadKeywords();
   await loadWhitelist();
+  await loadAuthorLists();
+  await loadDomainRules();
+  await loadLanguageFilter();
+  await loadCommentSpam();
+  await loadClassifier();
   setupEventListeners();
 }
 
@@ -60,10 +259,43 @@ function setupEventListeners() {
   document.getElementById('enabled-toggle').addEventListener('change', saveSettings);
   document.getElementById('block-comments-toggle').addEventListener('change', saveSettings);
   document.getElementById('case-sensitive-toggle').addEventListener('change', saveSettings);
+  document.getElementById('ignore-diacritics-toggle').addEventListener('change', saveSettings);
   document.getElementById('show-placeholder-toggle').addEventListener('change', saveSettings);
+  document.getElementById('show-reason-toggle').addEventListener('change', saveSettings);
+  document.getElementById('score-threshold-input').addEventListener('change', saveSettings);
+
+  // Schedules
+  document.getElementById('add-schedule-btn').addEventListener('click', addSchedule);
+
+  // Built-in rules
+  document.getElementById('builtin-placeholder-toggle').addEventListener('change', (e) => {
+    updateBuiltInRules(rules => { rules.showPlaceholder = e.target.checked; });
+  });
+  document.getElementById('add-builtin-btn').addEventListener('click', addBuiltInPattern);
+  document.getElementById('builtin-input').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addBuiltInPattern();
+  });
+
+  // Feed modules
+  document.querySelectorAll('.feed-module-toggle').forEach(input => {
+    input.addEventListener('change', saveFeedModules);
+  });
+
+  // Duplicate posts
+  document.getElementById('duplicates-toggle').addEventListener('change', saveDuplicatePosts);
+  document.getElementById('duplicates-threshold-input').addEventListener('change', saveDuplicatePosts);
+  document.getElementById('duplicates-window-input').addEventListener('change', saveDuplicatePosts);
+  document.getElementById('clear-duplicates-btn').addEventListener('click', clearDuplicateFingerprints);
 
   // Add keyword
   document.getElementById('add-btn').addEventListener('click', addKeyword);
+  document.getElementById('expiry-input').addEventListener('change', (e) => {
+    document.getElementById('expiry-date').hidden = e.target.value !== 'date';
+  });
+
+  // Expired keywords
+  document.getElementById('renew-expired-btn').addEventListener('click', renewExpiredKeywords);
+  document.getElementById('remove-expired-btn').addEventListener('click', removeExpiredKeywords);
   document.getElementById('keyword-input').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') addKeyword();
   });
@@ -85,6 +317,43 @@ function setupEventListeners() {
     if (e.key === 'Enter') addWhitelistItem();
   });
 
+  // Author rules
+  AUTHOR_LISTS.forEach(key => {
+    document.getElementById(`${key}-input`).addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') addAuthor(key);
+    });
+  });
+  document.querySelectorAll('.author-add-btn').forEach(btn => {
+    btn.addEventListener('click', () => addAuthor(btn.dataset.list));
+  });
+
+  // Linked domains
+  document.getElementById('add-domain-btn').addEventListener('click', addDomainRule);
+  document.getElementById('domain-input').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addDomainRule();
+  });
+  document.getElementById('add-domain-whitelist-btn').addEventListener('click', addDomainWhitelistItem);
+  document.getElementById('domain-whitelist-input').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') addDomainWhitelistItem();
+  });
+
+  // Language filter
+  document.getElementById('language-filter-toggle').addEventListener('change', saveLanguageFilter);
+  document.getElementById('language-action-input').addEventListener('change', saveLanguageFilter);
+  document.getElementById('language-options').addEventListener('change', saveLanguageFilter);
+
+  // Comment spam heuristics
+  document.getElementById('comment-spam-toggle').addEventListener('change', saveCommentSpamSettings);
+  document.querySelectorAll('.spam-signal-toggle').forEach(input => {
+    input.addEventListener('change', saveCommentSpamSettings);
+  });
+
+  // Learning
+  document.getElementById('classifier-toggle').addEventListener('change', saveClassifierSettings);
+  document.getElementById('classifier-threshold-input').addEventListener('change', saveClassifierSettings);
+  document.getElementById('export-model-btn').addEventListener('click', exportClassifierModel);
+  document.getElementById('reset-model-btn').addEventListener('click', resetClassifierModel);
+
   // Import/Export
   document.getElementById('export-btn').addEventListener('click', exportData);
   document.getElementById('import-btn').addEventListener('click', () => {
@@ -126,9 +395,13 @@ async function resetStats() {
 
   try {
     await chrome.storage.local.set({
-      stats: { today: 0, total: 0, lastReset: null }
+      stats: { today: 0, total: 0, lastReset: null },
+      commentSpamStats: { today: 0, total: 0, lastReset: null },
+      feedModuleStats: { today: 0, total: 0, lastReset: null }
     });
     await loadStats();
+    await loadFeedModules();
+    await loadCommentSpam();
     alert(getMessage('optionsResetSuccess'));
   } catch (error) {
     console.error('[FB Blocker] resetStats error:', error);
@@ -148,7 +421,13 @@ async function loadSettings() {
     document.getElementById('enabled-toggle').checked = enabled !== false;
     document.getElementById('block-comments-toggle').checked = settings.blockComments !== false;
     document.getElementById('case-sensitive-toggle').checked = settings.caseSensitive === true;
+    globalCaseSensitive = settings.caseSensitive === true;
+    document.getElementById('ignore-diacritics-toggle').checked = settings.ignoreDiacritics === true;
+    globalIgnoreDiacritics = settings.ignoreDiacritics === true;
     document.getElementById('show-placeholder-toggle').checked = settings.showPlaceholder !== false;
+    document.getElementById('show-reason-toggle').checked = settings.showReason !== false;
+    globalScoreThreshold = parsePositiveInt(settings.scoreThreshold, MAX_SCORE_THRESHOLD) || DEFAULT_SCORE_THRESHOLD;
+    document.getElementById('score-threshold-input').value = globalScoreThreshold;
   } catch (error) {
     console.error('[FB Blocker] loadSettings error:', error);
   }
@@ -159,13 +438,29 @@ async function saveSettings() {
     const enabled = document.getElementById('enabled-toggle').checked;
     const blockComments = document.getElementById('block-comments-toggle').checked;
     const caseSensitive = document.getElementById('case-sensitive-toggle').checked;
+    const ignoreDiacritics = document.getElementById('ignore-diacritics-toggle').checked;
     const showPlaceholder = document.getElementById('show-placeholder-toggle').checked;
+    const showReason = document.getElementById('show-reason-toggle').checked;
+    const thresholdInput = document.getElementById('score-threshold-input');
+    const scoreThreshold = parsePositiveInt(thresholdInput.value, MAX_SCORE_THRESHOLD) || DEFAULT_SCORE_THRESHOLD;
+    thresholdInput.value = scoreThreshold;
 
     await chrome.storage.sync.set({
       enabled,
-      settings: { blockComments, caseSensitive, showPlaceholder }
+      settings: { blockComments, caseSensitive, ignoreDiacritics, showPlaceholder, showReason, scoreThreshold }
     });
 
+    if (scoreThreshold !== globalScoreThreshold) {
+      globalScoreThreshold = scoreThreshold;
+      await loadCategoryStates();
+    }
+
+    if (caseSensitive !== globalCaseSensitive || ignoreDiacritics !== globalIgnoreDiacritics) {
+      globalCaseSensitive = caseSensitive;
+      globalIgnoreDiacritics = ignoreDiacritics;
+      renderKeywords();
+    }
+
     notifyContentScript();
   } catch (error) {
     console.error('[FB Blocker] saveSettings error:', error);
@@ -173,213 +468,887 @@ async function saveSettings() {
 }
 
 // ============================================
-// Keywords CRUD
+// Category switches
 // ============================================
 
-async function loadKeywords() {
+async function loadCategoryStates() {
   try {
-    const { keywords = [] } = await chrome.storage.local.get('keywords');
-    allKeywords = keywords;
-    renderKeywords();
+    const data = await chrome.storage.sync.get([
+      'disabledCategories', 'categoryActions', 'categoryScopes', 'canonicalCategories', 'categoryThresholds'
+    ]);
+    canonicalCategories = data.canonicalCategories || [];
+    renderCategoryToggles(data.disabledCategories || [], data.categoryActions || {}, data.categoryScopes || {}, data.categoryThresholds || {});
   } catch (error) {
-    console.error('[FB Blocker] loadKeywords error:', error);
+    console.error('[FB Blocker] loadCategoryStates error:', error);
   }
 }
 
-function renderKeywords() {
-  const tbody = document.getElementById('keywords-tbody');
-
-  // Filter
-  let filtered = allKeywords;
+function renderCategoryToggles(disabledCategories, categoryActions, categoryScopes, categoryThresholds) {
+  const container = document.getElementById('category-toggles');
+
+  container.innerHTML = VALID_CATEGORIES.map(category => `
+    <div class="setting-row">
+      <div class="setting-info">
+        <span class="category-badge ${category}">${getCategoryLabel(category)}</span>
+      </div>
+      ${renderScopeInput(categoryScopes[category], `data-category="${category}"`)}
+      <input type="number" class="threshold-input" data-threshold="${category}" min="1" max="${MAX_SCORE_THRESHOLD}"
+        value="${parsePositiveInt(categoryThresholds[category], MAX_SCORE_THRESHOLD) || ''}" placeholder="${globalScoreThreshold}"
+        title="${getMessage('optionsCategoryThreshold')}">
+      <label class="canonical-toggle" title="${getMessage('optionsCategoryCanonical')}">
+        <input type="checkbox" class="canonical-input" data-canonical="${category}" ${canonicalCategories.includes(category) ? 'checked' : ''}>
+        ${getMessage('optionsCanonicalHeader')}
+      </label>
+      ${renderActionSelect(categoryActions[category], `data-category="${category}"`)}
+      <label class="toggle">
+        <input type="checkbox" data-category="${category}" ${disabledCategories.includes(category) ? '' : 'checked'}>
+        <span class="slider"></span>
+      </label>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('input[type="checkbox"][data-category]').forEach(input => {
+    input.addEventListener('change', () => toggleCategory(input.dataset.category, input.checked));
+  });
 
-  if (currentSearch) {
-    filtered = filtered.filter(kw => {
-      const text = typeof kw === 'string' ? kw : kw.text;
-      return text.toLowerCase().includes(currentSearch);
-    });
-  }
+  container.querySelectorAll('select[data-category]').forEach(select => {
+    select.addEventListener('change', () => setCategoryAction(select.dataset.category, select.value));
+  });
 
-  if (currentCategory) {
-    filtered = filtered.filter(kw => {
-      const cat = typeof kw === 'object' ? (kw.category || 'default') : 'default';
-      return cat === currentCategory;
+  container.querySelectorAll('.scope-input').forEach(input => {
+    input.addEventListener('change', () => {
+      const scopes = readScopeInput(input);
+      if (scopes) setCategoryScopes(input.dataset.category, scopes);
     });
-  }
-
-  if (filtered.length === 0) {
-    tbody.innerHTML = `
-      <tr class="empty-row">
-        <td colspan="4">${allKeywords.length === 0 ? getMessage('emptyKeywords') : getMessage('noMatch')}</td>
-      </tr>
-    `;
-    return;
-  }
-
-  tbody.innerHTML = filtered.map((kw, index) => {
-    const text = typeof kw === 'string' ? kw : kw.text;
-    const id = typeof kw === 'object' ? kw.id : index;
-    const category = typeof kw === 'object' ? (kw.category || 'default') : 'default';
-    const isRegex = typeof kw === 'object' && kw.isRegex;
-    const categoryLabel = getCategoryLabel(category);
+  });
 
-    return `
-      <tr>
-        <td>${escapeHtml(text)}</td>
-        <td><span class="category-badge ${category}">${categoryLabel}</span></td>
-        <td>${isRegex ? '<span class="regex-badge">REGEX</span>' : '-'}</td>
-        <td>
-          <button class="btn small danger" onclick="deleteKeyword('${id}', ${index})">${getMessage('btnDelete')}</button>
-        </td>
-      </tr>
-    `;
-  }).join('');
+  container.querySelectorAll('.canonical-input').forEach(input => {
+    input.addEventListener('change', () => setCategoryCanonical(input.dataset.canonical, input.checked));
+  });
 
-  // Update count
-  document.getElementById('keyword-count').textContent = allKeywords.length;
+  container.querySelectorAll('.threshold-input').forEach(input => {
+    input.addEventListener('change', () => {
+      const threshold = parsePositiveInt(input.value, MAX_SCORE_THRESHOLD);
+      input.value = threshold || '';
+      setCategoryThreshold(input.dataset.threshold, threshold);
+    });
+  });
 }
 
-async function addKeyword() {
-  const input = document.getElementById('keyword-input');
-  const categoryInput = document.getElementById('category-input');
-  const isRegexInput = document.getElementById('is-regex-input');
-
-  const text = input.value.trim();
-  const category = categoryInput.value || 'default';
-  const isRegex = isRegexInput.checked;
+async function toggleCategory(category, active) {
+  try {
+    const { disabledCategories = [] } = await chrome.storage.sync.get('disabledCategories');
+    const updated = disabledCategories.filter(c => c !== category);
+    if (!active) {
+      updated.push(category);
+    }
 
-  if (!text) return;
+    await chrome.storage.sync.set({ disabledCategories: updated });
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] toggleCategory error:', error);
+  }
+}
 
-  // Validate regex if enabled
-  if (isRegex) {
-    if (typeof RegexValidator !== 'undefined') {
-      const result = RegexValidator.validate(text);
-      if (!result.valid) {
-        alert(getMessage('alertInvalidRegex', [result.error]));
-        return;
-      }
+async function setCategoryAction(category, action) {
+  try {
+    const { categoryActions = {} } = await chrome.storage.sync.get('categoryActions');
+    if (RULE_ACTIONS.includes(action)) {
+      categoryActions[category] = action;
     } else {
-      try {
-        new RegExp(text);
-      } catch (e) {
-        alert(getMessage('alertInvalidRegex', [e.message]));
-        return;
-      }
+      delete categoryActions[category];
     }
+
+    await chrome.storage.sync.set({ categoryActions });
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] setCategoryAction error:', error);
   }
+}
 
+async function setCategoryScopes(category, scopes) {
   try {
-    const { keywords = [] } = await chrome.storage.local.get('keywords');
+    const { categoryScopes = {} } = await chrome.storage.sync.get('categoryScopes');
+    if (scopes.length > 0) {
+      categoryScopes[category] = scopes;
+    } else {
+      delete categoryScopes[category];
+    }
 
-    // Check duplicate
-    const exists = keywords.some(kw =>
-      (typeof kw === 'string' ? kw : kw.text).toLowerCase() === text.toLowerCase()
-    );
+    await chrome.storage.sync.set({ categoryScopes });
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] setCategoryScopes error:', error);
+  }
+}
 
-    if (exists) {
-      alert(getMessage('alertDuplicate'));
-      return;
+// Empty threshold = use the global score threshold
+async function setCategoryThreshold(category, threshold) {
+  try {
+    const { categoryThresholds = {} } = await chrome.storage.sync.get('categoryThresholds');
+    if (threshold) {
+      categoryThresholds[category] = threshold;
+    } else {
+      delete categoryThresholds[category];
     }
 
-    keywords.push({
-      id: crypto.randomUUID(),
-      text,
-      category,
-      isRegex,
-      caseSensitive: false
-    });
-
-    await chrome.storage.local.set({ keywords });
-    input.value = '';
-    isRegexInput.checked = false;
-    allKeywords = keywords;
-    renderKeywords();
+    await chrome.storage.sync.set({ categoryThresholds });
     notifyContentScript();
   } catch (error) {
-    console.error('[FB Blocker] addKeyword error:', error);
-    alert(getMessage('alertAddError'));
+    console.error('[FB Blocker] setCategoryThreshold error:', error);
   }
 }
 
-window.deleteKeyword = async function(id, index) {
+// Canonical (anti-obfuscation) matching for every keyword in a category
+async function setCategoryCanonical(category, active) {
   try {
-    const { keywords = [] } = await chrome.storage.local.get('keywords');
-
-    const idx = keywords.findIndex(kw => kw.id === id);
-    if (idx !== -1) {
-      keywords.splice(idx, 1);
-    } else if (index >= 0 && index < keywords.length) {
-      keywords.splice(index, 1);
+    const { canonicalCategories: stored = [] } = await chrome.storage.sync.get('canonicalCategories');
+    const updated = stored.filter(c => c !== category);
+    if (active) {
+      updated.push(category);
     }
 
-    await chrome.storage.local.set({ keywords });
-    allKeywords = keywords;
+    await chrome.storage.sync.set({ canonicalCategories: updated });
+    canonicalCategories = updated;
     renderKeywords();
     notifyContentScript();
   } catch (error) {
-    console.error('[FB Blocker] deleteKeyword error:', error);
+    console.error('[FB Blocker] setCategoryCanonical error:', error);
   }
-};
+}
 
 // ============================================
-// Whitelist
+// Schedules
 // ============================================
 
-async function loadWhitelist() {
+const SCHEDULE_TARGETS = ['all', ...VALID_CATEGORIES];
+const WEEK_DAYS = [1, 2, 3, 4, 5, 6, 0]; // Monday first; values are Date#getDay()
+
+function getScheduleTargetLabel(target) {
+  return target === 'all' ? getMessage('scheduleTargetAll') : getCategoryLabel(target);
+}
+
+function getDayLabel(day) {
+  // 2024-01-07 was a Sunday
+  return new Date(2024, 0, 7 + day).toLocaleDateString([], { weekday: 'short' });
+}
+
+async function loadSchedules() {
   try {
-    const { whitelist = [] } = await chrome.storage.local.get('whitelist');
-    renderWhitelist(whitelist);
+    const { schedules = [] } = await chrome.storage.sync.get('schedules');
+    renderScheduleForm();
+    renderSchedules(schedules);
   } catch (error) {
-    console.error('[FB Blocker] loadWhitelist error:', error);
+    console.error('[FB Blocker] loadSchedules error:', error);
   }
 }
 
-function renderWhitelist(whitelist) {
-  const container = document.getElementById('whitelist-tags');
-  document.getElementById('whitelist-count').textContent = whitelist.length;
+function renderScheduleForm() {
+  document.getElementById('schedule-target').innerHTML = SCHEDULE_TARGETS.map(target =>
+    `<option value="${target}">${getScheduleTargetLabel(target)}</option>`
+  ).join('');
+
+  document.getElementById('schedule-days').innerHTML = WEEK_DAYS.map(day => `
+    <label class="checkbox-label">
+      <input type="checkbox" value="${day}" ${day >= 1 && day <= 5 ? 'checked' : ''}>
+      <span>${getDayLabel(day)}</span>
+    </label>
+  `).join('');
+}
 
-  if (whitelist.length === 0) {
-    container.innerHTML = `<span style="color: #65676b; font-size: 13px;">${getMessage('emptyWhitelist')}</span>`;
+function renderSchedules(schedules) {
+  const container = document.getElementById('schedule-list');
+  const now = new Date();
+
+  if (schedules.length === 0) {
+    container.innerHTML = `<p class="setting-desc">${getMessage('emptySchedules')}</p>`;
     return;
   }
 
-  container.innerHTML = whitelist.map((item, index) => {
-    const text = typeof item === 'string' ? item : item.text;
-    const id = typeof item === 'object' ? item.id : index;
+  container.innerHTML = schedules.map(rule => {
+    const days = WEEK_DAYS.filter(day => rule.days.includes(day)).map(getDayLabel).join(', ');
+    const open = Schedule.isValid(rule) && Schedule.isOpen(rule, now);
     return `
-      <span class="whitelist-tag">
-        ${escapeHtml(text)}
-        <button onclick="deleteWhitelistItem('${id}', ${index})">&times;</button>
-      </span>
+      <div class="setting-row">
+        <div class="setting-info">
+          <span class="setting-label">${escapeHtml(getScheduleTargetLabel(rule.target))}</span>
+          <span class="setting-desc">${escapeHtml(days)} · ${escapeHtml(rule.start)}–${escapeHtml(rule.end)}</span>
+        </div>
+        <span class="schedule-state ${open ? 'on' : ''}">${getMessage(open ? 'scheduleNowOn' : 'scheduleNowOff')}</span>
+        <button class="btn small danger" data-schedule-id="${escapeHtml(rule.id)}">${getMessage('btnDelete')}</button>
+      </div>
     `;
   }).join('');
+
+  container.querySelectorAll('button[data-schedule-id]').forEach(btn => {
+    btn.addEventListener('click', () => deleteSchedule(btn.dataset.scheduleId));
+  });
 }
 
-async function addWhitelistItem() {
-  const input = document.getElementById('whitelist-input');
-  const text = input.value.trim();
+async function addSchedule() {
+  const rule = {
+    id: crypto.randomUUID(),
+    target: document.getElementById('schedule-target').value,
+    days: [...document.querySelectorAll('#schedule-days input:checked')].map(input => Number(input.value)),
+    start: document.getElementById('schedule-start').value,
+    end: document.getElementById('schedule-end').value
+  };
 
-  if (!text) return;
+  if (!SCHEDULE_TARGETS.includes(rule.target) || !Schedule.isValid(rule)) {
+    alert(getMessage('alertInvalidSchedule'));
+    return;
+  }
 
   try {
-    const { whitelist = [] } = await chrome.storage.local.get('whitelist');
+    const { schedules = [] } = await chrome.storage.sync.get('schedules');
+    schedules.push(rule);
 
-    // Check duplicate
-    const exists = whitelist.some(item =>
-      (typeof item === 'string' ? item : item.text).toLowerCase() === text.toLowerCase()
-    );
+    await chrome.storage.sync.set({ schedules });
+    renderSchedules(schedules);
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] addSchedule error:', error);
+  }
+}
 
-    if (exists) {
-      alert(getMessage('alertWhitelistDuplicate'));
-      return;
-    }
+async function deleteSchedule(id) {
+  try {
+    const { schedules = [] } = await chrome.storage.sync.get('schedules');
+    const updated = schedules.filter(rule => rule.id !== id);
+
+    await chrome.storage.sync.set({ schedules: updated });
+    renderSchedules(updated);
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] deleteSchedule error:', error);
+  }
+}
+
+// ============================================
+// Built-in rules
+// ============================================
+
+async function loadBuiltInRules() {
+  try {
+    const { builtInRules = {} } = await chrome.storage.sync.get('builtInRules');
+    renderBuiltInRules(normalizeBuiltInRules(builtInRules));
+  } catch (error) {
+    console.error('[FB Blocker] loadBuiltInRules error:', error);
+  }
+}
+
+function normalizeBuiltInRules(rules) {
+  return {
+    disabled: Array.isArray(rules.disabled) ? rules.disabled.filter(p => typeof p === 'string') : [],
+    custom: Array.isArray(rules.custom) ? rules.custom.filter(p => typeof p === 'string') : [],
+    showPlaceholder: rules.showPlaceholder !== false
+  };
+}
+
+function renderBuiltInRules(rules) {
+  document.getElementById('builtin-placeholder-toggle').checked = rules.showPlaceholder;
+
+  const container = document.getElementById('builtin-patterns');
+  const patterns = [...BUILT_IN_ADS_PATTERNS, ...rules.custom];
+
+  container.innerHTML = patterns.map((pattern, index) => {
+    const isCustom = index >= BUILT_IN_ADS_PATTERNS.length;
+    return `
+      <div class="setting-row">
+        <div class="setting-info">
+          <span class="setting-label">${escapeHtml(pattern)}${isCustom ? `<span class="builtin-custom-label">${getMessage('optionsBuiltInCustom')}</span>` : ''}</span>
+        </div>
+        ${isCustom ? `<button class="btn small danger builtin-delete" data-index="${index}">${getMessage('btnDelete')}</button>` : ''}
+        <label class="toggle">
+          <input type="checkbox" class="builtin-toggle" data-index="${index}" ${rules.disabled.includes(pattern) ? '' : 'checked'}>
+          <span class="slider"></span>
+        </label>
+      </div>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.builtin-toggle').forEach(input => {
+    const pattern = patterns[parseInt(input.dataset.index, 10)];
+    input.addEventListener('change', () => {
+      updateBuiltInRules(r => {
+        r.disabled = r.disabled.filter(p => p !== pattern);
+        if (!input.checked) r.disabled.push(pattern);
+      });
+    });
+  });
+
+  container.querySelectorAll('.builtin-delete').forEach(btn => {
+    const pattern = patterns[parseInt(btn.dataset.index, 10)];
+    btn.addEventListener('click', () => {
+      updateBuiltInRules(r => {
+        r.custom = r.custom.filter(p => p !== pattern);
+        r.disabled = r.disabled.filter(p => p !== pattern);
+      });
+    });
+  });
+}
+
+// Read-modify-write so toggles from several controls don't overwrite each other
+async function updateBuiltInRules(mutate) {
+  try {
+    const { builtInRules = {} } = await chrome.storage.sync.get('builtInRules');
+    const rules = normalizeBuiltInRules(builtInRules);
+    mutate(rules);
+
+    await chrome.storage.sync.set({ builtInRules: rules });
+    renderBuiltInRules(rules);
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] updateBuiltInRules error:', error);
+  }
+}
+
+async function addBuiltInPattern() {
+  const input = document.getElementById('builtin-input');
+  const text = input.value.trim().substring(0, MAX_BUILTIN_LABEL_LENGTH);
+
+  if (!text) return;
+
+  const { builtInRules = {} } = await chrome.storage.sync.get('builtInRules');
+  const rules = normalizeBuiltInRules(builtInRules);
+  const exists = [...BUILT_IN_ADS_PATTERNS, ...rules.custom].some(p => p.toLowerCase() === text.toLowerCase());
+  if (exists) {
+    alert(getMessage('alertDuplicate'));
+    return;
+  }
+
+  await updateBuiltInRules(r => { r.custom.push(text); });
+  input.value = '';
+}
+
+// ============================================
+// Feed modules
+// ============================================
+
+async function loadFeedModules() {
+  try {
+    const [{ feedModuleStats = { today: 0, total: 0, lastReset: null } }, { feedModules }] = await Promise.all([
+      chrome.storage.local.get('feedModuleStats'),
+      chrome.storage.sync.get('feedModules')
+    ]);
+
+    const settings = FeedModules.settings(feedModules);
+    document.querySelectorAll('.feed-module-toggle').forEach(input => {
+      input.checked = settings[input.dataset.module];
+    });
+
+    const today = new Date().toISOString().split('T')[0];
+    const todayCount = feedModuleStats.lastReset === today ? feedModuleStats.today : 0;
+    document.getElementById('feed-module-stats').textContent =
+      getMessage('optionsFeedModulesStats', [String(todayCount), String(feedModuleStats.total || 0)]);
+  } catch (error) {
+    console.error('[FB Blocker] loadFeedModules error:', error);
+  }
+}
+
+async function saveFeedModules() {
+  try {
+    const stored = {};
+    document.querySelectorAll('.feed-module-toggle').forEach(input => {
+      stored[input.dataset.module] = input.checked;
+    });
+
+    await chrome.storage.sync.set({ feedModules: FeedModules.settings(stored) });
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] saveFeedModules error:', error);
+  }
+}
+
+// ============================================
+// Duplicate posts
+// ============================================
+
+async function loadDuplicatePosts() {
+  try {
+    const [{ duplicateFingerprints }, { duplicatePosts }] = await Promise.all([
+      chrome.storage.local.get('duplicateFingerprints'),
+      chrome.storage.sync.get('duplicatePosts')
+    ]);
+
+    const settings = DuplicateDetector.settings(duplicatePosts);
+    document.getElementById('duplicates-toggle').checked = settings.enabled;
+    document.getElementById('duplicates-threshold-input').value = settings.threshold;
+    document.getElementById('duplicates-window-input').value = settings.windowHours;
+
+    const store = DuplicateDetector.normalize(duplicateFingerprints);
+    document.getElementById('duplicates-summary').textContent = getMessage('optionsDuplicatesSummary', [
+      String(store.entries.length), String(DuplicateDetector.MAX_ENTRIES)
+    ]);
+  } catch (error) {
+    console.error('[FB Blocker] loadDuplicatePosts error:', error);
+  }
+}
+
+async function saveDuplicatePosts() {
+  try {
+    const thresholdInput = document.getElementById('duplicates-threshold-input');
+    const windowInput = document.getElementById('duplicates-window-input');
+    const duplicatePosts = DuplicateDetector.settings({
+      enabled: document.getElementById('duplicates-toggle').checked,
+      threshold: thresholdInput.value,
+      windowHours: windowInput.value
+    });
+    thresholdInput.value = duplicatePosts.threshold;
+    windowInput.value = duplicatePosts.windowHours;
+
+    await chrome.storage.sync.set({ duplicatePosts });
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] saveDuplicatePosts error:', error);
+  }
+}
+
+// Open tabs start over when they see the empty store
+async function clearDuplicateFingerprints() {
+  if (!confirm(getMessage('optionsDuplicatesClearConfirm'))) return;
+
+  try {
+    await chrome.storage.local.set({ duplicateFingerprints: DuplicateDetector.empty() });
+    await loadDuplicatePosts();
+  } catch (error) {
+    console.error('[FB Blocker] clearDuplicateFingerprints error:', error);
+  }
+}
+
+// ============================================
+// Keywords CRUD
+// ============================================
+
+async function loadKeywords() {
+  try {
+    const { keywords = [] } = await chrome.storage.local.get('keywords');
+    allKeywords = keywords;
+    renderKeywords();
+  } catch (error) {
+    console.error('[FB Blocker] loadKeywords error:', error);
+  }
+}
+
+function renderKeywords() {
+  const tbody = document.getElementById('keywords-tbody');
+  renderExpiredBar();
+
+  // Filter
+  let filtered = allKeywords;
+
+  if (currentSearch) {
+    filtered = filtered.filter(kw => {
+      const text = typeof kw === 'string' ? kw : kw.text;
+      return text.toLowerCase().includes(currentSearch);
+    });
+  }
+
+  if (currentCategory) {
+    filtered = filtered.filter(kw => {
+      const cat = typeof kw === 'object' ? (kw.category || 'default') : 'default';
+      return cat === currentCategory;
+    });
+  }
+
+  if (filtered.length === 0) {
+    tbody.innerHTML = `
+      <tr class="empty-row">
+        <td colspan="13">${allKeywords.length === 0 ? getMessage('emptyKeywords') : getMessage('noMatch')}</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tbody.innerHTML = filtered.map((kw, index) => {
+    const text = typeof kw === 'string' ? kw : kw.text;
+    const id = typeof kw === 'object' ? kw.id : index;
+    const category = typeof kw === 'object' ? (kw.category || 'default') : 'default';
+    const isRegex = typeof kw === 'object' && kw.isRegex;
+    const isExpression = typeof kw === 'object' && !isRegex && kw.isExpression;
+    const isWildcard = typeof kw === 'object' && !isRegex && !isExpression && kw.isWildcard;
+    const categoryLabel = getCategoryLabel(category);
+
+    return `
+      <tr class="${isExpired(kw) ? 'expired-row' : ''}">
+        <td>${escapeHtml(text)}</td>
+        <td><span class="category-badge ${category}">${categoryLabel}</span></td>
+        <td>${renderTypeBadge(isRegex, isExpression, isWildcard)}</td>
+        <td>${typeof kw === 'object' && !isRegex ? renderMatchModeSelect(kw.matchMode, `data-id="${id}"`) : '-'}</td>
+        <td>${typeof kw === 'object' ? renderWeightInput(kw.weight, id) : '-'}</td>
+        <td>${renderFlagSelect(kw, id, 'caseSensitive', globalCaseSensitive, 'optionsCaseSensitive')}</td>
+        <td>${renderFlagSelect(kw, id, 'ignoreDiacritics', globalIgnoreDiacritics, 'optionsIgnoreDiacritics')}</td>
+        <td>${renderFlagToggle(kw, id, 'canonical', canonicalCategories.includes(category), 'optionsCanonical')}</td>
+        <td>${typeof kw === 'object' ? renderScopeInput(kw.scopes, `data-id="${id}"`) : '-'}</td>
+        <td>${typeof kw === 'object' ? renderFieldPicker(kw.fields, id) : '-'}</td>
+        <td>${renderExpiry(kw)}</td>
+        <td>${typeof kw === 'object' ? renderActionSelect(kw.action, `data-id="${id}"`) : '-'}</td>
+        <td>
+          <button class="btn small danger" onclick="deleteKeyword('${id}', ${index})">${getMessage('btnDelete')}</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  tbody.querySelectorAll('.flag-toggle').forEach(input => {
+    input.addEventListener('change', () => setKeywordFlag(input.dataset.id, input.dataset.field, input.checked));
+  });
+
+  tbody.querySelectorAll('.flag-select').forEach(select => {
+    select.addEventListener('change', () => {
+      setKeywordFlag(select.dataset.id, select.dataset.field, select.value === '' ? null : select.value === 'on');
+    });
+  });
+
+  tbody.querySelectorAll('.action-select').forEach(select => {
+    select.addEventListener('change', () => {
+      setKeywordFlag(select.dataset.id, 'action', RULE_ACTIONS.includes(select.value) ? select.value : null);
+    });
+  });
+
+  tbody.querySelectorAll('.scope-input').forEach(input => {
+    input.addEventListener('change', () => {
+      const scopes = readScopeInput(input);
+      if (scopes) setKeywordFlag(input.dataset.id, 'scopes', scopes.length > 0 ? scopes : null);
+    });
+  });
+
+  tbody.querySelectorAll('.field-picker').forEach(picker => {
+    picker.addEventListener('change', (e) => {
+      const fields = [...picker.querySelectorAll('input:checked')].map(input => input.value);
+      // A keyword has to look somewhere
+      if (fields.length === 0) {
+        e.target.checked = true;
+        return;
+      }
+      setKeywordFlag(picker.dataset.id, 'fields', normalizeFields(fields));
+    });
+  });
+
+  tbody.querySelectorAll('.weight-input').forEach(input => {
+    input.addEventListener('change', () => {
+      const weight = parsePositiveInt(input.value, MAX_WEIGHT);
+      input.value = weight || '';
+      setKeywordFlag(input.dataset.id, 'weight', weight);
+    });
+  });
+
+  tbody.querySelectorAll('.match-select').forEach(select => {
+    select.addEventListener('change', () => {
+      setKeywordFlag(select.dataset.id, 'matchMode', MATCH_MODES.includes(select.value) ? select.value : 'word');
+    });
+  });
+
+  // Update count
+  document.getElementById('keyword-count').textContent = allKeywords.length;
+}
+
+// Empty = hard block (today's behavior)
+function renderWeightInput(weight, id) {
+  return `<input type="number" class="weight-input" data-id="${id}" min="1" max="${MAX_WEIGHT}"
+    value="${parsePositiveInt(weight, MAX_WEIGHT) || ''}" placeholder="-" title="${getMessage('optionsWeightTitle')}">`;
+}
+
+function renderTypeBadge(isRegex, isExpression, isWildcard) {
+  if (isRegex) return '<span class="regex-badge">REGEX</span>';
+  if (isExpression) return '<span class="regex-badge expression">EXPR</span>';
+  if (isWildcard) return '<span class="regex-badge wildcard">WILD</span>';
+  return '-';
+}
+
+// Per-keyword setting with a global default: "Default (on/off)" inherits it, On / Off override it
+function renderFlagSelect(kw, id, field, globalValue, titleKey) {
+  if (typeof kw !== 'object') return '-';
+  const current = kw[field] === true ? 'on' : kw[field] === false ? 'off' : '';
+  const options = [
+    ['', getMessage(globalValue ? 'flagDefaultOn' : 'flagDefaultOff')],
+    ['on', getMessage('flagOn')],
+    ['off', getMessage('flagOff')]
+  ].map(([value, label]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`).join('');
+  return `<select class="flag-select" data-id="${id}" data-field="${field}" title="${getMessage(titleKey)}">${options}</select>`;
+}
+
+// Per-keyword boolean flag; a category setting that is on forces it for every keyword
+function renderFlagToggle(kw, id, field, globalValue, titleKey) {
+  const checked = globalValue || (typeof kw === 'object' && kw[field] === true);
+  const disabled = globalValue || typeof kw !== 'object';
+  return `<input type="checkbox" class="flag-toggle" data-id="${id}" data-field="${field}" title="${getMessage(titleKey)}"
+    ${checked ? 'checked' : ''} ${disabled ? 'disabled' : ''}>`;
+}
+
+async function addKeyword() {
+  const input = document.getElementById('keyword-input');
+  const categoryInput = document.getElementById('category-input');
+  const typeInput = document.getElementById('type-input');
+  const matchInput = document.getElementById('match-input');
+  const expiryInput = document.getElementById('expiry-input');
+  const expiryDateInput = document.getElementById('expiry-date');
+
+  const text = input.value.trim();
+  const category = categoryInput.value || 'default';
+  const isRegex = typeInput.value === 'regex';
+  const isExpression = typeInput.value === 'expression';
+  const isWildcard = typeInput.value === 'wildcard';
+  const matchMode = MATCH_MODES.includes(matchInput.value) ? matchInput.value : 'word';
+
+  if (!text) return;
+
+  const expiresAt = expiryInput.value === 'date'
+    ? expiryFromDate(expiryDateInput.value)
+    : expiryFromDays(expiryInput.value);
+  if (expiryInput.value === 'date' && !expiresAt) {
+    alert(getMessage('alertInvalidExpiry'));
+    return;
+  }
+
+  // Validate regex if enabled
+  if (isRegex) {
+    if (typeof RegexValidator !== 'undefined') {
+      const result = RegexValidator.validate(text);
+      if (!result.valid) {
+        alert(getMessage('alertInvalidRegex', [result.error]));
+        return;
+      }
+    } else {
+      try {
+        new RegExp(text);
+      } catch (e) {
+        alert(getMessage('alertInvalidRegex', [e.message]));
+        return;
+      }
+    }
+  }
+
+  // Validate boolean expression
+  if (isExpression) {
+    const result = RuleExpression.validate(text);
+    if (!result.valid) {
+      alert(getMessage('alertInvalidExpression', [result.error]));
+      return;
+    }
+  }
+
+  // Validate wildcard pattern
+  if (isWildcard) {
+    const result = Wildcard.validate(text);
+    if (!result.valid) {
+      alert(getMessage('alertInvalidWildcard', [result.error]));
+      return;
+    }
+  }
+
+  try {
+    const { keywords = [] } = await chrome.storage.local.get('keywords');
+
+    // Check duplicate
+    const exists = keywords.some(kw =>
+      (typeof kw === 'string' ? kw : kw.text).toLowerCase() === text.toLowerCase()
+    );
+
+    if (exists) {
+      alert(getMessage('alertDuplicate'));
+      return;
+    }
+
+    keywords.push({
+      id: crypto.randomUUID(),
+      text,
+      category,
+      isRegex,
+      isExpression,
+      isWildcard,
+      caseSensitive: null,
+      matchMode,
+      expiresAt
+    });
+
+    await chrome.storage.local.set({ keywords });
+    input.value = '';
+    typeInput.value = 'keyword';
+    matchInput.value = 'word';
+    expiryInput.value = '';
+    expiryDateInput.value = '';
+    expiryDateInput.hidden = true;
+    allKeywords = keywords;
+    renderKeywords();
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] addKeyword error:', error);
+    alert(getMessage('alertAddError'));
+  }
+}
+
+// Update a single field on a stored keyword (flags, action, ...)
+async function setKeywordFlag(id, field, value) {
+  try {
+    const { keywords = [] } = await chrome.storage.local.get('keywords');
+
+    const kw = keywords.find(k => typeof k === 'object' && k.id === id);
+    if (!kw) return;
+    kw[field] = value;
+
+    await chrome.storage.local.set({ keywords });
+    allKeywords = keywords;
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] setKeywordFlag error:', error);
+  }
+}
+
+// ============================================
+// Expired keywords
+// ============================================
+
+function renderExpiredBar() {
+  const count = allKeywords.filter(isExpired).length;
+  document.getElementById('expired-bar').hidden = count === 0;
+  document.getElementById('expired-text').textContent = getMessage('optionsExpiredCount', [String(count)]);
+}
+
+async function renewExpiredKeywords() {
+  try {
+    const { keywords = [] } = await chrome.storage.local.get('keywords');
+    const expiresAt = expiryFromDays(document.getElementById('renew-days').value);
+    keywords.filter(isExpired).forEach(kw => { kw.expiresAt = expiresAt; });
+
+    await chrome.storage.local.set({ keywords });
+    allKeywords = keywords;
+    renderKeywords();
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] renewExpiredKeywords error:', error);
+  }
+}
+
+async function removeExpiredKeywords() {
+  if (!confirm(getMessage('optionsRemoveExpiredConfirm'))) return;
+
+  try {
+    const { keywords = [] } = await chrome.storage.local.get('keywords');
+    const remaining = keywords.filter(kw => !isExpired(kw));
+
+    await chrome.storage.local.set({ keywords: remaining });
+    allKeywords = remaining;
+    renderKeywords();
+    loadStats();
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] removeExpiredKeywords error:', error);
+  }
+}
+
+window.deleteKeyword = async function(id, index) {
+  try {
+    const { keywords = [] } = await chrome.storage.local.get('keywords');
+
+    const idx = keywords.findIndex(kw => kw.id === id);
+    if (idx !== -1) {
+      keywords.splice(idx, 1);
+    } else if (index >= 0 && index < keywords.length) {
+      keywords.splice(index, 1);
+    }
+
+    await chrome.storage.local.set({ keywords });
+    allKeywords = keywords;
+    renderKeywords();
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] deleteKeyword error:', error);
+  }
+};
+
+// ============================================
+// Whitelist
+// ============================================
+
+async function loadWhitelist() {
+  try {
+    const { whitelist = [] } = await chrome.storage.local.get('whitelist');
+    renderWhitelist(whitelist);
+  } catch (error) {
+    console.error('[FB Blocker] loadWhitelist error:', error);
+  }
+}
+
+function renderWhitelist(whitelist) {
+  const container = document.getElementById('whitelist-tags');
+  document.getElementById('whitelist-count').textContent = whitelist.length;
+
+  if (whitelist.length === 0) {
+    container.innerHTML = `<span style="color: #65676b; font-size: 13px;">${getMessage('emptyWhitelist')}</span>`;
+    return;
+  }
+
+  container.innerHTML = whitelist.map((item, index) => {
+    const text = typeof item === 'string' ? item : item.text;
+    const id = typeof item === 'object' ? item.id : index;
+    const isRegex = typeof item === 'object' && item.isRegex === true;
+    const isWildcard = typeof item === 'object' && !isRegex && item.isWildcard === true;
+    const categories = typeof item === 'object' && Array.isArray(item.categories) ? item.categories : [];
+    return `
+      <span class="whitelist-tag">
+        ${escapeHtml(text)}
+        ${isRegex || isWildcard ? renderTypeBadge(isRegex, false, isWildcard) : ''}
+        ${categories.map(category => `<span class="category-badge ${category}">${getCategoryLabel(category)}</span>`).join('')}
+        <button onclick="deleteWhitelistItem('${id}', ${index})">&times;</button>
+      </span>
+    `;
+  }).join('');
+}
+
+// Regex and wildcard whitelist entries must compile to a safe regex
+function validateWhitelistPattern(text, type) {
+  if (type === 'wildcard') {
+    const result = Wildcard.validate(text);
+    return result.valid ? RegexValidator.validate(Wildcard.toPattern(text)) : result;
+  }
+  if (type === 'regex') {
+    return RegexValidator.validate(text);
+  }
+  return { valid: true, error: null };
+}
+
+async function addWhitelistItem() {
+  const input = document.getElementById('whitelist-input');
+  const typeInput = document.getElementById('whitelist-type-input');
+  const categoryInput = document.getElementById('whitelist-category-input');
+  const text = input.value.trim();
+  const type = typeInput.value;
+  const category = VALID_CATEGORIES.includes(categoryInput.value) ? categoryInput.value : null;
+
+  if (!text) return;
+
+  const result = validateWhitelistPattern(text, type);
+  if (!result.valid) {
+    alert(getMessage(type === 'wildcard' ? 'alertInvalidWildcard' : 'alertInvalidRegex', [result.error]));
+    return;
+  }
+
+  try {
+    const { whitelist = [] } = await chrome.storage.local.get('whitelist');
+
+    // Check duplicate
+    const exists = whitelist.some(item =>
+      (typeof item === 'string' ? item : item.text).toLowerCase() === text.toLowerCase()
+    );
+
+    if (exists) {
+      alert(getMessage('alertWhitelistDuplicate'));
+      return;
+    }
 
     whitelist.push({
       id: crypto.randomUUID(),
-      text
+      text,
+      isRegex: type === 'regex',
+      isWildcard: type === 'wildcard',
+      categories: category ? [category] : null
     });
 
     await chrome.storage.local.set({ whitelist });
     input.value = '';
+    typeInput.value = 'keyword';
+    categoryInput.value = '';
     renderWhitelist(whitelist);
     notifyContentScript();
   } catch (error) {
@@ -407,27 +1376,459 @@ window.deleteWhitelistItem = async function(id, index) {
   }
 };
 
+// ============================================
+// Author Rules
+// ============================================
+
+// Storage keys in chrome.storage.local; allowedAuthors wins over blockedAuthors
+const AUTHOR_LISTS = ['blockedAuthors', 'allowedAuthors'];
+const MAX_AUTHOR_LENGTH = 200;
+
+async function loadAuthorLists() {
+  try {
+    const data = await chrome.storage.local.get(AUTHOR_LISTS);
+    AUTHOR_LISTS.forEach(key => renderAuthorList(key, data[key] || []));
+  } catch (error) {
+    console.error('[FB Blocker] loadAuthorLists error:', error);
+  }
+}
+
+function renderAuthorList(key, list) {
+  const container = document.getElementById(`${key}-tags`);
+
+  if (list.length === 0) {
+    container.innerHTML = `<span style="color: #65676b; font-size: 13px;">${getMessage('emptyAuthors')}</span>`;
+    return;
+  }
+
+  const tagClass = key === 'blockedAuthors' ? 'whitelist-tag blocked' : 'whitelist-tag';
+  container.innerHTML = list.map(item => `
+    <span class="${tagClass}">
+      ${escapeHtml(item.text)}
+      <button data-id="${escapeHtml(item.id)}">&times;</button>
+    </span>
+  `).join('');
+
+  container.querySelectorAll('button[data-id]').forEach(btn => {
+    btn.addEventListener('click', () => deleteAuthor(key, btn.dataset.id));
+  });
+}
+
+async function addAuthor(key) {
+  if (!AUTHOR_LISTS.includes(key)) return;
+
+  const input = document.getElementById(`${key}-input`);
+  const text = input.value.trim();
+
+  if (!text) return;
+  if (text.length > MAX_AUTHOR_LENGTH) {
+    alert(getMessage('alertAuthorTooLong', [String(MAX_AUTHOR_LENGTH)]));
+    return;
+  }
+
+  try {
+    const { [key]: list = [] } = await chrome.storage.local.get(key);
+
+    if (list.some(item => item.text.toLowerCase() === text.toLowerCase())) {
+      alert(getMessage('alertAuthorDuplicate'));
+      return;
+    }
+
+    list.push({ id: crypto.randomUUID(), text });
+
+    await chrome.storage.local.set({ [key]: list });
+    input.value = '';
+    renderAuthorList(key, list);
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] addAuthor error:', error);
+  }
+}
+
+async function deleteAuthor(key, id) {
+  try {
+    const { [key]: list = [] } = await chrome.storage.local.get(key);
+    const updated = list.filter(item => item.id !== id);
+
+    await chrome.storage.local.set({ [key]: updated });
+    renderAuthorList(key, updated);
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] deleteAuthor error:', error);
+  }
+}
+
+// ============================================
+// Linked Domains
+// ============================================
+
+// "https://WWW.Example.com/path" -> "example.com"; keeps a leading "*."; null if not a domain
+function normalizeDomain(text) {
+  const raw = String(text || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '');
+  const wildcard = raw.startsWith('*.');
+  const host = raw.replace(/^\*\./, '').replace(/^www\./, '');
+
+  if (!/^([a-z0-9\u00a1-\uffff-]+\.)+[a-z0-9\u00a1-\uffff-]{2,}$/i.test(host)) return null;
+  return wildcard ? `*.${host}` : host;
+}
+
+async function loadDomainRules() {
+  try {
+    const { domainRules = [], domainWhitelist = [] } =
+      await chrome.storage.local.get(['domainRules', 'domainWhitelist']);
+    renderDomainRules(domainRules);
+    renderDomainWhitelist(domainWhitelist);
+  } catch (error) {
+    console.error('[FB Blocker] loadDomainRules error:', error);
+  }
+}
+
+function renderDomainRules(rules) {
+  const container = document.getElementById('domain-rules');
+
+  if (rules.length === 0) {
+    container.innerHTML = `<span style="color: #65676b; font-size: 13px;">${getMessage('emptyDomains')}</span>`;
+    return;
+  }
+
+  container.innerHTML = rules.map(rule => {
+    const category = VALID_CATEGORIES.includes(rule.category) ? rule.category : 'default';
+    return `
+      <span class="whitelist-tag blocked">
+        ${escapeHtml(rule.text)}
+        <span class="category-badge ${category}">${getCategoryLabel(category)}</span>
+        <button data-id="${escapeHtml(rule.id)}">&times;</button>
+      </span>
+    `;
+  }).join('');
+
+  container.querySelectorAll('button[data-id]').forEach(btn => {
+    btn.addEventListener('click', () => deleteDomainItem('domainRules', btn.dataset.id));
+  });
+}
+
+function renderDomainWhitelist(whitelist) {
+  const container = document.getElementById('domain-whitelist');
+
+  if (whitelist.length === 0) {
+    container.innerHTML = `<span style="color: #65676b; font-size: 13px;">${getMessage('emptyDomains')}</span>`;
+    return;
+  }
+
+  container.innerHTML = whitelist.map(item => `
+    <span class="whitelist-tag">
+      ${escapeHtml(item.text)}
+      <button data-id="${escapeHtml(item.id)}">&times;</button>
+    </span>
+  `).join('');
+
+  container.querySelectorAll('button[data-id]').forEach(btn => {
+    btn.addEventListener('click', () => deleteDomainItem('domainWhitelist', btn.dataset.id));
+  });
+}
+
+// Validates the input and appends { id, text, ...extra } to a domain list in storage
+async function addDomainItem(key, input, extra = {}) {
+  if (!input.value.trim()) return null;
+
+  const text = normalizeDomain(input.value);
+  if (!text) {
+    alert(getMessage('alertInvalidDomain'));
+    return null;
+  }
+
+  const { [key]: list = [] } = await chrome.storage.local.get(key);
+  if (list.some(item => item.text === text)) {
+    alert(getMessage('alertDomainDuplicate'));
+    return null;
+  }
+
+  list.push({ id: crypto.randomUUID(), text, ...extra });
+  await chrome.storage.local.set({ [key]: list });
+  input.value = '';
+  notifyContentScript();
+  return list;
+}
+
+async function addDomainRule() {
+  try {
+    const category = document.getElementById('domain-category-input').value || 'default';
+    const rules = await addDomainItem('domainRules', document.getElementById('domain-input'), { category });
+    if (rules) renderDomainRules(rules);
+  } catch (error) {
+    console.error('[FB Blocker] addDomainRule error:', error);
+  }
+}
+
+async function addDomainWhitelistItem() {
+  try {
+    const whitelist = await addDomainItem('domainWhitelist', document.getElementById('domain-whitelist-input'));
+    if (whitelist) renderDomainWhitelist(whitelist);
+  } catch (error) {
+    console.error('[FB Blocker] addDomainWhitelistItem error:', error);
+  }
+}
+
+async function deleteDomainItem(key, id) {
+  try {
+    const { [key]: list = [] } = await chrome.storage.local.get(key);
+    const updated = list.filter(item => item.id !== id);
+
+    await chrome.storage.local.set({ [key]: updated });
+    if (key === 'domainRules') {
+      renderDomainRules(updated);
+    } else {
+      renderDomainWhitelist(updated);
+    }
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] deleteDomainItem error:', error);
+  }
+}
+
 // ============================================
 // Import/Export
 // ============================================
 
+// ============================================
+// Language filter
+// ============================================
+
+// "French" in the browser's language, or the code when the name is unknown
+function getLanguageLabel(code) {
+  try {
+    return new Intl.DisplayNames([], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+function normalizeLanguageFilter(stored) {
+  const settings = LanguageDetector.settings(stored);
+  if (!RULE_ACTIONS.includes(settings.action)) settings.action = 'collapse';
+  return settings;
+}
+
+async function loadLanguageFilter() {
+  try {
+    const { languageFilter } = await chrome.storage.sync.get('languageFilter');
+    renderLanguageFilter(normalizeLanguageFilter(languageFilter));
+  } catch (error) {
+    console.error('[FB Blocker] loadLanguageFilter error:', error);
+  }
+}
+
+function renderLanguageFilter(settings) {
+  document.getElementById('language-filter-toggle').checked = settings.enabled;
+
+  document.getElementById('language-action-input').innerHTML = RULE_ACTIONS.map(action =>
+    `<option value="${action}" ${action === settings.action ? 'selected' : ''}>${getActionLabel(action)}</option>`
+  ).join('');
+
+  document.getElementById('language-options').innerHTML = LanguageDetector.languages().map(language => `
+    <label class="checkbox-label">
+      <input type="checkbox" value="${language}" ${settings.allowed.includes(language) ? 'checked' : ''}>
+      <span>${escapeHtml(getLanguageLabel(language))}</span>
+    </label>
+  `).join('');
+}
+
+async function saveLanguageFilter() {
+  try {
+    const allowed = [...document.querySelectorAll('#language-options input:checked')].map(input => input.value);
+    const languageFilter = normalizeLanguageFilter({
+      enabled: document.getElementById('language-filter-toggle').checked,
+      allowed,
+      action: document.getElementById('language-action-input').value
+    });
+
+    await chrome.storage.sync.set({ languageFilter });
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] saveLanguageFilter error:', error);
+  }
+}
+
+// ============================================
+// Comment spam heuristics
+// ============================================
+
+async function loadCommentSpam() {
+  try {
+    const [{ commentSpamStats = { today: 0, total: 0, lastReset: null } }, { commentSpam }] = await Promise.all([
+      chrome.storage.local.get('commentSpamStats'),
+      chrome.storage.sync.get('commentSpam')
+    ]);
+
+    const settings = SpamHeuristics.settings(commentSpam);
+    document.getElementById('comment-spam-toggle').checked = settings.enabled;
+    document.querySelectorAll('.spam-signal-toggle').forEach(input => {
+      input.checked = settings.signals[input.dataset.signal];
+    });
+
+    const today = new Date().toISOString().split('T')[0];
+    const todayCount = commentSpamStats.lastReset === today ? commentSpamStats.today : 0;
+    document.getElementById('comment-spam-stats').textContent =
+      getMessage('optionsCommentSpamStats', [String(todayCount), String(commentSpamStats.total || 0)]);
+  } catch (error) {
+    console.error('[FB Blocker] loadCommentSpam error:', error);
+  }
+}
+
+async function saveCommentSpamSettings() {
+  try {
+    const signals = {};
+    document.querySelectorAll('.spam-signal-toggle').forEach(input => {
+      signals[input.dataset.signal] = input.checked;
+    });
+    const commentSpam = SpamHeuristics.settings({
+      enabled: document.getElementById('comment-spam-toggle').checked,
+      signals
+    });
+
+    await chrome.storage.sync.set({ commentSpam });
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] saveCommentSpamSettings error:', error);
+  }
+}
+
+// ============================================
+// Learning (on-device classifier)
+// ============================================
+
+function normalizeClassifierSettings(settings = {}) {
+  const threshold = parsePositiveInt(settings.threshold, MAX_CLASSIFIER_THRESHOLD);
+  return {
+    enabled: settings.enabled === true,
+    threshold: threshold >= MIN_CLASSIFIER_THRESHOLD ? threshold : DEFAULT_CLASSIFIER_THRESHOLD
+  };
+}
+
+async function loadClassifier() {
+  try {
+    const [{ classifierModel }, { classifier }] = await Promise.all([
+      chrome.storage.local.get('classifierModel'),
+      chrome.storage.sync.get('classifier')
+    ]);
+
+    const settings = normalizeClassifierSettings(classifier);
+    document.getElementById('classifier-toggle').checked = settings.enabled;
+    document.getElementById('classifier-threshold-input').value = settings.threshold;
+    renderClassifierModel(Classifier.normalize(classifierModel));
+  } catch (error) {
+    console.error('[FB Blocker] loadClassifier error:', error);
+  }
+}
+
+function renderClassifierModel(model) {
+  const summary = getMessage('optionsLearningSummary', [
+    String(model.docs.block), String(model.docs.allow), String(Object.keys(model.tokens).length)
+  ]);
+  const status = Classifier.isReady(model)
+    ? getMessage('optionsLearningReady')
+    : getMessage('optionsLearningNotReady', [String(Classifier.MIN_DOCS)]);
+  document.getElementById('classifier-summary').textContent = `${summary} ${status}`;
+
+  const container = document.getElementById('classifier-tokens');
+  const tokens = Classifier.strongestTokens(model, 20);
+  if (tokens.length === 0) {
+    container.innerHTML = `<span style="color: #65676b; font-size: 13px;">${getMessage('emptyLearnedTokens')}</span>`;
+    return;
+  }
+
+  container.innerHTML = tokens.map(item => `
+    <span class="whitelist-tag blocked" title="${escapeHtml(getMessage('optionsLearningTokenTitle', [String(item.block), String(item.allow)]))}">
+      ${escapeHtml(item.token)}
+    </span>
+  `).join('');
+}
+
+async function saveClassifierSettings() {
+  try {
+    const thresholdInput = document.getElementById('classifier-threshold-input');
+    const classifier = normalizeClassifierSettings({
+      enabled: document.getElementById('classifier-toggle').checked,
+      threshold: thresholdInput.value
+    });
+    thresholdInput.value = classifier.threshold;
+
+    await chrome.storage.sync.set({ classifier });
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] saveClassifierSettings error:', error);
+  }
+}
+
+async function exportClassifierModel() {
+  try {
+    const { classifierModel } = await chrome.storage.local.get('classifierModel');
+    const data = {
+      exportedAt: new Date().toISOString(),
+      classifierModel: Classifier.normalize(classifierModel)
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'fb-blocker-model.json';
+    a.click();
+
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('[FB Blocker] exportClassifierModel error:', error);
+  }
+}
+
+async function resetClassifierModel() {
+  if (!confirm(getMessage('optionsLearningResetConfirm'))) return;
+
+  try {
+    const classifierModel = Classifier.empty();
+    await chrome.storage.local.set({ classifierModel });
+    renderClassifierModel(classifierModel);
+  } catch (error) {
+    console.error('[FB Blocker] resetClassifierModel error:', error);
+  }
+}
+
 async function exportData() {
   try {
     const [localData, syncData] = await Promise.all([
-      chrome.storage.local.get(['keywords', 'whitelist', 'stats']),
-      chrome.storage.sync.get(['enabled', 'settings'])
+      chrome.storage.local.get(['keywords', 'whitelist', 'stats', ...AUTHOR_LISTS, 'domainRules', 'domainWhitelist']),
+      chrome.storage.sync.get(['enabled', 'settings', 'disabledCategories', 'categoryActions', 'categoryScopes', 'canonicalCategories', 'categoryThresholds', 'builtInRules', 'schedules', 'classifier', 'commentSpam', 'languageFilter', 'feedModules', 'duplicatePosts'])
     ]);
 
     const data = {
-      version: 2,
+      version: 3,
       exportedAt: new Date().toISOString(),
       keywords: localData.keywords || [],
       whitelist: localData.whitelist || [],
+      blockedAuthors: localData.blockedAuthors || [],
+      allowedAuthors: localData.allowedAuthors || [],
+      domainRules: localData.domainRules || [],
+      domainWhitelist: localData.domainWhitelist || [],
       stats: localData.stats || {},
       settings: {
         enabled: syncData.enabled,
         ...syncData.settings
-      }
+      },
+      disabledCategories: syncData.disabledCategories || [],
+      categoryActions: syncData.categoryActions || {},
+      categoryScopes: syncData.categoryScopes || {},
+      canonicalCategories: syncData.canonicalCategories || [],
+      categoryThresholds: syncData.categoryThresholds || {},
+      schedules: syncData.schedules || [],
+      builtInRules: syncData.builtInRules || {},
+      feedModules: FeedModules.settings(syncData.feedModules),
+      duplicatePosts: DuplicateDetector.settings(syncData.duplicatePosts),
+      classifier: normalizeClassifierSettings(syncData.classifier),
+      commentSpam: SpamHeuristics.settings(syncData.commentSpam),
+      languageFilter: normalizeLanguageFilter(syncData.languageFilter)
     };
 
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -445,6 +1846,12 @@ async function exportData() {
   }
 }
 
+// Keyword flags are tri-state from backup version 3; older backups stored false for "use the global setting"
+function importFlag(value, version) {
+  if (value === true) return true;
+  return value === false && version >= 3 ? false : null;
+}
+
 async function handleImport(event) {
   const file = event.target.files[0];
   if (!file) return;
@@ -484,6 +1891,12 @@ async function handleImport(event) {
         const trimmedText = text.trim().substring(0, MAX_KEYWORD_LENGTH);
         if (!trimmedText || existingTexts.has(trimmedText.toLowerCase())) continue;
 
+        // Expressions and wildcards are re-validated; an invalid one would otherwise block its raw text
+        const isExpression = typeof kw === 'object' && kw.isExpression === true;
+        if (isExpression && !RuleExpression.validate(trimmedText).valid) continue;
+        const isWildcard = typeof kw === 'object' && !isExpression && kw.isWildcard === true;
+        if (isWildcard && !Wildcard.validate(trimmedText).valid) continue;
+
         // Validate category
         let category = 'default';
         if (typeof kw === 'object' && kw.category && VALID_CATEGORIES.includes(kw.category)) {
@@ -495,7 +1908,17 @@ async function handleImport(event) {
           text: trimmedText,
           category: category,
           isRegex: false,
-          caseSensitive: false
+          isExpression,
+          isWildcard,
+          caseSensitive: typeof kw === 'object' ? importFlag(kw.caseSensitive, data.version) : null,
+          ignoreDiacritics: typeof kw === 'object' ? importFlag(kw.ignoreDiacritics, data.version) : null,
+          canonical: typeof kw === 'object' && kw.canonical === true,
+          matchMode: typeof kw === 'object' && MATCH_MODES.includes(kw.matchMode) ? kw.matchMode : 'word',
+          weight: typeof kw === 'object' ? parsePositiveInt(kw.weight, MAX_WEIGHT) : null,
+          action: typeof kw === 'object' && RULE_ACTIONS.includes(kw.action) ? kw.action : null,
+          scopes: typeof kw === 'object' && Array.isArray(kw.scopes) ? parseScopes(kw.scopes.join(',')).scopes : null,
+          fields: typeof kw === 'object' ? normalizeFields(kw.fields) : null,
+          expiresAt: typeof kw === 'object' && !Number.isNaN(Date.parse(kw.expiresAt)) ? kw.expiresAt : null
         });
         existingTexts.add(trimmedText.toLowerCase());
         added++;
@@ -516,9 +1939,24 @@ async function handleImport(event) {
 
       for (const item of data.whitelist) {
         const text = typeof item === 'string' ? item : item.text;
-        if (!text || existingTexts.has(text.toLowerCase())) continue;
+        if (!text || typeof text !== 'string' || existingTexts.has(text.toLowerCase())) continue;
 
-        existing.push({ id: crypto.randomUUID(), text });
+        // Patterns are re-validated; categories are limited to known ones
+        const isRegex = typeof item === 'object' && item.isRegex === true;
+        const isWildcard = typeof item === 'object' && !isRegex && item.isWildcard === true;
+        const type = isRegex ? 'regex' : isWildcard ? 'wildcard' : 'keyword';
+        if (!validateWhitelistPattern(text, type).valid) continue;
+        const categories = typeof item === 'object' && Array.isArray(item.categories)
+          ? [...new Set(item.categories.filter(c => VALID_CATEGORIES.includes(c)))]
+          : [];
+
+        existing.push({
+          id: crypto.randomUUID(),
+          text,
+          isRegex,
+          isWildcard,
+          categories: categories.length > 0 ? categories : null
+        });
         existingTexts.add(text.toLowerCase());
       }
 
@@ -526,18 +1964,172 @@ async function handleImport(event) {
       renderWhitelist(existing);
     }
 
+    // Import author rules
+    for (const key of AUTHOR_LISTS) {
+      if (!Array.isArray(data[key])) continue;
+
+      const { [key]: existing = [] } = await chrome.storage.local.get(key);
+      const existingTexts = new Set(existing.map(item => item.text.toLowerCase()));
+
+      for (const item of data[key]) {
+        const text = (typeof item === 'string' ? item : item?.text || '').trim();
+        if (!text || text.length > MAX_AUTHOR_LENGTH || existingTexts.has(text.toLowerCase())) continue;
+
+        existing.push({ id: crypto.randomUUID(), text });
+        existingTexts.add(text.toLowerCase());
+      }
+
+      await chrome.storage.local.set({ [key]: existing });
+      renderAuthorList(key, existing);
+    }
+
+    // Import linked domains
+    for (const key of ['domainRules', 'domainWhitelist']) {
+      if (!Array.isArray(data[key])) continue;
+
+      const { [key]: existing = [] } = await chrome.storage.local.get(key);
+      const existingTexts = new Set(existing.map(item => item.text));
+
+      for (const item of data[key]) {
+        const text = normalizeDomain(typeof item === 'string' ? item : item?.text);
+        if (!text || existingTexts.has(text)) continue;
+
+        const entry = { id: crypto.randomUUID(), text };
+        if (key === 'domainRules') {
+          entry.category = VALID_CATEGORIES.includes(item?.category) ? item.category : 'default';
+        }
+        existing.push(entry);
+        existingTexts.add(text);
+      }
+
+      await chrome.storage.local.set({ [key]: existing });
+    }
+    await loadDomainRules();
+
     // Import settings
     if (data.settings) {
       await chrome.storage.sync.set({
         enabled: data.settings.enabled !== false,
         settings: {
           blockComments: data.settings.blockComments !== false,
-          caseSensitive: data.settings.caseSensitive === true
+          caseSensitive: data.settings.caseSensitive === true,
+          ignoreDiacritics: data.settings.ignoreDiacritics === true,
+          showReason: data.settings.showReason !== false,
+          scoreThreshold: parsePositiveInt(data.settings.scoreThreshold, MAX_SCORE_THRESHOLD) || DEFAULT_SCORE_THRESHOLD
         }
       });
       await loadSettings();
     }
 
+    // Import category switches
+    if (Array.isArray(data.disabledCategories)) {
+      const disabledCategories = data.disabledCategories.filter(c => VALID_CATEGORIES.includes(c));
+      await chrome.storage.sync.set({ disabledCategories });
+      await loadCategoryStates();
+    }
+
+    // Import category actions
+    if (data.categoryActions && typeof data.categoryActions === 'object') {
+      const categoryActions = {};
+      for (const category of VALID_CATEGORIES) {
+        if (RULE_ACTIONS.includes(data.categoryActions[category])) {
+          categoryActions[category] = data.categoryActions[category];
+        }
+      }
+      await chrome.storage.sync.set({ categoryActions });
+      await loadCategoryStates();
+    }
+
+    // Import category scopes
+    if (data.categoryScopes && typeof data.categoryScopes === 'object') {
+      const categoryScopes = {};
+      for (const category of VALID_CATEGORIES) {
+        if (!Array.isArray(data.categoryScopes[category])) continue;
+        const { scopes } = parseScopes(data.categoryScopes[category].join(','));
+        if (scopes.length > 0) categoryScopes[category] = scopes;
+      }
+      await chrome.storage.sync.set({ categoryScopes });
+      await loadCategoryStates();
+    }
+
+    // Import category score thresholds
+    if (data.categoryThresholds && typeof data.categoryThresholds === 'object') {
+      const categoryThresholds = {};
+      for (const category of VALID_CATEGORIES) {
+        const threshold = parsePositiveInt(data.categoryThresholds[category], MAX_SCORE_THRESHOLD);
+        if (threshold) categoryThresholds[category] = threshold;
+      }
+      await chrome.storage.sync.set({ categoryThresholds });
+      await loadCategoryStates();
+    }
+
+    // Import canonical categories
+    if (Array.isArray(data.canonicalCategories)) {
+      const imported = data.canonicalCategories.filter(c => VALID_CATEGORIES.includes(c));
+      await chrome.storage.sync.set({ canonicalCategories: [...new Set(imported)] });
+      await loadCategoryStates();
+      renderKeywords();
+    }
+
+    // Import schedules
+    if (Array.isArray(data.schedules)) {
+      const schedules = data.schedules
+        .filter(rule => Schedule.isValid(rule) && SCHEDULE_TARGETS.includes(rule.target))
+        .map(rule => ({
+          id: crypto.randomUUID(),
+          target: rule.target,
+          days: [...new Set(rule.days)],
+          start: rule.start,
+          end: rule.end
+        }));
+      await chrome.storage.sync.set({ schedules });
+      renderSchedules(schedules);
+    }
+
+    // Import built-in rules
+    if (data.builtInRules && typeof data.builtInRules === 'object') {
+      const rules = normalizeBuiltInRules(data.builtInRules);
+      rules.custom = rules.custom
+        .map(p => p.trim().substring(0, MAX_BUILTIN_LABEL_LENGTH))
+        .filter(Boolean);
+      await chrome.storage.sync.set({ builtInRules: rules });
+      renderBuiltInRules(rules);
+    }
+
+    // Import feed modules
+    if (data.feedModules && typeof data.feedModules === 'object') {
+      await chrome.storage.sync.set({ feedModules: FeedModules.settings(data.feedModules) });
+      await loadFeedModules();
+    }
+
+    // Import duplicate posts settings (fingerprints stay on this device)
+    if (data.duplicatePosts && typeof data.duplicatePosts === 'object') {
+      await chrome.storage.sync.set({ duplicatePosts: DuplicateDetector.settings(data.duplicatePosts) });
+      await loadDuplicatePosts();
+    }
+
+    // Import language filter
+    if (data.languageFilter && typeof data.languageFilter === 'object') {
+      const languageFilter = normalizeLanguageFilter(data.languageFilter);
+      await chrome.storage.sync.set({ languageFilter });
+      renderLanguageFilter(languageFilter);
+    }
+
+    // Import comment spam heuristics
+    if (data.commentSpam && typeof data.commentSpam === 'object') {
+      await chrome.storage.sync.set({ commentSpam: SpamHeuristics.settings(data.commentSpam) });
+      await loadCommentSpam();
+    }
+
+    // Import learning settings, and a model exported from the Learning card
+    if (data.classifier && typeof data.classifier === 'object') {
+      await chrome.storage.sync.set({ classifier: normalizeClassifierSettings(data.classifier) });
+    }
+    if (Classifier.isValid(data.classifierModel)) {
+      await chrome.storage.local.set({ classifierModel: data.classifierModel });
+    }
+    await loadClassifier();
+
     await loadStats();
     notifyContentScript();
     alert(getMessage('alertImportSuccess'));
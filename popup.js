@@ -25,12 +25,21 @@ function applyI18n() {
     const msg = getMessage(key);
     if (msg) el.placeholder = msg;
   });
+
+  // Titles
+  document.querySelectorAll('[data-i18n-title]').forEach(el => {
+    const key = el.getAttribute('data-i18n-title');
+    const msg = getMessage(key);
+    if (msg) el.title = msg;
+  });
 }
 
 async function init() {
   applyI18n();
   await loadKeywords();
   await loadEnabled();
+  await loadCategoryStates();
+  await loadScheduleStatus();
   await loadStats();
   setupEventListeners();
 }
@@ -47,6 +56,20 @@ function getCategoryLabel(category) {
   return labels[category] || category;
 }
 
+const CATEGORIES = ['default', 'spam', 'ads', 'politics', 'other'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ISO expiry N days from now, or null for no expiry
+function expiryFromDays(days) {
+  const count = parseInt(days, 10);
+  return count > 0 ? new Date(Date.now() + count * DAY_MS).toISOString() : null;
+}
+
+function isExpired(kw) {
+  return typeof kw === 'object' && !!kw.expiresAt && Date.parse(kw.expiresAt) <= Date.now();
+}
+
 // Current filter state
 let currentSearch = '';
 let currentCategory = '';
@@ -176,10 +199,12 @@ function renderKeywords(keywords) {
     const id = typeof keyword === 'object' ? keyword.id : index;
     const category = typeof keyword === 'object' ? (keyword.category || 'default') : 'default';
     const categoryLabel = getCategoryLabel(category);
+    const expired = isExpired(keyword);
 
     return `
-      <li>
+      <li class="${expired ? 'expired' : ''}">
         <span>${escapeHtml(text)}</span>
+        ${expired ? `<span class="expired-badge">${getMessage('keywordExpired')}</span>` : ''}
         <span class="category-badge ${category}">${categoryLabel}</span>
         <button class="delete-btn" data-id="${id}" data-index="${index}">${getMessage('btnDelete')}</button>
       </li>
@@ -198,11 +223,22 @@ function renderKeywords(keywords) {
 async function addKeyword() {
   const input = document.getElementById('keyword-input');
   const categoryInput = document.getElementById('category-input');
+  const expiryInput = document.getElementById('expiry-input');
+  const typeInput = document.getElementById('type-input');
   const keyword = input.value.trim();
   const category = categoryInput.value || 'default';
+  const isWildcard = typeInput.value === 'wildcard';
 
   if (!keyword) return;
 
+  if (isWildcard) {
+    const result = Wildcard.validate(keyword);
+    if (!result.valid) {
+      alert(getMessage('alertInvalidWildcard', [result.error]));
+      return;
+    }
+  }
+
   try {
     const { keywords = [] } = await chrome.storage.local.get('keywords');
 
@@ -221,11 +257,15 @@ async function addKeyword() {
       text: keyword,
       category: category,
       isRegex: false,
-      caseSensitive: false
+      isWildcard,
+      caseSensitive: null,
+      expiresAt: expiryFromDays(expiryInput.value)
     });
 
     await chrome.storage.local.set({ keywords });
     input.value = '';
+    expiryInput.value = '';
+    typeInput.value = 'keyword';
     renderKeywords(keywords);
     notifyContentScript();
   } catch (error) {
@@ -265,7 +305,7 @@ async function addKeywordsBulk() {
         text,
         category: category,
         isRegex: false,
-        caseSensitive: false
+        caseSensitive: null
       });
       existingTexts.add(text.toLowerCase());
       added++;
@@ -317,6 +357,90 @@ async function toggleEnabled() {
   }
 }
 
+// ============================================
+// Schedules
+// ============================================
+
+// Shows whether each scheduled target (whole blocker or category) is on now, and until when
+async function loadScheduleStatus() {
+  try {
+    const { schedules = [] } = await chrome.storage.sync.get('schedules');
+    renderScheduleStatus(schedules);
+  } catch (error) {
+    console.error('[FB Blocker] loadScheduleStatus error:', error);
+  }
+}
+
+function renderScheduleStatus(schedules) {
+  const container = document.getElementById('schedule-status');
+  const now = new Date();
+  const targets = Schedule.targets(schedules)
+    .sort((a, b) => (a === 'all' ? -1 : b === 'all' ? 1 : CATEGORIES.indexOf(a) - CATEGORIES.indexOf(b)));
+
+  container.classList.toggle('hidden', targets.length === 0);
+  container.innerHTML = targets.map(target => {
+    const label = target === 'all' ? getMessage('scheduleTargetAll') : getCategoryLabel(target);
+    const active = Schedule.isActive(schedules, target, now);
+    const next = Schedule.nextSwitch(schedules, target, now);
+    const key = active ? 'scheduleOnUntil' : 'scheduleOffUntil';
+    const text = next
+      ? getMessage(key, [label, formatScheduleTime(next, now)])
+      : getMessage(active ? 'scheduleOn' : 'scheduleOff', [label]);
+
+    return `<div class="schedule-line ${active ? 'on' : 'off'}">${escapeHtml(text)}</div>`;
+  }).join('');
+}
+
+// "17:00" today, "Mon 09:00" on another day
+function formatScheduleTime(date, now) {
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === now.toDateString()) return time;
+  return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
+// ============================================
+// Category switches
+// ============================================
+
+async function loadCategoryStates() {
+  try {
+    const { disabledCategories = [] } = await chrome.storage.sync.get('disabledCategories');
+    renderCategoryToggles(disabledCategories);
+  } catch (error) {
+    console.error('[FB Blocker] loadCategoryStates error:', error);
+  }
+}
+
+function renderCategoryToggles(disabledCategories) {
+  const container = document.getElementById('category-toggles');
+
+  container.innerHTML = CATEGORIES.map(category => `
+    <label class="category-chip ${category}">
+      <input type="checkbox" data-category="${category}" ${disabledCategories.includes(category) ? '' : 'checked'}>
+      <span>${getCategoryLabel(category)}</span>
+    </label>
+  `).join('');
+
+  container.querySelectorAll('input[data-category]').forEach(input => {
+    input.addEventListener('change', () => toggleCategory(input.dataset.category, input.checked));
+  });
+}
+
+async function toggleCategory(category, active) {
+  try {
+    const { disabledCategories = [] } = await chrome.storage.sync.get('disabledCategories');
+    const updated = disabledCategories.filter(c => c !== category);
+    if (!active) {
+      updated.push(category);
+    }
+
+    await chrome.storage.sync.set({ disabledCategories: updated });
+    notifyContentScript();
+  } catch (error) {
+    console.error('[FB Blocker] toggleCategory error:', error);
+  }
+}
+
 // ============================================
 // Import/Export
 // ============================================
@@ -327,7 +451,7 @@ async function exportKeywords() {
     const { stats = { today: 0, total: 0 } } = await chrome.storage.local.get('stats');
 
     const data = {
-      version: 2,
+      version: 3,
       exportedAt: new Date().toISOString(),
       keywords,
       stats
@@ -410,12 +534,21 @@ async function handleImport(event) {
         continue;
       }
 
+      // Expressions and wildcards are re-validated; an invalid one would otherwise block its raw text
+      const isExpression = typeof kw === 'object' && kw.isExpression === true;
+      if (isExpression && !RuleExpression.validate(trimmedText).valid) continue;
+      const isWildcard = typeof kw === 'object' && !isExpression && kw.isWildcard === true;
+      if (isWildcard && !Wildcard.validate(trimmedText).valid) continue;
+
       existing.push({
         id: crypto.randomUUID(),
         text: trimmedText,
         category: 'default',
         isRegex: false, // Security: Force false to prevent regex injection
-        caseSensitive: false
+        isExpression,
+        isWildcard,
+        caseSensitive: null,
+        expiresAt: typeof kw === 'object' && !Number.isNaN(Date.parse(kw.expiresAt)) ? kw.expiresAt : null
       });
       existingTexts.add(trimmedText.toLowerCase());
       added++;
@@ -0,0 +1,134 @@
+/**
+ * Classifier - On-device naive Bayes trained from the user's own feedback
+ * Learns from "Correct" / "Wrong" on placeholders and "Block this" on visible posts.
+ * The model is plain token counts kept in chrome.storage.local; nothing leaves the browser.
+ * Model: { version, docs: { block, allow }, tokens: { token: [blockDocs, allowDocs] }, updatedAt }
+ * tokenize() relies on normalizeText() from the content script.
+ */
+const Classifier = {
+  VERSION: 1,
+  LABELS: ['block', 'allow'],
+  MIN_DOCS: 3, // examples of each label before predict() answers
+  MAX_VOCABULARY: 20000, // rarest tokens are pruned beyond this to stay within storage quota
+  MAX_DOC_TOKENS: 300,
+  TOKEN_PATTERN: /[\p{L}\p{N}]{2,30}/gu,
+
+  empty() {
+    return { version: this.VERSION, docs: { block: 0, allow: 0 }, tokens: {}, updatedAt: null };
+  },
+
+  /**
+   * Stored or imported model, or an empty one when it is missing or malformed
+   * @param {*} model
+   * @returns {Object}
+   */
+  normalize(model) {
+    if (!this.isValid(model)) return this.empty();
+    return model;
+  },
+
+  isValid(model) {
+    return !!model && model.version === this.VERSION &&
+      !!model.docs && this.LABELS.every(label => Number.isInteger(model.docs[label]) && model.docs[label] >= 0) &&
+      !!model.tokens && typeof model.tokens === 'object' && !Array.isArray(model.tokens) &&
+      Object.values(model.tokens).every(counts =>
+        Array.isArray(counts) && counts.length === 2 && counts.every(n => Number.isInteger(n) && n >= 0));
+  },
+
+  // Unique lowercase, diacritic-free words - presence matters, not how often a word repeats
+  tokenize(text) {
+    const tokens = new Set();
+    for (const [token] of normalizeText(text || '').matchAll(this.TOKEN_PATTERN)) {
+      tokens.add(token);
+      if (tokens.size >= this.MAX_DOC_TOKENS) break;
+    }
+    return [...tokens];
+  },
+
+  /**
+   * Count one example into the model (mutates it)
+   * @param {Object} model
+   * @param {string} text
+   * @param {string} label - 'block' or 'allow'
+   * @returns {boolean} false when the label is unknown or the text has no words
+   */
+  train(model, text, label) {
+    const index = this.LABELS.indexOf(label);
+    const tokens = this.tokenize(text);
+    if (index === -1 || tokens.length === 0) return false;
+
+    model.docs[label]++;
+    for (const token of tokens) {
+      if (!this.counts(model, token)) model.tokens[token] = [0, 0];
+      model.tokens[token][index]++;
+    }
+    this.prune(model);
+    model.updatedAt = Date.now();
+    return true;
+  },
+
+  // Keep the most frequent tokens once the vocabulary outgrows MAX_VOCABULARY
+  prune(model) {
+    const entries = Object.entries(model.tokens);
+    if (entries.length <= this.MAX_VOCABULARY) return;
+
+    entries.sort((a, b) => (b[1][0] + b[1][1]) - (a[1][0] + a[1][1]));
+    model.tokens = Object.fromEntries(entries.slice(0, this.MAX_VOCABULARY));
+  },
+
+  // [blockDocs, allowDocs] of a token, or null; own keys only, so "constructor" is just a word
+  counts(model, token) {
+    return Object.hasOwn(model.tokens, token) ? model.tokens[token] : null;
+  },
+
+  isReady(model) {
+    return this.LABELS.every(label => model.docs[label] >= this.MIN_DOCS);
+  },
+
+  // Log-odds a token adds towards "block" (Laplace-smoothed share of each label's examples containing it)
+  tokenWeight(model, token) {
+    const [block, allow] = this.counts(model, token);
+    return Math.log((block + 1) / (model.docs.block + 2)) - Math.log((allow + 1) / (model.docs.allow + 2));
+  },
+
+  /**
+   * Probability that the text should be blocked
+   * @param {Object} model
+   * @param {string} text
+   * @returns {number|null} 0-1, or null until both labels have MIN_DOCS examples
+   */
+  predict(model, text) {
+    if (!this.isReady(model)) return null;
+
+    let logOdds = Math.log(model.docs.block / model.docs.allow);
+    for (const token of this.tokenize(text)) {
+      if (this.counts(model, token)) logOdds += this.tokenWeight(model, token);
+    }
+    return 1 / (1 + Math.exp(-logOdds));
+  },
+
+  /**
+   * Tokens that push hardest towards "block"
+   * @param {Object} model
+   * @param {number} limit
+   * @param {string[]} tokens - Only look at these (default: the whole vocabulary)
+   * @returns {Array<{token: string, weight: number, block: number, allow: number}>}
+   */
+  strongestTokens(model, limit = 10, tokens = Object.keys(model.tokens)) {
+    return tokens
+      .filter(token => this.counts(model, token))
+      .map(token => ({
+        token,
+        weight: this.tokenWeight(model, token),
+        block: model.tokens[token][0],
+        allow: model.tokens[token][1]
+      }))
+      .filter(item => item.weight > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, limit);
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.Classifier = Classifier;
+}
@@ -0,0 +1,93 @@
+/**
+ * FeedModules - Recognizes whole feed modules that have no post text worth matching
+ * Reels carousels, the Stories tray, "People You May Know", suggested groups and follow suggestions.
+ * A module is recognized by its heading or aria-label, by links to several reels, or by a list of
+ * cards that each carry the same button. Stories are only recognized by their heading.
+ * Headings and button labels cover the Vietnamese and English Facebook UI; they are compared
+ * through normalizeText() from the content script, so diacritics and case don't matter.
+ */
+const FeedModules = {
+  TYPES: ['reels', 'stories', 'people', 'groups', 'follow'],
+  MIN_ITEMS: 2, // a single reel link is an ordinary post, a carousel links to several
+  MIN_CARDS: 3, // a reshare shows two Follow buttons (sharer and original page), a carousel more
+
+  // Normalized; the whole heading or aria-label must match
+  HEADINGS: {
+    reels: ['reels', 'reels and short videos', 'reels va video ngan', 'video ngan', 'short videos'],
+    stories: ['stories', 'create story', 'tao tin'],
+    people: ['people you may know', 'nhung nguoi ban co the biet', 'nguoi ban co the biet', 'friend suggestions', 'goi y ket ban'],
+    groups: ['suggested groups', 'groups you might like', 'nhom goi y', 'nhom goi y cho ban', 'nhom duoc de xuat', 'nhom ban co the thich'],
+    follow: ['people to follow', 'suggested pages', 'pages you may like', 'goi y theo doi', 'nguoi ban co the theo doi', 'trang ban co the thich']
+  },
+
+  // Only trusted as an aria-label: "tin" is also the Vietnamese word for news
+  LABELS: {
+    stories: ['tin']
+  },
+
+  // Each card in the module links to its own reel
+  LINK_PATTERNS: {
+    reels: /\/reels?\/[\w-]+/
+  },
+
+  // Each card in the module's list has one of these buttons
+  BUTTONS: {
+    people: ['add friend', 'them ban be', 'them ban'],
+    groups: ['join group', 'join', 'tham gia nhom', 'tham gia'],
+    follow: ['follow', 'theo doi']
+  },
+
+  /**
+   * Stored settings with every module type off unless switched on
+   * @param {Object} stored - { reels, stories, people, groups, follow }
+   * @returns {Object} { type: boolean }
+   */
+  settings(stored = {}) {
+    return Object.fromEntries(this.TYPES.map(type => [type, !!stored && stored[type] === true]));
+  },
+
+  anyEnabled(settings) {
+    return this.TYPES.some(type => settings[type]);
+  },
+
+  key(text) {
+    return normalizeText(text || '').replace(/\s+/g, ' ').trim().replace(/[\s:.!]+$/, '');
+  },
+
+  /**
+   * Module type of a feed unit, checking only the enabled types
+   * @param {Object} signals - { headings: string[], labels: string[], links: string[], cards: string[][] }
+   *   cards holds the button labels of each list item in the unit
+   * @param {Object} types - { type: boolean }, from settings()
+   * @returns {{type: string, signal: string}|null} signal is 'heading', 'links' or 'buttons'
+   */
+  classify(signals, types) {
+    const labels = (signals.labels || []).map(text => this.key(text));
+    const headings = [...(signals.headings || []).map(text => this.key(text)), ...labels];
+    const cards = (signals.cards || []).map(buttons => buttons.map(text => this.key(text)));
+    const links = signals.links || [];
+
+    for (const type of this.TYPES.filter(type => types[type])) {
+      if (headings.some(heading => this.HEADINGS[type].includes(heading)) ||
+          labels.some(label => (this.LABELS[type] || []).includes(label))) {
+        return { type, signal: 'heading' };
+      }
+
+      const pattern = this.LINK_PATTERNS[type];
+      if (pattern) {
+        const targets = new Set(links.map(link => (link.match(pattern) || [])[0]).filter(Boolean));
+        if (targets.size >= this.MIN_ITEMS) return { type, signal: 'links' };
+      }
+
+      const buttons = this.BUTTONS[type];
+      if (buttons && cards.filter(card => card.some(button => buttons.includes(button))).length >= this.MIN_CARDS) {
+        return { type, signal: 'buttons' };
+      }
+    }
+    return null;
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.FeedModules = FeedModules;
+}
@@ -0,0 +1,171 @@
+/**
+ * LanguageDetector - Offline language guess for post text
+ * Non-Latin scripts decide directly (Hangul = ko, kana = ja, Thai = th, ...).
+ * Latin text is compared by character trigrams against profiles built from the short samples below.
+ * Returns null for text too short or too ambiguous to call, so such posts are left alone.
+ */
+const LanguageDetector = {
+  MIN_LETTERS: 30, // Latin letters needed before trigrams say anything useful
+  MIN_SCRIPT_LETTERS: 10, // enough for a script that only a few languages use (one Han/kana character is a whole word)
+  MIN_CONFIDENCE: 0.1,
+  MAX_SAMPLE: 1000, // characters examined per post
+  MIN_SIMILARITY: 0.15, // below this the text matches no profile well (a language we have no sample for)
+
+  // Checked in order: kana before Han, so Japanese with kanji is not read as Chinese
+  SCRIPTS: [
+    ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+    ['ko', /\p{Script=Hangul}/u],
+    ['zh', /\p{Script=Han}/u],
+    ['th', /\p{Script=Thai}/u],
+    ['km', /\p{Script=Khmer}/u],
+    ['lo', /\p{Script=Lao}/u],
+    ['my', /\p{Script=Myanmar}/u],
+    ['ru', /\p{Script=Cyrillic}/u],
+    ['el', /\p{Script=Greek}/u],
+    ['ar', /\p{Script=Arabic}/u],
+    ['he', /\p{Script=Hebrew}/u],
+    ['hi', /\p{Script=Devanagari}/u],
+    ['bn', /\p{Script=Bengali}/u],
+    ['ta', /\p{Script=Tamil}/u]
+  ],
+
+  SAMPLES: {
+    vi:
+      'Hôm nay trời đẹp quá, cả nhà mình cùng nhau đi chơi công viên và ăn trưa ở một quán nhỏ gần hồ. Mọi người đều rất vui vẻ, các con chạy nhảy suốt cả buổi chiều. Mình nghĩ đây là một trong những ngày tuyệt vời nhất của năm. Cảm ơn các bạn đã luôn ủng hộ và gửi những lời chúc tốt đẹp. Nếu có dịp thì lần sau chúng ta lại hẹn nhau đi tiếp nhé. Bạn đã từng đến đó chưa? Hãy chia sẻ cảm nhận của bạn ở phần bình luận bên dưới, được không?' +
+      'Chính phủ vừa công bố quy định mới đối với các sàn thương mại điện tử, có hiệu lực từ tháng sau. Theo báo cáo, giá cả đã tăng đáng kể kể từ đầu năm và nhiều người lo lắng về công việc của mình. Các chuyên gia cho rằng tình hình có thể được cải thiện nếu nền kinh tế tiếp tục tăng trưởng. Có ai biết chỗ nào bán vé xem ca nhạc vào thứ bảy không? Xe của tôi cứ kêu lạ, nên tôi đang tìm một thợ sửa xe giỏi ở khu vực này.',
+    en:
+      'The weather is so nice today, so we went to the park with the whole family and had lunch at a small restaurant near the lake. Everyone was very happy and the kids were running around all afternoon. I think it was one of the best days of the year, and I would like to do it again soon. Thank you all for your kind messages, they mean a lot to me. Have you ever been there? Let me know what you think in the comments below and share this with anyone who might be interested.' +
+      'The government announced new rules for online shopping platforms, which will take effect from next month. According to the report, prices have increased significantly since the beginning of the year, and many people are worried about their jobs. Experts say that the situation could improve if the economy continues to grow. Does anyone know where I can buy tickets for the concert on Saturday? My car keeps making a strange noise, so I am looking for a good mechanic in this area.',
+    es:
+      'Hoy hace un día precioso, así que fuimos con toda la familia al parque y comimos en un pequeño restaurante cerca del lago. Todos estaban muy contentos y los niños corrieron durante toda la tarde. Creo que ha sido uno de los mejores días del año y me gustaría repetirlo pronto. Muchas gracias a todos por vuestros mensajes, significan mucho para mí. ¿Alguna vez habéis estado allí? Dejad vuestra opinión en los comentarios y compartid esto con quien le pueda interesar.' +
+      'El gobierno anunció nuevas normas para las plataformas de compras en línea, que entrarán en vigor el próximo mes. Según el informe, los precios han subido mucho desde principios de año y muchas personas están preocupadas por su trabajo. Los expertos dicen que la situación podría mejorar si la economía sigue creciendo. ¿Alguien sabe dónde puedo comprar entradas para el concierto del sábado? Mi coche hace un ruido extraño, así que busco un buen mecánico en esta zona.',
+    fr:
+      'Aujourd\'hui il fait très beau, alors nous sommes allés au parc avec toute la famille et nous avons mangé dans un petit restaurant près du lac. Tout le monde était très content et les enfants ont couru pendant tout l\'après-midi. Je pense que c\'était l\'une des plus belles journées de l\'année et j\'aimerais bien recommencer bientôt. Merci à tous pour vos gentils messages, ils comptent beaucoup pour moi. Est-ce que vous y êtes déjà allés ? Dites-moi ce que vous en pensez dans les commentaires et partagez avec ceux que cela pourrait intéresser.' +
+      'Le gouvernement a annoncé de nouvelles règles pour les plateformes d\'achat en ligne, qui entreront en vigueur le mois prochain. Selon le rapport, les prix ont beaucoup augmenté depuis le début de l\'année et beaucoup de gens s\'inquiètent pour leur emploi. Les experts estiment que la situation pourrait s\'améliorer si l\'économie continue de croître. Quelqu\'un sait où je peux acheter des billets pour le concert de samedi ? Ma voiture fait un bruit bizarre, donc je cherche un bon garagiste dans le quartier.',
+    de:
+      'Heute ist so ein schöner Tag, deshalb sind wir mit der ganzen Familie in den Park gegangen und haben in einem kleinen Restaurant am See gegessen. Alle waren sehr glücklich und die Kinder sind den ganzen Nachmittag herumgelaufen. Ich glaube, das war einer der schönsten Tage des Jahres, und ich würde das gerne bald wiederholen. Vielen Dank an alle für die lieben Nachrichten, sie bedeuten mir sehr viel. Wart ihr schon einmal dort? Schreibt mir eure Meinung in die Kommentare und teilt das mit allen, die es interessieren könnte.' +
+      'Die Regierung hat neue Regeln für Online-Shopping-Plattformen angekündigt, die ab nächstem Monat gelten. Laut dem Bericht sind die Preise seit Jahresbeginn deutlich gestiegen und viele Menschen machen sich Sorgen um ihre Arbeit. Experten sagen, dass sich die Lage verbessern könnte, wenn die Wirtschaft weiter wächst. Weiß jemand, wo ich Karten für das Konzert am Samstag kaufen kann? Mein Auto macht ein seltsames Geräusch, deshalb suche ich eine gute Werkstatt in dieser Gegend.',
+    pt:
+      'Hoje está um dia lindo, então fomos com toda a família ao parque e almoçamos num pequeno restaurante perto do lago. Todos ficaram muito felizes e as crianças correram durante a tarde inteira. Acho que foi um dos melhores dias do ano e eu gostaria de repetir em breve. Muito obrigado a todos pelas mensagens carinhosas, elas significam muito para mim. Vocês já estiveram lá? Deixem a sua opinião nos comentários e compartilhem isto com quem possa se interessar.' +
+      'O governo anunciou novas regras para as plataformas de compras online, que entram em vigor no próximo mês. Segundo o relatório, os preços subiram bastante desde o início do ano e muitas pessoas estão preocupadas com o seu emprego. Os especialistas dizem que a situação pode melhorar se a economia continuar a crescer. Alguém sabe onde posso comprar ingressos para o show de sábado? O meu carro está fazendo um barulho estranho, por isso estou procurando um bom mecânico nesta região.',
+    it:
+      'Oggi è una giornata bellissima, così siamo andati al parco con tutta la famiglia e abbiamo mangiato in un piccolo ristorante vicino al lago. Tutti erano molto contenti e i bambini hanno corso per tutto il pomeriggio. Penso che sia stata una delle giornate più belle dell\'anno e mi piacerebbe ripeterla presto. Grazie a tutti per i vostri messaggi gentili, significano molto per me. Ci siete mai stati? Fatemi sapere cosa ne pensate nei commenti e condividete questo post con chi potrebbe essere interessato.' +
+      'Il governo ha annunciato nuove regole per le piattaforme di acquisti online, che entreranno in vigore il mese prossimo. Secondo il rapporto, i prezzi sono aumentati molto dall\'inizio dell\'anno e molte persone sono preoccupate per il proprio lavoro. Gli esperti dicono che la situazione potrebbe migliorare se l\'economia continua a crescere. Qualcuno sa dove posso comprare i biglietti per il concerto di sabato? La mia macchina fa un rumore strano, quindi cerco un buon meccanico in questa zona.',
+    nl:
+      'Vandaag is het zulk mooi weer, dus zijn we met de hele familie naar het park gegaan en hebben we geluncht in een klein restaurant bij het meer. Iedereen was heel blij en de kinderen hebben de hele middag rondgerend. Ik denk dat het een van de mooiste dagen van het jaar was en ik zou het graag snel nog eens doen. Heel erg bedankt voor jullie lieve berichten, ze betekenen veel voor mij. Zijn jullie daar ooit geweest? Laat in de reacties weten wat jullie ervan vinden en deel dit met iedereen die het interessant zou kunnen vinden.' +
+      'De regering heeft nieuwe regels aangekondigd voor online winkelplatforms, die volgende maand ingaan. Volgens het rapport zijn de prijzen sinds het begin van het jaar flink gestegen en maken veel mensen zich zorgen over hun baan. Deskundigen zeggen dat de situatie kan verbeteren als de economie blijft groeien. Weet iemand waar ik kaartjes kan kopen voor het concert van zaterdag? Mijn auto maakt een vreemd geluid, dus ik zoek een goede monteur in deze buurt.',
+    id:
+      'Hari ini cuacanya sangat cerah, jadi kami pergi ke taman bersama seluruh keluarga dan makan siang di sebuah warung kecil dekat danau. Semua orang sangat senang dan anak-anak berlari sepanjang sore. Saya rasa ini adalah salah satu hari terbaik tahun ini dan saya ingin mengulanginya lagi segera. Terima kasih banyak untuk semua pesan yang baik, itu sangat berarti bagi saya. Apakah kalian pernah ke sana? Tulis pendapat kalian di kolom komentar dan bagikan kepada siapa saja yang mungkin tertarik.' +
+      'Pemerintah mengumumkan aturan baru untuk platform belanja daring yang akan berlaku mulai bulan depan. Menurut laporan tersebut, harga-harga telah naik cukup tinggi sejak awal tahun dan banyak orang khawatir dengan pekerjaan mereka. Para ahli mengatakan bahwa keadaan bisa membaik jika ekonomi terus tumbuh. Ada yang tahu di mana saya bisa membeli tiket untuk konser hari Sabtu? Mobil saya terus mengeluarkan suara aneh, jadi saya sedang mencari montir yang bagus di daerah ini.',
+    tl:
+      'Napakaganda ng panahon ngayon kaya pumunta kami sa parke kasama ang buong pamilya at kumain kami ng tanghalian sa isang maliit na kainan malapit sa lawa. Masayang-masaya ang lahat at tumakbo ang mga bata buong hapon. Sa tingin ko ito ay isa sa mga pinakamagandang araw ngayong taon at gusto kong ulitin ito sa lalong madaling panahon. Maraming salamat sa inyong lahat sa mga mensahe, malaking bagay iyon para sa akin. Nakapunta na ba kayo roon? Sabihin ninyo sa mga komento kung ano ang inyong palagay at ibahagi ito sa mga maaaring interesado.' +
+      'Nag-anunsyo ang pamahalaan ng mga bagong patakaran para sa mga online na tindahan na magsisimula sa susunod na buwan. Ayon sa ulat, tumaas nang malaki ang mga presyo mula sa simula ng taon at maraming tao ang nag-aalala sa kanilang trabaho. Sinasabi ng mga eksperto na maaaring bumuti ang sitwasyon kung patuloy na lalago ang ekonomiya. May nakakaalam ba kung saan ako makakabili ng tiket para sa konsiyerto sa Sabado? Laging may kakaibang tunog ang sasakyan ko kaya naghahanap ako ng magaling na mekaniko sa lugar na ito.'
+  },
+
+  profiles: null, // [{ language, vector, norm }], built from SAMPLES on first use
+  DEFAULT_ALLOWED: ['vi', 'en'],
+
+  // Every language code the detector can return
+  languages() {
+    return [...Object.keys(this.SAMPLES), ...this.SCRIPTS.map(([language]) => language)];
+  },
+
+  /**
+   * Stored language filter settings with defaults (the caller checks the action)
+   * @param {Object} stored - { enabled, allowed: [code], action }
+   * @returns {{enabled: boolean, allowed: string[], action: string}}
+   */
+  settings(stored) {
+    const languages = this.languages();
+    return {
+      enabled: !!stored && stored.enabled === true,
+      allowed: stored && Array.isArray(stored.allowed)
+        ? stored.allowed.filter(language => languages.includes(language))
+        : [...this.DEFAULT_ALLOWED],
+      action: (stored && stored.action) || 'collapse'
+    };
+  },
+
+  // Trigram counts of the words, padded with a space on each side (" th", "the", "he ")
+  trigrams(text) {
+    const counts = new Map();
+    for (const [word] of text.toLowerCase().matchAll(/\p{L}+/gu)) {
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        const gram = padded.slice(i, i + 3);
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+      }
+    }
+    return counts;
+  },
+
+  norm(vector) {
+    let sum = 0;
+    for (const count of vector.values()) sum += count * count;
+    return Math.sqrt(sum);
+  },
+
+  buildProfiles() {
+    // Vietnamese is often typed without diacritics - give it a second profile for that
+    const samples = [
+      ...Object.entries(this.SAMPLES),
+      ['vi', normalizeText(this.SAMPLES.vi)]
+    ];
+    this.profiles = samples.map(([language, sample]) => {
+      const vector = this.trigrams(sample);
+      return { language, vector, norm: this.norm(vector) };
+    });
+  },
+
+  /**
+   * Guess the language of a text
+   * @param {string} text
+   * @returns {{language: string, confidence: number}|null} confidence 0-1; null when unsure
+   */
+  detect(text) {
+    // Links and handles are not language
+    const sample = (text || '').slice(0, this.MAX_SAMPLE).replace(/\S*[/@#]\S*/g, ' ');
+    const letters = sample.match(/\p{L}/gu) || [];
+    if (letters.length < this.MIN_SCRIPT_LETTERS) return null;
+
+    for (const [language, pattern] of this.SCRIPTS) {
+      const share = letters.filter(ch => pattern.test(ch)).length / letters.length;
+      if (share >= 0.5) return { language, confidence: share };
+      // Kanji-heavy Japanese: any kana at all beats Chinese, but only in text that is mostly Han and
+      // kana - a kaomoji like "(ツ)" in a Latin post is not Japanese
+      if (language === 'ja' && share > 0.05) {
+        const cjk = letters.filter(ch => pattern.test(ch) || /\p{Script=Han}/u.test(ch)).length / letters.length;
+        if (cjk >= 0.5) return { language, confidence: cjk };
+      }
+    }
+
+    const latin = letters.filter(ch => /\p{Script=Latin}/u.test(ch)).length / letters.length;
+    if (latin < 0.5 || letters.length < this.MIN_LETTERS) return null;
+
+    if (!this.profiles) this.buildProfiles();
+    const vector = this.trigrams(sample);
+    const norm = this.norm(vector);
+
+    // Best similarity per language
+    const scores = new Map();
+    for (const profile of this.profiles) {
+      let dot = 0;
+      for (const [gram, count] of vector) {
+        dot += count * (profile.vector.get(gram) || 0);
+      }
+      const similarity = dot / (norm * profile.norm);
+      if (similarity > (scores.get(profile.language) || 0)) scores.set(profile.language, similarity);
+    }
+
+    const [best, second] = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+    if (best[1] < this.MIN_SIMILARITY) return null;
+
+    // How far ahead of the runner-up: 0 = tie, 1 = nothing else comes close
+    const confidence = (best[1] - second[1]) / best[1];
+    return confidence >= this.MIN_CONFIDENCE ? { language: best[0], confidence } : null;
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.LanguageDetector = LanguageDetector;
+}
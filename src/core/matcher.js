@@ -1,7 +1,12 @@
 /**
  * KeywordMatcher - Regex-based keyword matching with word boundary support
  * Compiles keywords into single regex for O(n) text scanning
+ * Keyword objects may set matchMode: 'word' (default), 'prefix' or 'substring'
  */
+const MATCH_MODES = ['word', 'prefix', 'substring'];
+// Letters, combining marks and digits of any script ("ư", "đ", "ộ", Cyrillic, Thai, ...)
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+
 class KeywordMatcher {
   constructor(keywords = []) {
     this.keywords = keywords;
@@ -19,14 +24,20 @@ class KeywordMatcher {
       return;
     }
 
-    const escaped = this.keywords.map(kw => {
+    const alternatives = this.keywords.map(kw => {
       const text = typeof kw === 'string' ? kw : kw.text;
-      return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const mode = typeof kw === 'object' && MATCH_MODES.includes(kw.matchMode) ? kw.matchMode : 'word';
+      const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+      // \b only knows ASCII word characters, so "ư" or "đ" would count as a boundary.
+      // Guard with Unicode letter/mark/digit lookarounds instead
+      const before = mode === 'substring' ? '' : `(?<!${WORD_CHAR})`;
+      const after = mode === 'word' ? `(?!${WORD_CHAR})` : '';
+      return `${before}${escaped}${after}`;
     });
 
-    // Using \b for word boundary with 'u' flag for Unicode support
-    // 'i' flag for case-insensitive matching
-    this.compiledRegex = new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'giu');
+    // 'u' flag for Unicode property escapes, 'i' flag for case-insensitive matching
+    this.compiledRegex = new RegExp(`(?:${alternatives.join('|')})`, 'giu');
   }
 
   /**
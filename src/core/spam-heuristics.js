@@ -0,0 +1,116 @@
+/**
+ * SpamHeuristics - Scores comments that look like bot replies, without any keyword list
+ * Signals (each can be switched off): contact details (links, phone numbers, Zalo/Telegram handles),
+ * emoji walls, the same text repeated in one thread, and known bot phrasing.
+ * Each signal adds 0-3 points; a comment reaching SPAM_SCORE is spam, so one strong signal is enough.
+ * Text is read through normalizeText() from the content script.
+ */
+const SpamHeuristics = {
+  SIGNALS: ['contacts', 'emoji', 'repeated', 'phrases'],
+  SPAM_SCORE: 3,
+  SHORT_COMMENT_WORDS: 15, // one contact detail in a comment this short is suspicious
+  MIN_REPEAT_LENGTH: 20, // "đẹp quá" repeated is normal, a repeated paragraph is not
+
+  LINK_PATTERN: /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|vn|ly|me|io|co|xyz|top|link|site|online|shop|info|click)\b(?:\/\S*)?/gu,
+  // Local (0...) or international (+...) numbers with optional spaces, dots or dashes; prices don't start with 0
+  PHONE_PATTERN: /(?:\+\d{1,3}|\b0)(?:[\s.-]?\d){8,10}\b/gu,
+  HANDLE_PATTERN: /\b(?:zalo|zl|telegram|tele|tg|whatsapp|viber)\s*[:.-]?\s*(?:@[a-z0-9_.]{3,}|\+?\d)/gu, // t.me/... counts as a link
+  EMOJI_PATTERN: /\p{Extended_Pictographic}/gu,
+
+  // Normalized (lowercase, no diacritics); matched as whole words
+  BOT_PHRASES: [
+    'ib minh', 'ib em', 'inbox minh', 'inbox em', 'check ib', 'check inbox',
+    'xem trang ca nhan', 'xem tuong nha', 'ket ban zalo', 'lien he zalo', 'add zalo',
+    'thu nhap thu dong', 'kiem tien online', 'viec nhe luong cao', 'lam viec tai nha',
+    'click vao link', 'bam vao link', 'link o bio', 'nhan qua mien phi',
+    'check my profile', 'dm me', 'message me on', 'link in bio', 'work from home',
+    'earn money online', 'passive income', 'contact me on whatsapp'
+  ],
+  phraseRegex: null, // built from BOT_PHRASES on first use
+
+  /**
+   * Stored settings with every signal on unless switched off
+   * @param {Object} stored - { enabled, signals: { contacts, emoji, repeated, phrases } }
+   * @returns {{enabled: boolean, signals: Object}}
+   */
+  settings(stored = {}) {
+    const signals = (stored && stored.signals) || {};
+    return {
+      enabled: !!stored && stored.enabled === true,
+      signals: Object.fromEntries(this.SIGNALS.map(signal => [signal, signals[signal] !== false]))
+    };
+  },
+
+  contactPoints(normalized) {
+    const contacts = ['LINK_PATTERN', 'PHONE_PATTERN', 'HANDLE_PATTERN']
+      .reduce((sum, key) => sum + (normalized.match(this[key]) || []).length, 0);
+    if (contacts === 0) return 0;
+    if (contacts >= 2) return 3;
+    const words = (normalized.match(/[\p{L}\p{N}]+/gu) || []).length;
+    return words <= this.SHORT_COMMENT_WORDS ? 2 : 1;
+  },
+
+  emojiPoints(text) {
+    const emoji = (text.match(this.EMOJI_PATTERN) || []).length;
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    const ratio = emoji / (emoji + letters || 1);
+    if (emoji >= 10 && ratio >= 0.5) return 3;
+    if (emoji >= 5 && ratio >= 0.25) return 2;
+    if (emoji >= 3 && ratio >= 0.1) return 1;
+    return 0;
+  },
+
+  repeatPoints(copies) {
+    if (copies >= 3) return 3;
+    return copies === 2 ? 2 : 0;
+  },
+
+  phrasePoints(normalized) {
+    if (!this.phraseRegex) {
+      const phrases = this.BOT_PHRASES.map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      this.phraseRegex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${phrases.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+    }
+    const hits = new Set(normalized.match(this.phraseRegex) || []).size;
+    if (hits === 0) return 0;
+    return hits >= 2 ? 3 : 2;
+  },
+
+  /**
+   * Key for counting copies of a comment in a thread, or null when it is too short to count
+   * @param {string} text
+   * @returns {string|null}
+   */
+  repeatKey(text) {
+    const key = normalizeText(text).replace(/\s+/g, ' ').trim();
+    return key.length >= this.MIN_REPEAT_LENGTH ? key : null;
+  },
+
+  /**
+   * Score a comment with the enabled signals
+   * @param {string} text
+   * @param {Object} signals - { signal: boolean }, from settings()
+   * @param {number} copies - Comments in the same thread with this text (1 = unique)
+   * @returns {{spam: boolean, score: number, signals: Array<{signal: string, points: number}>}}
+   */
+  evaluate(text, signals, copies = 1) {
+    const normalized = normalizeText(text);
+    const points = {
+      contacts: () => this.contactPoints(normalized),
+      emoji: () => this.emojiPoints(text),
+      repeated: () => this.repeatPoints(copies),
+      phrases: () => this.phrasePoints(normalized)
+    };
+
+    const fired = this.SIGNALS
+      .filter(signal => signals[signal])
+      .map(signal => ({ signal, points: points[signal]() }))
+      .filter(item => item.points > 0);
+    const score = fired.reduce((sum, item) => sum + item.points, 0);
+
+    return { spam: score >= this.SPAM_SCORE, score, signals: fired };
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.SpamHeuristics = SpamHeuristics;
+}
@@ -0,0 +1,125 @@
+/**
+ * SponsoredDetector - Finds "Sponsored" labels that Facebook hides from textContent
+ * The label may be split into single-letter spans mixed with hidden decoy letters, shuffled with
+ * flexbox `order`, or only reachable through aria-label, aria-labelledby or an SVG <use> of a <text>.
+ * Labels are rebuilt from what is rendered: hidden elements are skipped and flex children are read in
+ * visual order. A view supplies computed styles and id lookup, so the DOM walk stays testable:
+ *   { style: element => CSSStyleDeclaration-like, byId: id => Element|null }
+ * Text is compared through normalizeText() from the content script.
+ */
+const SponsoredDetector = {
+  CANDIDATE_SELECTOR: 'a, [aria-label], [aria-labelledby], svg',
+  MAX_LABEL_LENGTH: 40, // letters in a label; longer text is a sentence that mentions the word
+  MAX_RAW_LENGTH: 400, // skip rebuilding big subtrees such as a whole post body
+
+  // Lowercase letters and digits only, so "S·p o-n" and "Sp on" compare equal
+  compact(text) {
+    return normalizeText(text || '').replace(/[^\p{L}\p{N}]/gu, '');
+  },
+
+  // Decoy letters are hidden outright, or are single letters taken out of the line with absolute
+  // positioning; a positioned wrapper around a real label is still read
+  isHidden(style, element) {
+    if (!style) return false;
+    if (style.display === 'none' ||
+      style.visibility === 'hidden' || style.visibility === 'collapse' ||
+      parseFloat(style.opacity) === 0 ||
+      parseFloat(style.fontSize) === 0) return true;
+    return (style.position === 'absolute' || style.position === 'fixed') && !!element && this.isLetter(element);
+  },
+
+  // Element with only text inside, showing at most one letter or digit
+  isLetter(element) {
+    return [...element.childNodes].every(child => child.nodeType === 3) && this.compact(element.textContent).length <= 1;
+  },
+
+  // Element an SVG <use> draws, from href or the older xlink:href
+  useTarget(element, view) {
+    const ref = element.getAttribute('href') || element.getAttribute('xlink:href') || '';
+    return ref.startsWith('#') ? view.byId(ref.slice(1)) : null;
+  },
+
+  /**
+   * Text as rendered: hidden descendants skipped, flex children in `order`
+   * @param {Node} node
+   * @param {Object} view
+   * @param {boolean} root - The element itself is read even when hidden (e.g. an aria-labelledby target)
+   * @returns {string}
+   */
+  visibleText(node, view, root = true) {
+    if (node.nodeType === 3) return node.data;
+    if (node.nodeType !== 1) return '';
+
+    const style = view.style(node);
+    if (!root && this.isHidden(style, node)) return '';
+    if (node.localName === 'use') {
+      const target = this.useTarget(node, view);
+      return target ? target.textContent : '';
+    }
+
+    let children = [...node.childNodes];
+    if (style && (style.display === 'flex' || style.display === 'inline-flex')) {
+      const order = child => (child.nodeType === 1 ? parseInt(view.style(child)?.order, 10) || 0 : 0);
+      // Whitespace between flex items is not rendered
+      children = children
+        .filter(child => child.nodeType !== 3 || child.data.trim())
+        .map((child, index) => ({ child, index, order: order(child) }))
+        .sort((a, b) => a.order - b.order || a.index - b.index)
+        .map(item => item.child);
+    }
+    return children.map(child => this.visibleText(child, view, false)).join('');
+  },
+
+  /**
+   * Every label an element shows or announces, visible text first
+   * @param {Element} element
+   * @param {Object} view
+   * @returns {Array<{text: string, via: string}>} via is 'text', 'aria-label' or 'aria-labelledby'
+   */
+  labels(element, view) {
+    const labels = [];
+    if ((element.textContent || '').length <= this.MAX_RAW_LENGTH) {
+      labels.push({ text: this.visibleText(element, view), via: 'text' });
+    }
+
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel) labels.push({ text: ariaLabel, via: 'aria-label' });
+
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/)
+      .map(id => id && view.byId(id))
+      .filter(Boolean);
+    if (labelledBy.length > 0) {
+      labels.push({ text: labelledBy.map(target => this.visibleText(target, view)).join(' '), via: 'aria-labelledby' });
+    }
+    return labels;
+  },
+
+  /**
+   * First candidate whose label contains one of the patterns
+   * @param {Iterable<Element>} candidates - Elements matching CANDIDATE_SELECTOR, in document order
+   * @param {string[]} patterns - Label texts such as 'Sponsored', 'Được tài trợ'
+   * @param {Object} view
+   * @returns {{element: Element, label: string, pattern: string, via: string}|null}
+   */
+  find(candidates, patterns, view) {
+    const keys = patterns
+      .map(pattern => ({ pattern, key: this.compact(pattern) }))
+      .filter(item => item.key);
+    if (keys.length === 0) return null;
+
+    for (const element of candidates) {
+      for (const { text, via } of this.labels(element, view)) {
+        const label = this.compact(text);
+        if (!label || label.length > this.MAX_LABEL_LENGTH) continue;
+
+        const hit = keys.find(item => label.includes(item.key));
+        if (hit) return { element, label: text.replace(/\s+/g, ' ').trim(), pattern: hit.pattern, via };
+      }
+    }
+    return null;
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.SponsoredDetector = SponsoredDetector;
+}
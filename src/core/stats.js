@@ -1,17 +1,20 @@
 /**
  * Stats - Blocking statistics tracker
  * Tracks daily and total blocked posts with automatic daily reset
+ * Each method takes the storage key of a counter: 'stats' (default, everything hidden),
+ * 'commentSpamStats' (comments hidden by spam heuristics) or 'feedModuleStats' (hidden feed modules)
  */
 const Stats = {
   /**
    * Increment blocked count
    * Resets daily count at midnight
+   * @param {string} key - Counter storage key
    * @returns {Promise<{today: number, total: number}>}
    */
-  async increment() {
+  async increment(key = 'stats') {
     try {
-      const { stats = { today: 0, total: 0, lastReset: null } } =
-        await chrome.storage.local.get('stats');
+      const { [key]: stats = { today: 0, total: 0, lastReset: null } } =
+        await chrome.storage.local.get(key);
 
       const today = new Date().toISOString().split('T')[0];
 
@@ -24,7 +27,7 @@ const Stats = {
       stats.today++;
       stats.total++;
 
-      await chrome.storage.local.set({ stats });
+      await chrome.storage.local.set({ [key]: stats });
       return { today: stats.today, total: stats.total };
     } catch (error) {
       console.error('[FB Blocker] Stats.increment error:', error);
@@ -34,12 +37,13 @@ const Stats = {
 
   /**
    * Get current stats
+   * @param {string} key - Counter storage key
    * @returns {Promise<{today: number, total: number}>}
    */
-  async get() {
+  async get(key = 'stats') {
     try {
-      const { stats = { today: 0, total: 0, lastReset: null } } =
-        await chrome.storage.local.get('stats');
+      const { [key]: stats = { today: 0, total: 0, lastReset: null } } =
+        await chrome.storage.local.get(key);
 
       const today = new Date().toISOString().split('T')[0];
 
@@ -57,11 +61,12 @@ const Stats = {
 
   /**
    * Reset all stats
+   * @param {string} key - Counter storage key
    */
-  async reset() {
+  async reset(key = 'stats') {
     try {
       await chrome.storage.local.set({
-        stats: { today: 0, total: 0, lastReset: null }
+        [key]: { today: 0, total: 0, lastReset: null }
       });
     } catch (error) {
       console.error('[FB Blocker] Stats.reset error:', error);
@@ -2,8 +2,12 @@
  * Migration - Handles v1 to v2 data migration
  * v1: keywords as string[] in chrome.storage.sync
  * v2: keywords as object[] in chrome.storage.local
+ * v3: per-keyword flags are tri-state - null inherits the global setting, true/false override it
  */
 const Migration = {
+  // Per-keyword flags where null inherits the global setting (v3)
+  TRI_STATE_FLAGS: ['caseSensitive', 'ignoreDiacritics'],
+
   /**
    * Check and migrate v1 data to v2 format
    * @returns {Promise<{migrated: boolean, count: number}>}
@@ -13,7 +17,7 @@ const Migration = {
       const syncData = await chrome.storage.sync.get(['keywords', 'version', 'enabled']);
 
       // Already migrated
-      if (syncData.version === 2) {
+      if (syncData.version >= 2) {
         return { migrated: false, count: 0 };
       }
 
@@ -64,6 +68,40 @@ const Migration = {
     }
   },
 
+  /**
+   * v2 keywords stored false for "use the global setting"; from v3 false turns the setting off
+   * @returns {Promise<{migrated: boolean, count: number}>}
+   */
+  async migrateV2ToV3() {
+    try {
+      const { version } = await chrome.storage.sync.get('version');
+      if (version !== 2) {
+        return { migrated: false, count: 0 };
+      }
+
+      const { keywords = [] } = await chrome.storage.local.get('keywords');
+      let count = 0;
+      const newKeywords = keywords.map(kw => {
+        if (typeof kw !== 'object' || !this.TRI_STATE_FLAGS.some(flag => kw[flag] === false)) return kw;
+        count++;
+        const updated = { ...kw };
+        this.TRI_STATE_FLAGS.forEach(flag => {
+          if (updated[flag] === false) updated[flag] = null;
+        });
+        return updated;
+      });
+
+      if (count > 0) await chrome.storage.local.set({ keywords: newKeywords });
+      await chrome.storage.sync.set({ version: 3 });
+
+      console.log(`[FB Blocker] Migrated ${count} keywords from v2 to v3`);
+      return { migrated: count > 0, count };
+    } catch (error) {
+      console.error('[FB Blocker] Migration error:', error);
+      return { migrated: false, count: 0, error: error.message };
+    }
+  },
+
   /**
    * Get current data version
    * @returns {Promise<number>}
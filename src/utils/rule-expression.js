@@ -0,0 +1,238 @@
+/**
+ * RuleExpression - Boolean keyword rules
+ * Syntax: "quoted phrase" or word, AND, OR, NOT, NEAR/n, parentheses.
+ * Operators are uppercase. Precedence: NOT > NEAR > AND > OR.
+ * "a NOT b" means "a AND NOT b"; NEAR/n = both terms within n words (NEAR alone = 10).
+ * e.g. "giveaway" AND ("share" OR "tag") NOT "official"
+ */
+const RuleExpression = {
+  MAX_LENGTH: 1000,
+  MAX_TERMS: 50,
+  MAX_NEAR: 50,
+  DEFAULT_NEAR: 10,
+
+  tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const ch = text[i];
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch });
+        i++;
+      } else if (ch === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) throw new Error('Missing closing quote');
+        const value = text.slice(i + 1, end).trim();
+        if (!value) throw new Error('Empty term ""');
+        tokens.push({ type: 'TERM', value });
+        i = end + 1;
+      } else {
+        const word = /^[^\s()"]+/.exec(text.slice(i))[0];
+        const near = /^NEAR(?:\/(\d+))?$/.exec(word);
+        if (near) {
+          tokens.push({ type: 'NEAR', distance: near[1] ? Number(near[1]) : this.DEFAULT_NEAR });
+        } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+          tokens.push({ type: word });
+        } else {
+          tokens.push({ type: 'TERM', value: word });
+        }
+        i += word.length;
+      }
+    }
+
+    return tokens;
+  },
+
+  /**
+   * Parse an expression into a tree of { op: 'TERM' | 'AND' | 'OR' | 'NOT' | 'NEAR', ... }
+   * @param {string} text
+   * @returns {Object} Expression tree
+   * @throws {Error} With a user-facing message when the expression is invalid
+   */
+  parse(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Expression required');
+    }
+    if (text.length > this.MAX_LENGTH) {
+      throw new Error(`Expression too long (max ${this.MAX_LENGTH} characters)`);
+    }
+
+    const tokens = this.tokenize(text);
+    let pos = 0;
+    const peek = () => tokens[pos] && tokens[pos].type;
+    const describe = token => (token.type === 'TERM' ? `"${token.value}"` : token.type);
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (peek() === 'OR') {
+        pos++;
+        node = { op: 'OR', left: node, right: parseAnd() };
+      }
+      return node;
+    };
+
+    const parseAnd = () => {
+      let node = parseUnary();
+      while (peek() === 'AND' || peek() === 'NOT') {
+        const op = tokens[pos++].type;
+        const operand = parseUnary();
+        node = { op: 'AND', left: node, right: op === 'NOT' ? { op: 'NOT', operand } : operand };
+      }
+      return node;
+    };
+
+    const parseUnary = () => {
+      if (peek() === 'NOT') {
+        pos++;
+        return { op: 'NOT', operand: parseUnary() };
+      }
+      return parseNear();
+    };
+
+    const parseNear = () => {
+      let node = parsePrimary();
+      while (peek() === 'NEAR') {
+        const { distance } = tokens[pos++];
+        if (distance < 1 || distance > this.MAX_NEAR) {
+          throw new Error(`NEAR distance must be between 1 and ${this.MAX_NEAR}`);
+        }
+        const right = parsePrimary();
+        if (!this.isPositional(node) || !this.isPositional(right)) {
+          throw new Error('NEAR needs a term (or terms joined by OR) on both sides');
+        }
+        node = { op: 'NEAR', distance, left: node, right };
+      }
+      return node;
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[pos++];
+      if (!token) throw new Error('Unexpected end of expression');
+      if (token.type === 'TERM') return { op: 'TERM', value: token.value };
+      if (token.type === '(') {
+        const node = parseOr();
+        if (peek() !== ')') throw new Error('Missing closing parenthesis');
+        pos++;
+        return node;
+      }
+      throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    const tree = parseOr();
+    if (pos < tokens.length) {
+      const token = tokens[pos];
+      throw new Error(token.type === 'TERM'
+        ? `Missing operator before ${describe(token)}`
+        : `Unexpected ${describe(token)}`);
+    }
+    if (this.terms(tree).length > this.MAX_TERMS) {
+      throw new Error(`Too many terms (max ${this.MAX_TERMS})`);
+    }
+    if (!this.requiresTerm(tree)) {
+      throw new Error('Expression must require at least one term (NOT alone matches almost everything)');
+    }
+
+    return tree;
+  },
+
+  /**
+   * Validate expression syntax
+   * @param {string} text
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validate(text) {
+    try {
+      this.parse(text);
+      return { valid: true, error: null };
+    } catch (e) {
+      return { valid: false, error: e.message };
+    }
+  },
+
+  isPositional(node) {
+    return node.op === 'TERM' || (node.op === 'OR' && this.isPositional(node.left) && this.isPositional(node.right));
+  },
+
+  // Can the expression only match when some term is present?
+  requiresTerm(node) {
+    switch (node.op) {
+      case 'TERM':
+      case 'NEAR':
+        return true;
+      case 'NOT':
+        return false;
+      case 'AND':
+        return this.requiresTerm(node.left) || this.requiresTerm(node.right);
+      default:
+        return this.requiresTerm(node.left) && this.requiresTerm(node.right);
+    }
+  },
+
+  // All TERM nodes, optionally skipping negated ones
+  terms(node, positiveOnly = false) {
+    if (node.op === 'TERM') return [node];
+    if (node.op === 'NOT') return positiveOnly ? [] : this.terms(node.operand, positiveOnly);
+    return [...this.terms(node.left, positiveOnly), ...this.terms(node.right, positiveOnly)];
+  },
+
+  /**
+   * Evaluate a parsed expression whose TERM nodes carry a global `regex`
+   * @param {Object} tree - From parse(), with term.regex set by the caller
+   * @param {string} text
+   * @returns {string|null} The first matched (non-negated) term, or null
+   */
+  match(tree, text) {
+    const cache = new Map();
+    let wordStarts = null;
+
+    // Word indexes where a term occurs, for NEAR
+    const positionsOf = term => {
+      if (!cache.has(term)) {
+        if (!wordStarts) {
+          wordStarts = [...text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)].map(m => m.index);
+        }
+        const positions = [...text.matchAll(term.regex)].map(m => {
+          let index = 0;
+          while (index < wordStarts.length && wordStarts[index] <= m.index) index++;
+          return index;
+        });
+        cache.set(term, positions);
+      }
+      return cache.get(term);
+    };
+
+    const positions = node => (node.op === 'TERM'
+      ? positionsOf(node)
+      : [...positions(node.left), ...positions(node.right)]);
+
+    const evaluate = node => {
+      switch (node.op) {
+        case 'TERM':
+          return positionsOf(node).length > 0;
+        case 'NOT':
+          return !evaluate(node.operand);
+        case 'AND':
+          return evaluate(node.left) && evaluate(node.right);
+        case 'OR':
+          return evaluate(node.left) || evaluate(node.right);
+        case 'NEAR': {
+          const right = positions(node.right);
+          return positions(node.left).some(a => right.some(b => Math.abs(a - b) <= node.distance));
+        }
+        default:
+          return false;
+      }
+    };
+
+    if (!evaluate(tree)) return null;
+    const matched = this.terms(tree, true).find(term => positionsOf(term).length > 0);
+    return matched ? matched.value : null;
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.RuleExpression = RuleExpression;
+}
@@ -0,0 +1,113 @@
+/**
+ * Schedule - Turn the whole blocker or single categories on by time of day
+ * A rule is { id, target: 'all' | category, days: [0-6] (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }.
+ * A target with at least one rule is only active inside its windows.
+ * Windows whose end is before their start run past midnight.
+ */
+const Schedule = {
+  TIME_PATTERN: /^([01]\d|2[0-3]):[0-5]\d$/,
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  },
+
+  isValid(rule) {
+    return !!rule && typeof rule.target === 'string' &&
+      Array.isArray(rule.days) && rule.days.length > 0 &&
+      rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+      this.TIME_PATTERN.test(rule.start) && this.TIME_PATTERN.test(rule.end) &&
+      rule.start !== rule.end;
+  },
+
+  /**
+   * Is the rule's window open at the given time?
+   * @param {Object} rule - Valid schedule rule
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  isOpen(rule, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const start = this.toMinutes(rule.start);
+    const end = this.toMinutes(rule.end);
+
+    if (start < end) {
+      return rule.days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Overnight: evening part on a scheduled day, morning part on the day after
+    return (rule.days.includes(day) && minutes >= start) ||
+      (rule.days.includes((day + 6) % 7) && minutes < end);
+  },
+
+  rulesFor(schedules, target) {
+    return (schedules || []).filter(rule => rule.target === target && this.isValid(rule));
+  },
+
+  /**
+   * @param {Array} schedules - All schedule rules
+   * @param {string} target - 'all' or a category
+   * @param {Date} date
+   * @returns {boolean} true when the target has no rules or one of its windows is open
+   */
+  isActive(schedules, target, date = new Date()) {
+    const rules = this.rulesFor(schedules, target);
+    return rules.length === 0 || rules.some(rule => this.isOpen(rule, date));
+  },
+
+  // Targets that have at least one valid rule
+  targets(schedules) {
+    return [...new Set((schedules || []).filter(rule => this.isValid(rule)).map(rule => rule.target))];
+  },
+
+  /**
+   * Next time any window opens or closes
+   * @param {Array} schedules - All schedule rules
+   * @param {Date} date - Search after this time
+   * @param {string|null} target - Only look at this target's rules
+   * @returns {Date|null}
+   */
+  nextChange(schedules, date = new Date(), target = null) {
+    let next = null;
+    const rules = (schedules || []).filter(rule => this.isValid(rule) && (!target || rule.target === target));
+
+    for (const rule of rules) {
+      const start = this.toMinutes(rule.start);
+      let end = this.toMinutes(rule.end);
+      if (end < start) end += 24 * 60;
+
+      // Start at yesterday: an overnight window from yesterday may close today
+      for (let offset = -1; offset <= 7; offset++) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+        if (!rule.days.includes(day.getDay())) continue;
+
+        for (const minutes of [start, end]) {
+          const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+          if (time > date && (!next || time < next)) next = time;
+        }
+      }
+    }
+
+    return next;
+  },
+
+  /**
+   * Next time the target actually switches on or off (skips back-to-back windows)
+   * @returns {Date|null}
+   */
+  nextSwitch(schedules, target, date = new Date()) {
+    const current = this.isActive(schedules, target, date);
+    let time = date;
+
+    for (let i = 0; i < 50; i++) {
+      time = this.nextChange(schedules, time, target);
+      if (!time) return null;
+      if (this.isActive(schedules, target, time) !== current) return time;
+    }
+    return null;
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.Schedule = Schedule;
+}
@@ -0,0 +1,72 @@
+/**
+ * Wildcard - Glob-style keywords, a safer alternative to regex
+ * "*" = any letters within a word, "?" = exactly one character, "|" separates alternatives.
+ * e.g. "free*|giveaway", "c?n h?"
+ * "*" and "?" compile to bounded quantifiers. Literal chunks are escaped as is, or in canonical
+ * fold go through canonicalPattern(), which takes one letter per step with at most 3 separators
+ * between them. Every quantifier is bounded, so each start position does bounded work and matching
+ * is linear.
+ */
+const Wildcard = {
+  MAX_LENGTH: 200,
+  MAX_ALTERNATIVES: 20,
+  MAX_STARS: 3, // per alternative
+  STAR_LENGTH: 20, // letters matched by one "*"
+
+  alternatives(text) {
+    return text.split('|').map(alt => alt.trim());
+  },
+
+  /**
+   * Validate wildcard syntax
+   * @param {string} text
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validate(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return { valid: false, error: 'Pattern required' };
+    }
+    if (text.length > this.MAX_LENGTH) {
+      return { valid: false, error: `Pattern too long (max ${this.MAX_LENGTH} characters)` };
+    }
+
+    const alternatives = this.alternatives(text);
+    if (alternatives.length > this.MAX_ALTERNATIVES) {
+      return { valid: false, error: `Too many alternatives (max ${this.MAX_ALTERNATIVES})` };
+    }
+
+    for (const alt of alternatives) {
+      if (!alt) {
+        return { valid: false, error: 'Empty alternative next to "|"' };
+      }
+      if (!/[^*?\s]/.test(alt)) {
+        return { valid: false, error: `"${alt}" needs at least one letter besides * and ?` };
+      }
+      if ((alt.match(/\*+/g) || []).length > this.MAX_STARS) {
+        return { valid: false, error: `Too many * in "${alt}" (max ${this.MAX_STARS})` };
+      }
+    }
+
+    return { valid: true, error: null };
+  },
+
+  /**
+   * Regex source for a valid pattern, without word boundaries (the caller adds them)
+   * @param {string} text
+   * @param {Function} literal - Turns a literal chunk into regex source (default: escaped as is)
+   * @returns {string}
+   */
+  toPattern(text, literal = chunk => chunk.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) {
+    return this.alternatives(text).filter(Boolean).map(alt =>
+      alt.split(/(\*+|\?)/).map(part => {
+        if (part.startsWith('*')) return `[\\p{L}\\p{M}\\p{N}]{0,${this.STAR_LENGTH}}`;
+        if (part === '?') return '\\S';
+        return part ? literal(part) : '';
+      }).join('')
+    ).join('|');
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.Wildcard = Wildcard;
+}
@@ -0,0 +1,299 @@
+/**
+ * Classifier Tests
+ * Run with: node tests/classifier.test.js
+ */
+
+// Text helpers (same as in content.js)
+function normalizeText(text) {
+  return stripDiacritics(text).toLowerCase();
+}
+
+function stripDiacritics(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+// Inline Classifier for testing (same as in src/core/classifier.js)
+/**
+ * Classifier - On-device naive Bayes trained from the user's own feedback
+ * Learns from "Correct" / "Wrong" on placeholders and "Block this" on visible posts.
+ * The model is plain token counts kept in chrome.storage.local; nothing leaves the browser.
+ * Model: { version, docs: { block, allow }, tokens: { token: [blockDocs, allowDocs] }, updatedAt }
+ * tokenize() relies on normalizeText() from the content script.
+ */
+const Classifier = {
+  VERSION: 1,
+  LABELS: ['block', 'allow'],
+  MIN_DOCS: 3, // examples of each label before predict() answers
+  MAX_VOCABULARY: 20000, // rarest tokens are pruned beyond this to stay within storage quota
+  MAX_DOC_TOKENS: 300,
+  TOKEN_PATTERN: /[\p{L}\p{N}]{2,30}/gu,
+
+  empty() {
+    return { version: this.VERSION, docs: { block: 0, allow: 0 }, tokens: {}, updatedAt: null };
+  },
+
+  /**
+   * Stored or imported model, or an empty one when it is missing or malformed
+   * @param {*} model
+   * @returns {Object}
+   */
+  normalize(model) {
+    if (!this.isValid(model)) return this.empty();
+    return model;
+  },
+
+  isValid(model) {
+    return !!model && model.version === this.VERSION &&
+      !!model.docs && this.LABELS.every(label => Number.isInteger(model.docs[label]) && model.docs[label] >= 0) &&
+      !!model.tokens && typeof model.tokens === 'object' && !Array.isArray(model.tokens) &&
+      Object.values(model.tokens).every(counts =>
+        Array.isArray(counts) && counts.length === 2 && counts.every(n => Number.isInteger(n) && n >= 0));
+  },
+
+  // Unique lowercase, diacritic-free words - presence matters, not how often a word repeats
+  tokenize(text) {
+    const tokens = new Set();
+    for (const [token] of normalizeText(text || '').matchAll(this.TOKEN_PATTERN)) {
+      tokens.add(token);
+      if (tokens.size >= this.MAX_DOC_TOKENS) break;
+    }
+    return [...tokens];
+  },
+
+  /**
+   * Count one example into the model (mutates it)
+   * @param {Object} model
+   * @param {string} text
+   * @param {string} label - 'block' or 'allow'
+   * @returns {boolean} false when the label is unknown or the text has no words
+   */
+  train(model, text, label) {
+    const index = this.LABELS.indexOf(label);
+    const tokens = this.tokenize(text);
+    if (index === -1 || tokens.length === 0) return false;
+
+    model.docs[label]++;
+    for (const token of tokens) {
+      if (!this.counts(model, token)) model.tokens[token] = [0, 0];
+      model.tokens[token][index]++;
+    }
+    this.prune(model);
+    model.updatedAt = Date.now();
+    return true;
+  },
+
+  // Keep the most frequent tokens once the vocabulary outgrows MAX_VOCABULARY
+  prune(model) {
+    const entries = Object.entries(model.tokens);
+    if (entries.length <= this.MAX_VOCABULARY) return;
+
+    entries.sort((a, b) => (b[1][0] + b[1][1]) - (a[1][0] + a[1][1]));
+    model.tokens = Object.fromEntries(entries.slice(0, this.MAX_VOCABULARY));
+  },
+
+  // [blockDocs, allowDocs] of a token, or null; own keys only, so "constructor" is just a word
+  counts(model, token) {
+    return Object.hasOwn(model.tokens, token) ? model.tokens[token] : null;
+  },
+
+  isReady(model) {
+    return this.LABELS.every(label => model.docs[label] >= this.MIN_DOCS);
+  },
+
+  // Log-odds a token adds towards "block" (Laplace-smoothed share of each label's examples containing it)
+  tokenWeight(model, token) {
+    const [block, allow] = this.counts(model, token);
+    return Math.log((block + 1) / (model.docs.block + 2)) - Math.log((allow + 1) / (model.docs.allow + 2));
+  },
+
+  /**
+   * Probability that the text should be blocked
+   * @param {Object} model
+   * @param {string} text
+   * @returns {number|null} 0-1, or null until both labels have MIN_DOCS examples
+   */
+  predict(model, text) {
+    if (!this.isReady(model)) return null;
+
+    let logOdds = Math.log(model.docs.block / model.docs.allow);
+    for (const token of this.tokenize(text)) {
+      if (this.counts(model, token)) logOdds += this.tokenWeight(model, token);
+    }
+    return 1 / (1 + Math.exp(-logOdds));
+  },
+
+  /**
+   * Tokens that push hardest towards "block"
+   * @param {Object} model
+   * @param {number} limit
+   * @param {string[]} tokens - Only look at these (default: the whole vocabulary)
+   * @returns {Array<{token: string, weight: number, block: number, allow: number}>}
+   */
+  strongestTokens(model, limit = 10, tokens = Object.keys(model.tokens)) {
+    return tokens
+      .filter(token => this.counts(model, token))
+      .map(token => ({
+        token,
+        weight: this.tokenWeight(model, token),
+        block: model.tokens[token][0],
+        allow: model.tokens[token][1]
+      }))
+      .filter(item => item.weight > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, limit);
+  }
+};
+
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================
+// Test Cases
+// ============================================
+
+console.log('\n=== Classifier Tests ===\n');
+
+const spam = [
+  'Kiếm tiền online mỗi ngày, inbox ngay để nhận tín hiệu crypto',
+  'Tín hiệu crypto miễn phí, lợi nhuận x2 mỗi tuần',
+  'Đầu tư crypto cùng chuyên gia, inbox nhận tín hiệu',
+  'Kiếm tiền tại nhà, lợi nhuận mỗi ngày'
+];
+const ham = [
+  'Ảnh chụp gia đình đi biển cuối tuần',
+  'Chúc mừng sinh nhật bạn thân của mình',
+  'Công thức nấu phở bò ngon tại nhà',
+  'Cả nhà đi biển Vũng Tàu vui quá'
+];
+
+function trained() {
+  const model = Classifier.empty();
+  spam.forEach(text => Classifier.train(model, text, 'block'));
+  ham.forEach(text => Classifier.train(model, text, 'allow'));
+  return model;
+}
+
+// Test 1: Tokens
+test('Tokens: unique, lowercase, without diacritics', () => {
+  const tokens = Classifier.tokenize('Tín hiệu CRYPTO, tín hiệu! a 1');
+  assertEqual(tokens.join(' '), 'tin hieu crypto');
+});
+
+test('Tokens: capped per example', () => {
+  const text = Array.from({ length: 500 }, (_, i) => `w${i}`).join(' ');
+  assertEqual(Classifier.tokenize(text).length, Classifier.MAX_DOC_TOKENS);
+});
+
+// Test 2: Training
+test('Training: counts examples per label', () => {
+  const model = trained();
+  assertEqual(model.docs.block, 4);
+  assertEqual(model.docs.allow, 4);
+  assertEqual(model.tokens.crypto.join(','), '3,0');
+  assertEqual(model.tokens.nha.join(','), '1,2');
+});
+
+test('Training: ignores unknown labels and empty text', () => {
+  const model = Classifier.empty();
+  assertEqual(Classifier.train(model, 'crypto', 'maybe'), false);
+  assertEqual(Classifier.train(model, '!!! ...', 'block'), false);
+  assertEqual(model.docs.block, 0);
+});
+
+test('Training: prunes the rarest tokens', () => {
+  const model = Classifier.empty();
+  model.tokens = Object.fromEntries(
+    Array.from({ length: Classifier.MAX_VOCABULARY - 1 }, (_, i) => [`t${i}`, [1, 0]])
+  );
+  model.tokens.crypto = [5, 0];
+  Classifier.train(model, 'crypto tin hieu', 'block');
+  assertEqual(Object.keys(model.tokens).length, Classifier.MAX_VOCABULARY);
+  assertEqual(model.tokens.crypto.join(','), '6,0');
+});
+
+// Test 3: Prediction
+test('Prediction: waits for enough examples of both labels', () => {
+  const model = Classifier.empty();
+  spam.forEach(text => Classifier.train(model, text, 'block'));
+  assertEqual(Classifier.predict(model, 'tín hiệu crypto'), null);
+});
+
+test('Prediction: separates learned spam from normal posts', () => {
+  const model = trained();
+  assert(Classifier.predict(model, 'Nhận tín hiệu crypto, inbox ngay') > 0.9, 'spam should score high');
+  assert(Classifier.predict(model, 'Ảnh sinh nhật cả nhà') < 0.1, 'family post should score low');
+});
+
+test('Prediction: unknown words fall back to the prior', () => {
+  const model = trained();
+  assertEqual(Classifier.predict(model, 'hoàn toàn xa lạ'), 0.5);
+});
+
+test('Prediction: strongest tokens lean towards block', () => {
+  const model = trained();
+  const tokens = Classifier.strongestTokens(model, 3, Classifier.tokenize('tín hiệu crypto đi biển'));
+  assertEqual(tokens.length, 3);
+  assert(tokens.every(item => item.weight > 0 && item.allow === 0), 'only block-leaning tokens');
+  assertEqual(tokens.map(item => item.token).sort().join(','), 'crypto,hieu,tin');
+});
+
+test('Prediction: words named like Object.prototype members are ordinary tokens', () => {
+  const model = trained();
+  assertEqual(Classifier.predict(model, 'Hiring a building constructor in Hanoi'), 0.5);
+  assertEqual(Classifier.strongestTokens(model, 3, ['constructor', 'tostring']).length, 0);
+
+  ['constructor wanted', 'constructor needed', 'constructor hiring'].forEach(text => Classifier.train(model, text, 'block'));
+  assertEqual(model.tokens.constructor.join(','), '3,0');
+  assert(Classifier.predict(model, 'Hiring a building constructor in Hanoi') > 0.5, 'learned word should count');
+});
+
+// Test 4: Stored models
+test('Stored models: malformed models are replaced by an empty one', () => {
+  assertEqual(Classifier.isValid(trained()), true);
+  assertEqual(Classifier.normalize(null).docs.block, 0);
+  assertEqual(Classifier.normalize({ version: 1, docs: { block: 1, allow: 0 }, tokens: { a: [1] } }).docs.block, 0);
+  assertEqual(Classifier.normalize({ version: 2, docs: { block: 1, allow: 1 }, tokens: {} }).docs.block, 0);
+});
+
+// ============================================
+// Results
+// ============================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
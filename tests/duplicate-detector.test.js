@@ -0,0 +1,478 @@
+/**
+ * Duplicate Detector Tests
+ * Run with: node tests/duplicate-detector.test.js
+ */
+
+// Text helpers (same as in content.js)
+function normalizeText(text) {
+  return stripDiacritics(text).toLowerCase();
+}
+
+function stripDiacritics(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+// Inline DuplicateDetector for testing (same as in src/core/duplicate-detector.js)
+/**
+ * DuplicateDetector - Recognizes the same viral post shared again by other pages and people
+ * A post body is reduced to a bottom-k sketch of its hashed word shingles, so copies with a few
+ * words changed still compare as near-identical. Each fingerprint keeps the sources (authors) it was
+ * seen from, in first-seen order; the first `threshold` sources inside the rolling window are shown,
+ * later ones are duplicates. Same author twice counts once, so re-rendering a post is harmless.
+ * Store: { version, entries: [{ sketch: number[], sources: [{ id, at }] }] } in chrome.storage.local.
+ * Fingerprints are looked up through an in-memory index of their sketch hashes, so a post is only
+ * compared with fingerprints it shares a shingle with, not with the whole store.
+ * sketch() relies on normalizeText() from the content script.
+ */
+const DuplicateDetector = {
+  VERSION: 1,
+  SHINGLE_WORDS: 3,
+  SKETCH_SIZE: 24,
+  MIN_WORDS: 12, // "Chúc mừng sinh nhật!" is repeated everywhere without being a copy
+  SIMILARITY: 0.6, // estimated Jaccard similarity at which two bodies are copies
+  MAX_ENTRIES: 1000, // oldest fingerprints are dropped beyond this to stay within storage quota
+  MAX_SOURCES: 50,
+  DEFAULT_THRESHOLD: 2,
+  MAX_THRESHOLD: 20,
+  DEFAULT_WINDOW_HOURS: 24,
+  MAX_WINDOW_HOURS: 24 * 30,
+  indexes: new WeakMap(), // store -> index; never saved, rebuilt when store.entries is replaced
+
+  /**
+   * Stored settings with defaults
+   * @param {Object} stored - { enabled, threshold, windowHours }
+   * @returns {{enabled: boolean, threshold: number, windowHours: number}}
+   */
+  settings(stored = {}) {
+    const value = stored || {};
+    const inRange = (number, max, fallback) =>
+      Number.isInteger(number) && number >= 1 && number <= max ? number : fallback;
+    return {
+      enabled: value.enabled === true,
+      threshold: inRange(Number(value.threshold), this.MAX_THRESHOLD, this.DEFAULT_THRESHOLD),
+      windowHours: inRange(Number(value.windowHours), this.MAX_WINDOW_HOURS, this.DEFAULT_WINDOW_HOURS)
+    };
+  },
+
+  empty() {
+    return { version: this.VERSION, entries: [] };
+  },
+
+  /**
+   * Stored fingerprints, or an empty store when they are missing or malformed
+   * @param {*} store
+   * @returns {Object}
+   */
+  normalize(store) {
+    const valid = !!store && store.version === this.VERSION && Array.isArray(store.entries) &&
+      store.entries.every(entry =>
+        !!entry && Array.isArray(entry.sketch) && entry.sketch.every(Number.isInteger) &&
+        Array.isArray(entry.sources) && entry.sources.every(source =>
+          !!source && typeof source.id === 'string' && Number.isFinite(source.at)));
+    return valid ? store : this.empty();
+  },
+
+  // 32-bit FNV-1a
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  },
+
+  /**
+   * Bottom-k sketch of a post body: the SKETCH_SIZE smallest hashes of its word shingles
+   * @param {string} text
+   * @returns {number[]|null} Sorted hashes, or null when the body is too short to fingerprint
+   */
+  sketch(text) {
+    const words = normalizeText(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length < this.MIN_WORDS) return null;
+
+    const hashes = new Set();
+    for (let i = 0; i + this.SHINGLE_WORDS <= words.length; i++) {
+      hashes.add(this.hash(words.slice(i, i + this.SHINGLE_WORDS).join(' ')));
+    }
+    return [...hashes].sort((a, b) => a - b).slice(0, this.SKETCH_SIZE);
+  },
+
+  // Jaccard estimate: share of the k smallest hashes of both sketches that are in each of them
+  similarity(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    const union = [...new Set([...a, ...b])].sort((x, y) => x - y).slice(0, this.SKETCH_SIZE);
+    if (union.length === 0) return 0;
+    return union.filter(hash => setA.has(hash) && setB.has(hash)).length / union.length;
+  },
+
+  // Forget sources outside the window and fingerprints with none left
+  prune(store, now, windowMs) {
+    for (const entry of store.entries) {
+      entry.sources = entry.sources.filter(source => now - source.at < windowMs);
+    }
+    // Keep the array (and its index) when nothing expired
+    const kept = store.entries.filter(entry => entry.sources.length > 0);
+    if (kept.length !== store.entries.length) store.entries = kept;
+  },
+
+  /**
+   * Index of a store's fingerprints: exact sketches, and entries by each hash of their sketch
+   * @param {Object} store
+   * @returns {{entries: Object[], size: number, exact: Map, byHash: Map, order: Map}}
+   */
+  index(store) {
+    const cached = this.indexes.get(store);
+    if (cached && cached.entries === store.entries && cached.size === store.entries.length) return cached;
+
+    const index = { entries: store.entries, size: 0, exact: new Map(), byHash: new Map(), order: new Map() };
+    store.entries.forEach(entry => this.indexEntry(index, entry));
+    this.indexes.set(store, index);
+    return index;
+  },
+
+  indexEntry(index, entry) {
+    index.order.set(entry, index.size++);
+    if (!index.exact.has(entry.sketch.join())) index.exact.set(entry.sketch.join(), entry);
+    for (const hash of entry.sketch) {
+      if (!index.byHash.has(hash)) index.byHash.set(hash, []);
+      index.byHash.get(hash).push(entry);
+    }
+  },
+
+  add(store, entry) {
+    const index = this.index(store);
+    store.entries.push(entry);
+    this.indexEntry(index, entry);
+    return entry;
+  },
+
+  // Fingerprint most similar to a sketch, if any is similar enough to be a copy.
+  // Copies share most of their hashes, so only entries sharing one are compared
+  closest(store, sketch) {
+    const index = this.index(store);
+    const exact = index.exact.get(sketch.join());
+    if (exact) return exact;
+
+    const candidates = new Set(sketch.flatMap(hash => index.byHash.get(hash) || []));
+    let best = null;
+    let bestSimilarity = this.SIMILARITY;
+    for (const entry of [...candidates].sort((a, b) => index.order.get(a) - index.order.get(b))) {
+      const similarity = this.similarity(sketch, entry.sketch);
+      if (similarity >= bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+    return best;
+  },
+
+  // Drop the least recently seen fingerprints beyond MAX_ENTRIES
+  cap(store) {
+    if (store.entries.length <= this.MAX_ENTRIES) return;
+    const lastSeen = new Map(store.entries.map(entry => [entry, Math.max(...entry.sources.map(source => source.at))]));
+    store.entries.sort((a, b) => lastSeen.get(b) - lastSeen.get(a));
+    store.entries = store.entries.slice(0, this.MAX_ENTRIES);
+  },
+
+  /**
+   * Record a post and tell whether it is a duplicate (mutates the store)
+   * @param {Object} store
+   * @param {string} text - Post body
+   * @param {string} source - Who posted it (author profile key or name)
+   * @param {Object} settings - From settings()
+   * @param {number} now - Timestamp in ms
+   * @returns {{duplicate: boolean, copy: number, changed: boolean}|null} copy is the source's 1-based
+   *   position among copies in the window; null when the body is too short to fingerprint
+   */
+  observe(store, text, source, settings, now = Date.now()) {
+    const sketch = this.sketch(text);
+    if (!sketch) return null;
+
+    this.prune(store, now, settings.windowHours * 60 * 60 * 1000);
+
+    let best = this.closest(store, sketch);
+    let changed = false;
+    if (!best) best = this.add(store, { sketch, sources: [] });
+
+    let index = best.sources.findIndex(item => item.id === source);
+    if (index === -1 && best.sources.length < this.MAX_SOURCES) {
+      best.sources.push({ id: source, at: now });
+      index = best.sources.length - 1;
+      changed = true;
+    }
+    if (index === -1) index = best.sources.length;
+    if (changed) this.cap(store);
+
+    return { duplicate: index >= settings.threshold, copy: index + 1, changed };
+  },
+
+  /**
+   * Fold another store into this one (mutates it), so tabs saving their own sightings don't
+   * overwrite each other. Copies are joined as in observe(); a source keeps its earliest sighting
+   * and sources stay in first-seen order
+   * @param {Object} store
+   * @param {Object} other - Normalized store, e.g. the one in chrome.storage.local
+   * @returns {Object} store
+   */
+  merge(store, other) {
+    for (const entry of other.entries) {
+      const match = this.closest(store, entry.sketch);
+      if (!match) {
+        this.add(store, { sketch: entry.sketch, sources: entry.sources.map(source => ({ ...source })) });
+        continue;
+      }
+
+      for (const source of entry.sources) {
+        const known = match.sources.find(item => item.id === source.id);
+        if (known) {
+          known.at = Math.min(known.at, source.at);
+        } else {
+          match.sources.push({ ...source });
+        }
+      }
+      match.sources.sort((a, b) => a.at - b.at);
+      match.sources = match.sources.slice(0, this.MAX_SOURCES);
+    }
+    this.cap(store);
+    return store;
+  }
+};
+
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================
+// Test Cases
+// ============================================
+
+console.log('\n=== Duplicate Detector Tests ===\n');
+
+const VIRAL = 'Một người đàn ông ở Hà Nội đã nhặt được chiếc ví chứa 50 triệu đồng và đi bộ hơn 10 km ' +
+  'để trả lại cho người đánh rơi. Khi được hỏi vì sao, ông chỉ cười và nói rằng của ai thì trả người đó.';
+const EDITED = 'Một người đàn ông ở Hà Nội đã nhặt được chiếc ví chứa 50 triệu đồng và đi bộ hơn 10 km ' +
+  'để trả lại cho người đánh rơi. Khi được hỏi vì sao, ông chỉ cười và nói rằng của ai thì trả người đó. Quá tuyệt vời!';
+const OTHER = 'Cuối tuần này cả nhà mình đi Đà Lạt, thời tiết se lạnh, hoa dã quỳ nở vàng cả một góc đồi, ' +
+  'ai có quán cà phê nào view đẹp thì giới thiệu cho mình với nhé, cảm ơn mọi người rất nhiều.';
+const HOUR = 60 * 60 * 1000;
+const defaults = DuplicateDetector.settings({ enabled: true });
+
+// Test 1: Settings
+test('Settings: off by default, threshold and window in range', () => {
+  const settings = DuplicateDetector.settings();
+  assertEqual(settings.enabled, false);
+  assertEqual(settings.threshold, DuplicateDetector.DEFAULT_THRESHOLD);
+  assertEqual(settings.windowHours, DuplicateDetector.DEFAULT_WINDOW_HOURS);
+  assertEqual(DuplicateDetector.settings({ threshold: 5, windowHours: 72 }).threshold, 5);
+  assertEqual(DuplicateDetector.settings({ threshold: 0 }).threshold, DuplicateDetector.DEFAULT_THRESHOLD);
+  assertEqual(DuplicateDetector.settings({ windowHours: 100000 }).windowHours, DuplicateDetector.DEFAULT_WINDOW_HOURS);
+  assertEqual(DuplicateDetector.settings(null).enabled, false);
+});
+
+// Test 2: Sketches
+test('Sketch: normalized shingles, null for short bodies', () => {
+  const sketch = DuplicateDetector.sketch(VIRAL);
+  assertEqual(sketch.length, DuplicateDetector.SKETCH_SIZE);
+  assertEqual(DuplicateDetector.similarity(sketch, DuplicateDetector.sketch(VIRAL.toUpperCase())), 1);
+  assertEqual(DuplicateDetector.similarity(sketch, DuplicateDetector.sketch(stripDiacritics(VIRAL))), 1);
+  assertEqual(DuplicateDetector.sketch('Chúc mừng sinh nhật bạn nhé!'), null);
+  assertEqual(DuplicateDetector.sketch(''), null);
+});
+
+test('Similarity: near-identical copies are close, different posts are not', () => {
+  const viral = DuplicateDetector.sketch(VIRAL);
+  assert(DuplicateDetector.similarity(viral, DuplicateDetector.sketch(EDITED)) >= DuplicateDetector.SIMILARITY,
+    'an added sentence should still be a copy');
+  assert(DuplicateDetector.similarity(viral, DuplicateDetector.sketch(OTHER)) < 0.1, 'unrelated posts should differ');
+});
+
+// Test 3: Observing posts
+test('Observe: the first copies are shown, later sources are duplicates', () => {
+  const store = DuplicateDetector.empty();
+  const now = Date.now();
+  assertEqual(DuplicateDetector.observe(store, VIRAL, 'page-a', defaults, now).duplicate, false);
+  assertEqual(DuplicateDetector.observe(store, EDITED, 'page-b', defaults, now + 1).duplicate, false);
+  const third = DuplicateDetector.observe(store, VIRAL, 'page-c', defaults, now + 2);
+  assertEqual(third.duplicate, true);
+  assertEqual(third.copy, 3);
+  assertEqual(store.entries.length, 1);
+});
+
+test('Observe: the same source again keeps its place', () => {
+  const store = DuplicateDetector.empty();
+  const now = Date.now();
+  DuplicateDetector.observe(store, VIRAL, 'page-a', defaults, now);
+  DuplicateDetector.observe(store, VIRAL, 'page-b', defaults, now);
+  DuplicateDetector.observe(store, VIRAL, 'page-c', defaults, now);
+  const again = DuplicateDetector.observe(store, VIRAL, 'page-a', defaults, now + HOUR);
+  assertEqual(again.duplicate, false);
+  assertEqual(again.copy, 1);
+  assertEqual(again.changed, false);
+});
+
+test('Observe: threshold setting and unrelated posts', () => {
+  const store = DuplicateDetector.empty();
+  const strict = DuplicateDetector.settings({ enabled: true, threshold: 1 });
+  DuplicateDetector.observe(store, VIRAL, 'page-a', strict);
+  assertEqual(DuplicateDetector.observe(store, OTHER, 'page-b', strict).duplicate, false);
+  assertEqual(DuplicateDetector.observe(store, VIRAL, 'page-b', strict).duplicate, true);
+  assertEqual(DuplicateDetector.observe(store, 'Ngắn quá', 'page-c', strict), null);
+  assertEqual(store.entries.length, 2);
+});
+
+// Test 4: Rolling window and bounds
+test('Window: copies older than the window are forgotten', () => {
+  const store = DuplicateDetector.empty();
+  const now = Date.now();
+  DuplicateDetector.observe(store, VIRAL, 'page-a', defaults, now);
+  DuplicateDetector.observe(store, VIRAL, 'page-b', defaults, now);
+  const later = now + 25 * HOUR;
+  assertEqual(DuplicateDetector.observe(store, VIRAL, 'page-c', defaults, later).duplicate, false);
+  assertEqual(store.entries[0].sources.length, 1);
+});
+
+test('Bounds: at most MAX_ENTRIES fingerprints, newest kept', () => {
+  const store = DuplicateDetector.empty();
+  const now = Date.now();
+  for (let i = 0; i < DuplicateDetector.MAX_ENTRIES + 5; i++) {
+    store.entries.push({ sketch: [i], sources: [{ id: 'page', at: now - HOUR + i }] });
+  }
+  DuplicateDetector.observe(store, VIRAL, 'page-a', defaults, now);
+  assertEqual(store.entries.length, DuplicateDetector.MAX_ENTRIES);
+  assert(store.entries.some(entry => entry.sources[0].id === 'page-a'), 'the new fingerprint should be kept');
+  assert(!store.entries.some(entry => entry.sketch[0] === 0), 'the oldest fingerprint should be dropped');
+});
+
+// Test 5: Several tabs
+test('Merge: sightings from two tabs are joined in first-seen order', () => {
+  const now = Date.now();
+  const tabA = DuplicateDetector.empty();
+  const tabB = DuplicateDetector.empty();
+  DuplicateDetector.observe(tabA, VIRAL, 'page-a', defaults, now);
+  DuplicateDetector.observe(tabB, EDITED, 'page-b', defaults, now - 1);
+  DuplicateDetector.observe(tabB, OTHER, 'page-c', defaults, now);
+
+  const stored = DuplicateDetector.merge(DuplicateDetector.normalize(JSON.parse(JSON.stringify(tabB))), tabA);
+  assertEqual(stored.entries.length, 2);
+  const viral = DuplicateDetector.closest(stored, DuplicateDetector.sketch(VIRAL));
+  assertEqual(viral.sources.map(source => source.id).join(), 'page-b,page-a');
+  assertEqual(DuplicateDetector.observe(stored, VIRAL, 'page-d', defaults, now + 1).duplicate, true);
+});
+
+test('Merge: the same source seen in both tabs counts once, earliest time kept', () => {
+  const now = Date.now();
+  const tabA = DuplicateDetector.empty();
+  const tabB = DuplicateDetector.empty();
+  DuplicateDetector.observe(tabA, VIRAL, 'page-a', defaults, now);
+  DuplicateDetector.observe(tabB, VIRAL, 'page-a', defaults, now - HOUR);
+
+  DuplicateDetector.merge(tabA, tabB);
+  assertEqual(tabA.entries.length, 1);
+  assertEqual(tabA.entries[0].sources.length, 1);
+  assertEqual(tabA.entries[0].sources[0].at, now - HOUR);
+});
+
+test('Merge: a full store is joined without comparing every pair of fingerprints', () => {
+  const now = Date.now();
+  const sketchOf = i => Array.from({ length: DuplicateDetector.SKETCH_SIZE }, (_, j) => i * 100 + j);
+  const stored = DuplicateDetector.empty();
+  const tab = DuplicateDetector.empty();
+  for (let i = 0; i < DuplicateDetector.MAX_ENTRIES; i++) {
+    stored.entries.push({ sketch: sketchOf(i), sources: [{ id: `page-${i}`, at: now - HOUR }] });
+    // Half the tab's fingerprints are already stored, half are new
+    tab.entries.push({ sketch: sketchOf(i % 2 ? i : DuplicateDetector.MAX_ENTRIES + i), sources: [{ id: 'tab', at: now }] });
+  }
+
+  const similarity = DuplicateDetector.similarity;
+  let comparisons = 0;
+  DuplicateDetector.similarity = (a, b) => {
+    comparisons++;
+    return similarity.call(DuplicateDetector, a, b);
+  };
+  const started = Date.now();
+  try {
+    DuplicateDetector.merge(stored, tab);
+  } finally {
+    DuplicateDetector.similarity = similarity;
+  }
+
+  assertEqual(comparisons, 0);
+  assert(Date.now() - started < 1000, 'merging a full store should take well under a second');
+  assertEqual(stored.entries.length, DuplicateDetector.MAX_ENTRIES);
+  assertEqual(DuplicateDetector.closest(stored, sketchOf(1)).sources.map(source => source.id).join(), 'page-1,tab');
+});
+
+test('Observe: a new post is only compared with fingerprints sharing a hash', () => {
+  const store = DuplicateDetector.empty();
+  const now = Date.now();
+  for (let i = 0; i < DuplicateDetector.MAX_ENTRIES; i++) {
+    store.entries.push({ sketch: [i], sources: [{ id: 'page', at: now - HOUR }] });
+  }
+  DuplicateDetector.observe(store, VIRAL, 'page-a', defaults, now);
+
+  const similarity = DuplicateDetector.similarity;
+  let comparisons = 0;
+  DuplicateDetector.similarity = (a, b) => {
+    comparisons++;
+    return similarity.call(DuplicateDetector, a, b);
+  };
+  try {
+    assertEqual(DuplicateDetector.observe(store, EDITED, 'page-b', defaults, now).copy, 2);
+  } finally {
+    DuplicateDetector.similarity = similarity;
+  }
+  assertEqual(comparisons, 1);
+});
+
+// Test 6: Stored data
+test('Normalize: malformed stores become empty', () => {
+  assertEqual(DuplicateDetector.normalize(null).entries.length, 0);
+  assertEqual(DuplicateDetector.normalize({ version: 1, entries: [{ sketch: 'x', sources: [] }] }).entries.length, 0);
+  const store = DuplicateDetector.empty();
+  DuplicateDetector.observe(store, VIRAL, 'page-a', defaults);
+  assertEqual(DuplicateDetector.normalize(JSON.parse(JSON.stringify(store))).entries.length, 1);
+});
+
+// ============================================
+// Results
+// ============================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,250 @@
+/**
+ * Feed Modules Tests
+ * Run with: node tests/feed-modules.test.js
+ */
+
+// Text helpers (same as in content.js)
+function normalizeText(text) {
+  return stripDiacritics(text).toLowerCase();
+}
+
+function stripDiacritics(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+// Inline FeedModules for testing (same as in src/core/feed-modules.js)
+/**
+ * FeedModules - Recognizes whole feed modules that have no post text worth matching
+ * Reels carousels, the Stories tray, "People You May Know", suggested groups and follow suggestions.
+ * A module is recognized by its heading or aria-label, by links to several reels, or by a list of
+ * cards that each carry the same button. Stories are only recognized by their heading.
+ * Headings and button labels cover the Vietnamese and English Facebook UI; they are compared
+ * through normalizeText() from the content script, so diacritics and case don't matter.
+ */
+const FeedModules = {
+  TYPES: ['reels', 'stories', 'people', 'groups', 'follow'],
+  MIN_ITEMS: 2, // a single reel link is an ordinary post, a carousel links to several
+  MIN_CARDS: 3, // a reshare shows two Follow buttons (sharer and original page), a carousel more
+
+  // Normalized; the whole heading or aria-label must match
+  HEADINGS: {
+    reels: ['reels', 'reels and short videos', 'reels va video ngan', 'video ngan', 'short videos'],
+    stories: ['stories', 'create story', 'tao tin'],
+    people: ['people you may know', 'nhung nguoi ban co the biet', 'nguoi ban co the biet', 'friend suggestions', 'goi y ket ban'],
+    groups: ['suggested groups', 'groups you might like', 'nhom goi y', 'nhom goi y cho ban', 'nhom duoc de xuat', 'nhom ban co the thich'],
+    follow: ['people to follow', 'suggested pages', 'pages you may like', 'goi y theo doi', 'nguoi ban co the theo doi', 'trang ban co the thich']
+  },
+
+  // Only trusted as an aria-label: "tin" is also the Vietnamese word for news
+  LABELS: {
+    stories: ['tin']
+  },
+
+  // Each card in the module links to its own reel
+  LINK_PATTERNS: {
+    reels: /\/reels?\/[\w-]+/
+  },
+
+  // Each card in the module's list has one of these buttons
+  BUTTONS: {
+    people: ['add friend', 'them ban be', 'them ban'],
+    groups: ['join group', 'join', 'tham gia nhom', 'tham gia'],
+    follow: ['follow', 'theo doi']
+  },
+
+  /**
+   * Stored settings with every module type off unless switched on
+   * @param {Object} stored - { reels, stories, people, groups, follow }
+   * @returns {Object} { type: boolean }
+   */
+  settings(stored = {}) {
+    return Object.fromEntries(this.TYPES.map(type => [type, !!stored && stored[type] === true]));
+  },
+
+  anyEnabled(settings) {
+    return this.TYPES.some(type => settings[type]);
+  },
+
+  key(text) {
+    return normalizeText(text || '').replace(/\s+/g, ' ').trim().replace(/[\s:.!]+$/, '');
+  },
+
+  /**
+   * Module type of a feed unit, checking only the enabled types
+   * @param {Object} signals - { headings: string[], labels: string[], links: string[], cards: string[][] }
+   *   cards holds the button labels of each list item in the unit
+   * @param {Object} types - { type: boolean }, from settings()
+   * @returns {{type: string, signal: string}|null} signal is 'heading', 'links' or 'buttons'
+   */
+  classify(signals, types) {
+    const labels = (signals.labels || []).map(text => this.key(text));
+    const headings = [...(signals.headings || []).map(text => this.key(text)), ...labels];
+    const cards = (signals.cards || []).map(buttons => buttons.map(text => this.key(text)));
+    const links = signals.links || [];
+
+    for (const type of this.TYPES.filter(type => types[type])) {
+      if (headings.some(heading => this.HEADINGS[type].includes(heading)) ||
+          labels.some(label => (this.LABELS[type] || []).includes(label))) {
+        return { type, signal: 'heading' };
+      }
+
+      const pattern = this.LINK_PATTERNS[type];
+      if (pattern) {
+        const targets = new Set(links.map(link => (link.match(pattern) || [])[0]).filter(Boolean));
+        if (targets.size >= this.MIN_ITEMS) return { type, signal: 'links' };
+      }
+
+      const buttons = this.BUTTONS[type];
+      if (buttons && cards.filter(card => card.some(button => buttons.includes(button))).length >= this.MIN_CARDS) {
+        return { type, signal: 'buttons' };
+      }
+    }
+    return null;
+  }
+};
+
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================
+// Test Cases
+// ============================================
+
+console.log('\n=== Feed Modules Tests ===\n');
+
+const all = FeedModules.settings({ reels: true, stories: true, people: true, groups: true, follow: true });
+const typeOf = signals => (FeedModules.classify(signals, all) || {}).type || null;
+
+// Test 1: Settings
+test('Settings: every module type off unless switched on', () => {
+  const settings = FeedModules.settings();
+  assertEqual(Object.values(settings).some(Boolean), false);
+  assertEqual(FeedModules.anyEnabled(settings), false);
+  assertEqual(FeedModules.settings({ reels: true }).reels, true);
+  assertEqual(FeedModules.settings({ reels: 'yes' }).reels, false);
+  assertEqual(FeedModules.anyEnabled(FeedModules.settings(null)), false);
+});
+
+// Test 2: Headings in both UI languages
+test('Headings: English and Vietnamese UI', () => {
+  assertEqual(typeOf({ headings: ['Reels and short videos'] }), 'reels');
+  assertEqual(typeOf({ headings: ['Reels và video ngắn'] }), 'reels');
+  assertEqual(typeOf({ headings: ['People You May Know'] }), 'people');
+  assertEqual(typeOf({ headings: ['Những người bạn có thể biết'] }), 'people');
+  assertEqual(typeOf({ headings: ['Suggested groups'] }), 'groups');
+  assertEqual(typeOf({ headings: ['Nhóm gợi ý cho bạn'] }), 'groups');
+  assertEqual(typeOf({ headings: ['Pages you may like'] }), 'follow');
+});
+
+test('Headings: aria-labels count, the whole heading must match', () => {
+  assertEqual(typeOf({ labels: ['Stories'] }), 'stories');
+  assertEqual(typeOf({ headings: ['Reels:'] }), 'reels');
+  assertEqual(typeOf({ headings: ['Tin tức mới nhất về bóng đá'] }), null);
+  assertEqual(typeOf({ headings: ['My favourite reels of 2024'] }), null);
+});
+
+test('Headings: "Tin" only counts as the aria-label of the Stories tray', () => {
+  assertEqual(typeOf({ labels: ['Tin'] }), 'stories');
+  assertEqual(typeOf({ headings: ['Tin'] }), null);
+  assertEqual(typeOf({ headings: ['Tạo tin'] }), 'stories');
+});
+
+// Test 3: Repeated card links
+test('Links: a carousel links to several reels', () => {
+  const reels = ['https://www.facebook.com/reel/111', 'https://www.facebook.com/reel/222', 'https://www.facebook.com/reel/333'];
+  assertEqual(typeOf({ links: reels }), 'reels');
+});
+
+test('Links: story links alone are not the Stories tray', () => {
+  assertEqual(typeOf({ links: ['/stories/101/abc', '/stories/202/def', '/stories/303/ghi'] }), null);
+});
+
+test('Links: a post that is one reel is not a carousel', () => {
+  const links = ['https://www.facebook.com/reel/111', 'https://www.facebook.com/reel/111', 'https://www.facebook.com/profile.php?id=1'];
+  assertEqual(typeOf({ links }), null);
+});
+
+// Test 4: Repeated card buttons
+const cardsWith = (count, ...buttons) => Array.from({ length: count }, () => buttons);
+
+test('Buttons: a list of Add friend / Join / Follow cards', () => {
+  assertEqual(typeOf({ cards: cardsWith(3, 'Thêm bạn bè', 'Xóa') }), 'people');
+  assertEqual(typeOf({ cards: [...cardsWith(3, 'Add friend'), ['Follow']] }), 'people');
+  assertEqual(typeOf({ cards: cardsWith(4, 'Tham gia nhóm') }), 'groups');
+  assertEqual(typeOf({ cards: cardsWith(3, 'Join group') }), 'groups');
+  assertEqual(typeOf({ cards: cardsWith(3, 'Theo dõi') }), 'follow');
+});
+
+test('Buttons: one Follow or Join on an ordinary post is not a module', () => {
+  assertEqual(typeOf({ headings: ['Nguyễn Văn A'], cards: [] }), null);
+  assertEqual(typeOf({ cards: [['Join', 'Like', 'Comment', 'Share']] }), null);
+});
+
+test('Buttons: a reshared page post is not a follow module', () => {
+  // Sharer and original page each get a Follow button, outside any list
+  const reshare = {
+    headings: ['Nguyễn Văn A đã chia sẻ một bài viết', 'Trang Ẩm Thực Sài Gòn'],
+    labels: ['Trang Ẩm Thực Sài Gòn'],
+    links: ['https://www.facebook.com/amthucsaigon', 'https://www.facebook.com/nguyenvana'],
+    cards: []
+  };
+  assertEqual(typeOf(reshare), null);
+  // Even when the post body lays out two cards, a carousel needs at least three
+  assertEqual(typeOf({ ...reshare, cards: cardsWith(2, 'Theo dõi') }), null);
+  assertEqual(typeOf({ ...reshare, cards: cardsWith(2, 'Follow', 'Join') }), null);
+});
+
+// Test 5: Only enabled types
+test('Disabled types are not reported', () => {
+  const reelsOnly = FeedModules.settings({ reels: true });
+  assertEqual(FeedModules.classify({ headings: ['Stories'] }, reelsOnly), null);
+  assertEqual(FeedModules.classify({ cards: cardsWith(3, 'Add friend') }, FeedModules.settings({ follow: true })), null);
+  assertEqual(FeedModules.classify({ headings: ['Reels'] }, reelsOnly).signal, 'heading');
+});
+
+test('Empty signals', () => {
+  assertEqual(FeedModules.classify({}, all), null);
+});
+
+// ============================================
+// Results
+// ============================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
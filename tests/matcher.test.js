@@ -4,89 +4,829 @@
  */
 
 // Inline KeywordMatcher for testing (same as in content.js)
+const MAX_KEYWORDS = 5000;
+const MAX_PATTERN_SIZE = 1024 * 1024;
+const MATCH_MODES = ['word', 'prefix', 'substring'];
+const MAX_WEIGHT = 100;
+const DEFAULT_SCORE_THRESHOLD = 10;
+const KEYWORD_FIELDS = ['body', 'author', 'shared', 'preview', 'comments', 'alt', 'aria'];
+const DEFAULT_KEYWORD_FIELDS = ['body'];
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+
+function stripDiacritics(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeText(text) {
+  return stripDiacritics(text).toLowerCase();
+}
+
+const HOMOGLYPHS = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'г': 'r', 'е': 'e', 'і': 'i', 'ј': 'j', 'к': 'k', 'м': 'm', 'н': 'h',
+  'о': 'o', 'п': 'n', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'ԁ': 'd',
+  'ԛ': 'q', 'ԝ': 'w', 'ь': 'b',
+  // Greek
+  'α': 'a', 'β': 'b', 'γ': 'y', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+  // Symbols and leetspeak digits
+  '¥': 'y', '$': 's', '€': 'e', '£': 'l', '¢': 'c', '@': 'a',
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g'
+};
+const CANONICAL_SEPARATOR = '[^\\p{L}\\p{N}]';
+const CANONICAL_MIN_SPACED = 4;
+
+function canonicalize(text) {
+  return stripDiacritics(text.normalize('NFKC').toLowerCase())
+    .replace(/[^a-z\s]/g, ch => HOMOGLYPHS[ch] || ch)
+    .replace(/([\p{L}\p{N}])\1+/gu, '$1');
+}
+
+// Canonical letters only, so "c.r.y.p.t.o" and "crypto" share a key
+function canonicalKey(text) {
+  return canonicalize(text).replace(/[^\p{L}\p{N}]+/gu, '').replace(/(.)\1+/gu, '$1');
+}
+
+// Regex source matching the canonical text of a keyword, with separators allowed between
+// letters ("kiếm tiền" also matches "k.i.ế.m t-i-ề-n"). Repeats need no pattern, the canonical
+// text is already squeezed; every letter is a single step, so matching stays linear.
+// Short keywords keep their words, separators would let "ban" match "b a n h mi"
+function canonicalPattern(text) {
+  const words = canonicalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (canonicalKey(text).length < CANONICAL_MIN_SPACED) {
+    return words.map(escapeRegex).join(`${CANONICAL_SEPARATOR}{1,3}`);
+  }
+
+  // A letter ending one word and starting the next ("book keeper") is squeezed to one in "bookkeeper"
+  let source = '';
+  let previous = '';
+  for (const ch of words.join('')) {
+    const letter = escapeRegex(ch);
+    if (!previous) source += letter;
+    else if (ch === previous) source += `(?:${CANONICAL_SEPARATOR}{0,3}${letter})?`;
+    else source += `${CANONICAL_SEPARATOR}{0,3}${letter}`;
+    previous = ch;
+  }
+  return source;
+}
+
+const SURFACES = ['feed', 'groups', 'watch', 'marketplace', 'search'];
+
+function getSurface(path) {
+  if (path === '/' || path === '/home.php') return 'feed';
+  const first = path.split('/')[1];
+  return SURFACES.includes(first) ? first : null;
+}
+
+function matchesScope(scopes, path) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return true;
+
+  const surface = getSurface(path);
+  return scopes.some(scope => {
+    if (!scope.startsWith('/')) return scope === surface;
+    const pattern = scope.replace(/\/+$/, '').split('*').map(escapeRegex).join('[^/]*');
+    return new RegExp(`^${pattern}(?:/|$)`, 'i').test(path);
+  });
+}
+
+/**
+ * RuleExpression - Boolean keyword rules
+ * Syntax: "quoted phrase" or word, AND, OR, NOT, NEAR/n, parentheses.
+ * Operators are uppercase. Precedence: NOT > NEAR > AND > OR.
+ * "a NOT b" means "a AND NOT b"; NEAR/n = both terms within n words (NEAR alone = 10).
+ * e.g. "giveaway" AND ("share" OR "tag") NOT "official"
+ */
+const RuleExpression = {
+  MAX_LENGTH: 1000,
+  MAX_TERMS: 50,
+  MAX_NEAR: 50,
+  DEFAULT_NEAR: 10,
+
+  tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const ch = text[i];
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch });
+        i++;
+      } else if (ch === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) throw new Error('Missing closing quote');
+        const value = text.slice(i + 1, end).trim();
+        if (!value) throw new Error('Empty term ""');
+        tokens.push({ type: 'TERM', value });
+        i = end + 1;
+      } else {
+        const word = /^[^\s()"]+/.exec(text.slice(i))[0];
+        const near = /^NEAR(?:\/(\d+))?$/.exec(word);
+        if (near) {
+          tokens.push({ type: 'NEAR', distance: near[1] ? Number(near[1]) : this.DEFAULT_NEAR });
+        } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+          tokens.push({ type: word });
+        } else {
+          tokens.push({ type: 'TERM', value: word });
+        }
+        i += word.length;
+      }
+    }
+
+    return tokens;
+  },
+
+  /**
+   * Parse an expression into a tree of { op: 'TERM' | 'AND' | 'OR' | 'NOT' | 'NEAR', ... }
+   * @param {string} text
+   * @returns {Object} Expression tree
+   * @throws {Error} With a user-facing message when the expression is invalid
+   */
+  parse(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Expression required');
+    }
+    if (text.length > this.MAX_LENGTH) {
+      throw new Error(`Expression too long (max ${this.MAX_LENGTH} characters)`);
+    }
+
+    const tokens = this.tokenize(text);
+    let pos = 0;
+    const peek = () => tokens[pos] && tokens[pos].type;
+    const describe = token => (token.type === 'TERM' ? `"${token.value}"` : token.type);
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (peek() === 'OR') {
+        pos++;
+        node = { op: 'OR', left: node, right: parseAnd() };
+      }
+      return node;
+    };
+
+    const parseAnd = () => {
+      let node = parseUnary();
+      while (peek() === 'AND' || peek() === 'NOT') {
+        const op = tokens[pos++].type;
+        const operand = parseUnary();
+        node = { op: 'AND', left: node, right: op === 'NOT' ? { op: 'NOT', operand } : operand };
+      }
+      return node;
+    };
+
+    const parseUnary = () => {
+      if (peek() === 'NOT') {
+        pos++;
+        return { op: 'NOT', operand: parseUnary() };
+      }
+      return parseNear();
+    };
+
+    const parseNear = () => {
+      let node = parsePrimary();
+      while (peek() === 'NEAR') {
+        const { distance } = tokens[pos++];
+        if (distance < 1 || distance > this.MAX_NEAR) {
+          throw new Error(`NEAR distance must be between 1 and ${this.MAX_NEAR}`);
+        }
+        const right = parsePrimary();
+        if (!this.isPositional(node) || !this.isPositional(right)) {
+          throw new Error('NEAR needs a term (or terms joined by OR) on both sides');
+        }
+        node = { op: 'NEAR', distance, left: node, right };
+      }
+      return node;
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[pos++];
+      if (!token) throw new Error('Unexpected end of expression');
+      if (token.type === 'TERM') return { op: 'TERM', value: token.value };
+      if (token.type === '(') {
+        const node = parseOr();
+        if (peek() !== ')') throw new Error('Missing closing parenthesis');
+        pos++;
+        return node;
+      }
+      throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    const tree = parseOr();
+    if (pos < tokens.length) {
+      const token = tokens[pos];
+      throw new Error(token.type === 'TERM'
+        ? `Missing operator before ${describe(token)}`
+        : `Unexpected ${describe(token)}`);
+    }
+    if (this.terms(tree).length > this.MAX_TERMS) {
+      throw new Error(`Too many terms (max ${this.MAX_TERMS})`);
+    }
+    if (!this.requiresTerm(tree)) {
+      throw new Error('Expression must require at least one term (NOT alone matches almost everything)');
+    }
+
+    return tree;
+  },
+
+  /**
+   * Validate expression syntax
+   * @param {string} text
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validate(text) {
+    try {
+      this.parse(text);
+      return { valid: true, error: null };
+    } catch (e) {
+      return { valid: false, error: e.message };
+    }
+  },
+
+  isPositional(node) {
+    return node.op === 'TERM' || (node.op === 'OR' && this.isPositional(node.left) && this.isPositional(node.right));
+  },
+
+  // Can the expression only match when some term is present?
+  requiresTerm(node) {
+    switch (node.op) {
+      case 'TERM':
+      case 'NEAR':
+        return true;
+      case 'NOT':
+        return false;
+      case 'AND':
+        return this.requiresTerm(node.left) || this.requiresTerm(node.right);
+      default:
+        return this.requiresTerm(node.left) && this.requiresTerm(node.right);
+    }
+  },
+
+  // All TERM nodes, optionally skipping negated ones
+  terms(node, positiveOnly = false) {
+    if (node.op === 'TERM') return [node];
+    if (node.op === 'NOT') return positiveOnly ? [] : this.terms(node.operand, positiveOnly);
+    return [...this.terms(node.left, positiveOnly), ...this.terms(node.right, positiveOnly)];
+  },
+
+  /**
+   * Evaluate a parsed expression whose TERM nodes carry a global `regex`
+   * @param {Object} tree - From parse(), with term.regex set by the caller
+   * @param {string} text
+   * @returns {string|null} The first matched (non-negated) term, or null
+   */
+  match(tree, text) {
+    const cache = new Map();
+    let wordStarts = null;
+
+    // Word indexes where a term occurs, for NEAR
+    const positionsOf = term => {
+      if (!cache.has(term)) {
+        if (!wordStarts) {
+          wordStarts = [...text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)].map(m => m.index);
+        }
+        const positions = [...text.matchAll(term.regex)].map(m => {
+          let index = 0;
+          while (index < wordStarts.length && wordStarts[index] <= m.index) index++;
+          return index;
+        });
+        cache.set(term, positions);
+      }
+      return cache.get(term);
+    };
+
+    const positions = node => (node.op === 'TERM'
+      ? positionsOf(node)
+      : [...positions(node.left), ...positions(node.right)]);
+
+    const evaluate = node => {
+      switch (node.op) {
+        case 'TERM':
+          return positionsOf(node).length > 0;
+        case 'NOT':
+          return !evaluate(node.operand);
+        case 'AND':
+          return evaluate(node.left) && evaluate(node.right);
+        case 'OR':
+          return evaluate(node.left) || evaluate(node.right);
+        case 'NEAR': {
+          const right = positions(node.right);
+          return positions(node.left).some(a => right.some(b => Math.abs(a - b) <= node.distance));
+        }
+        default:
+          return false;
+      }
+    };
+
+    if (!evaluate(tree)) return null;
+    const matched = this.terms(tree, true).find(term => positionsOf(term).length > 0);
+    return matched ? matched.value : null;
+  }
+};
+
+const Wildcard = {
+  MAX_LENGTH: 200,
+  MAX_ALTERNATIVES: 20,
+  MAX_STARS: 3, // per alternative
+  STAR_LENGTH: 20, // letters matched by one "*"
+
+  alternatives(text) {
+    return text.split('|').map(alt => alt.trim());
+  },
+
+  /**
+   * Validate wildcard syntax
+   * @param {string} text
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validate(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return { valid: false, error: 'Pattern required' };
+    }
+    if (text.length > this.MAX_LENGTH) {
+      return { valid: false, error: `Pattern too long (max ${this.MAX_LENGTH} characters)` };
+    }
+
+    const alternatives = this.alternatives(text);
+    if (alternatives.length > this.MAX_ALTERNATIVES) {
+      return { valid: false, error: `Too many alternatives (max ${this.MAX_ALTERNATIVES})` };
+    }
+
+    for (const alt of alternatives) {
+      if (!alt) {
+        return { valid: false, error: 'Empty alternative next to "|"' };
+      }
+      if (!/[^*?\s]/.test(alt)) {
+        return { valid: false, error: `"${alt}" needs at least one letter besides * and ?` };
+      }
+      if ((alt.match(/\*+/g) || []).length > this.MAX_STARS) {
+        return { valid: false, error: `Too many * in "${alt}" (max ${this.MAX_STARS})` };
+      }
+    }
+
+    return { valid: true, error: null };
+  },
+
+  /**
+   * Regex source for a valid pattern, without word boundaries (the caller adds them)
+   * @param {string} text
+   * @param {Function} literal - Turns a literal chunk into regex source (default: escaped as is)
+   * @returns {string}
+   */
+  toPattern(text, literal = chunk => chunk.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) {
+    return this.alternatives(text).filter(Boolean).map(alt =>
+      alt.split(/(\*+|\?)/).map(part => {
+        if (part.startsWith('*')) return `[\\p{L}\\p{M}\\p{N}]{0,${this.STAR_LENGTH}}`;
+        if (part === '?') return '\\S';
+        return part ? literal(part) : '';
+      }).join('')
+    ).join('|');
+  }
+};
+
 class KeywordMatcher {
-  constructor(keywords = [], whitelist = []) {
+  constructor(keywords = [], whitelist = [], options = {}) {
     this.keywords = keywords;
     this.whitelist = whitelist;
-    this.compiledRegex = null;
+    this.options = {
+      disabledCategories: [],
+      caseSensitive: false,
+      ignoreDiacritics: false,
+      categoryScopes: {},
+      canonicalCategories: [],
+      scoreThreshold: DEFAULT_SCORE_THRESHOLD,
+      categoryThresholds: {}, // category -> threshold, overrides scoreThreshold
+      path: null, // current URL path; null = ignore scopes
+      ...options
+    };
+    this.plainGroups = [];
     this.regexPatterns = [];
-    this.whitelistRegex = null;
+    this.expressions = [];
+    this.whitelistRules = [];
+    this.nextExpiry = null;
     this.compile();
   }
 
   compile() {
-    this.compiledRegex = null;
+    this.plainGroups = [];
     this.regexPatterns = [];
-    this.whitelistRegex = null;
+    this.expressions = [];
+    this.whitelistRules = [];
+
+    const now = Date.now();
+    this.nextExpiry = this.keywords
+      .map(kw => this.expiresAt(kw))
+      .filter(time => time > now)
+      .reduce((min, time) => (min === null || time < min ? time : min), null);
 
-    if (this.keywords.length === 0) {
+    // Only compile unexpired keywords whose category is switched on and that apply to the current page
+    const activeKeywords = this.keywords.filter(kw =>
+      !this.isExpired(kw, now) && this.isCategoryActive(kw) && this.isInScope(kw)
+    );
+    if (activeKeywords.length === 0) {
       return;
     }
 
-    const plainKeywords = [];
-    for (const kw of this.keywords) {
-      const text = typeof kw === 'string' ? kw : kw.text;
+    // Safety: Limit keywords
+    const safeKeywords = activeKeywords.slice(0, MAX_KEYWORDS);
+    if (activeKeywords.length > MAX_KEYWORDS) {
+      console.warn(`[FB Blocker] Keyword limit: ${MAX_KEYWORDS}. Ignoring ${activeKeywords.length - MAX_KEYWORDS} keywords.`);
+    }
+
+    // Separate regex and plain keywords, plain ones grouped by case/fold mode
+    // 'diacritics' keywords are matched against diacritic-free text ("chính trị" -> "chinh tri"),
+    // 'canonical' ones against canonicalize(text), which is always lowercase
+    const plainBuckets = new Map();
+    for (const kw of safeKeywords) {
+      const fold = this.foldFor(kw);
+      const mode = this.matchModeFor(kw);
+      const fields = this.fieldsFor(kw);
+      const caseSensitive = fold !== 'canonical' && this.isCaseSensitive(kw);
+      const flags = caseSensitive ? 'gu' : 'giu';
+      const rawText = typeof kw === 'string' ? kw : kw.text;
       const isRegex = typeof kw === 'object' && kw.isRegex;
+      const isExpression = typeof kw === 'object' && !isRegex && kw.isExpression;
+      const isWildcard = typeof kw === 'object' && !isRegex && !isExpression && kw.isWildcard;
+      const entry = {
+        keyword: kw,
+        text: rawText,
+        category: typeof kw === 'object' ? (kw.category || 'default') : 'default',
+        source: isRegex ? 'regex' : isExpression ? 'expression' : isWildcard ? 'wildcard' : 'keyword',
+        weight: this.weightFor(kw)
+      };
 
       if (isRegex) {
         try {
-          this.regexPatterns.push(new RegExp(text, 'giu'));
+          const source = fold === 'diacritics' ? stripDiacritics(rawText) : rawText;
+          this.regexPatterns.push({ regex: new RegExp(source, flags), fold, fields, entry });
+        } catch (e) {
+          console.warn(`[FB Blocker] Invalid regex: ${rawText}`);
+        }
+      } else if (isExpression) {
+        try {
+          const tree = RuleExpression.parse(rawText);
+          for (const term of RuleExpression.terms(tree)) {
+            term.regex = this.compilePlain([this.patternFor(term.value, fold)], flags, mode);
+          }
+          this.expressions.push({ tree, fold, fields, entry });
         } catch (e) {
-          console.warn(`Invalid regex: ${text}`);
+          console.warn(`[FB Blocker] Invalid expression: ${rawText}`);
+        }
+      } else if (isWildcard) {
+        // Bounded by construction; literal chunks get the same folding as plain keywords
+        if (Wildcard.validate(rawText).valid) {
+          const pattern = Wildcard.toPattern(rawText, chunk => this.patternFor(chunk, fold));
+          const regex = this.compilePlain([pattern], flags, mode);
+          if (regex) this.regexPatterns.push({ regex, fold, fields, entry });
+        } else {
+          console.warn(`[FB Blocker] Invalid wildcard: ${rawText}`);
         }
       } else {
-        plainKeywords.push(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const key = `${flags}:${fold}:${mode}:${fields.join(',')}`;
+        if (!plainBuckets.has(key)) {
+          plainBuckets.set(key, { flags, fold, mode, fields, caseSensitive, keywords: [], lookup: new Map() });
+        }
+        const bucket = plainBuckets.get(key);
+        bucket.keywords.push(this.patternFor(rawText, fold));
+        bucket.lookup.set(this.lookupKey(rawText, fold, caseSensitive), entry);
       }
     }
 
-    if (plainKeywords.length > 0) {
-      // Unicode-aware word boundaries using lookahead/lookbehind
-      this.compiledRegex = new RegExp(`(?<![a-zA-Z0-9])(?:${plainKeywords.join('|')})(?![a-zA-Z0-9])`, 'giu');
+    for (const { flags, fold, mode, fields, caseSensitive, keywords, lookup } of plainBuckets.values()) {
+      const regex = this.compilePlain(keywords, flags, mode);
+      if (regex) {
+        this.plainGroups.push({ regex, fold, fields, caseSensitive, lookup });
+      }
     }
 
-    if (this.whitelist.length > 0) {
-      const whitelistTexts = this.whitelist.map(item => {
-        const text = typeof item === 'string' ? item : item.text;
-        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      });
-      this.whitelistRegex = new RegExp(`(?<![a-zA-Z0-9])(?:${whitelistTexts.join('|')})(?![a-zA-Z0-9])`, 'giu');
+    this.compileWhitelist();
+  }
+
+  // Plain whitelist entries share one regex per category limit, with a copy per fold mode
+  // used by any keyword; wildcard entries get the same copies, regex entries run on the raw text
+  compileWhitelist() {
+    if (this.whitelist.length === 0) return;
+
+    const rules = [...this.plainGroups, ...this.regexPatterns, ...this.expressions];
+    const folds = [null];
+    if (rules.some(r => r.fold === 'diacritics')) folds.push('diacritics');
+    if (rules.some(r => r.fold === 'canonical')) folds.push('canonical');
+
+    const plainGroups = new Map();
+    for (const item of this.whitelist) {
+      const text = typeof item === 'string' ? item : item.text;
+      if (!text) continue;
+      const categories = this.whitelistCategories(item);
+
+      if (typeof item === 'object' && item.isRegex) {
+        try {
+          this.whitelistRules.push({ regex: new RegExp(text, 'giu'), fold: null, categories });
+        } catch (e) {
+          console.warn(`[FB Blocker] Invalid whitelist regex: ${text}`);
+        }
+      } else if (typeof item === 'object' && item.isWildcard) {
+        if (!Wildcard.validate(text).valid) {
+          console.warn(`[FB Blocker] Invalid whitelist wildcard: ${text}`);
+          continue;
+        }
+        for (const fold of folds) {
+          const regex = this.compilePlain([Wildcard.toPattern(text, chunk => this.patternFor(chunk, fold))], 'giu');
+          if (regex) this.whitelistRules.push({ regex, fold, categories });
+        }
+      } else {
+        const key = categories ? categories.join(',') : '';
+        if (!plainGroups.has(key)) plainGroups.set(key, { categories, texts: [] });
+        plainGroups.get(key).texts.push(text);
+      }
+    }
+
+    for (const { categories, texts } of plainGroups.values()) {
+      for (const fold of folds) {
+        const regex = this.compilePlain(texts.map(t => this.patternFor(t, fold)), 'giu');
+        if (regex) this.whitelistRules.push({ regex, fold, categories });
+      }
+    }
+  }
+
+  // Categories a whitelist entry is limited to, or null for all of them
+  whitelistCategories(item) {
+    if (typeof item !== 'object' || !Array.isArray(item.categories) || item.categories.length === 0) {
+      return null;
+    }
+    return [...item.categories].sort();
+  }
+
+  // Escaped regex source for a plain keyword or expression term in a fold mode
+  patternFor(text, fold) {
+    if (fold === 'canonical') {
+      // Keywords made only of separators have no letters to spread out
+      return canonicalPattern(text) || escapeRegex(canonicalize(text));
     }
+    return escapeRegex(fold === 'diacritics' ? stripDiacritics(text) : text);
+  }
+
+  // Key that maps a matched substring back to its keyword
+  lookupKey(text, fold, caseSensitive) {
+    if (fold === 'canonical') return canonicalKey(text);
+    const folded = fold === 'diacritics' ? stripDiacritics(text) : text;
+    return caseSensitive ? folded : folded.toLowerCase();
+  }
+
+  // Compile escaped plain keywords into single regex
+  // Note: Using lookahead/lookbehind instead of \b for Vietnamese support
+  // \b only works with ASCII word characters, not Vietnamese/Unicode
+  // This approach: match keyword NOT preceded/followed by a letter, mark or digit of any script
+  // Modes: 'word' guards both sides, 'prefix' only the start, 'substring' neither
+  compilePlain(escapedKeywords, flags, mode = 'word') {
+    if (escapedKeywords.length === 0) return null;
+
+    // (?<!WORD_CHAR) = not preceded by a Unicode letter/mark/digit
+    // (?!WORD_CHAR) = not followed by one
+    const before = mode === 'substring' ? '' : `(?<!${WORD_CHAR})`;
+    const after = mode === 'word' ? `(?!${WORD_CHAR})` : '';
+    const pattern = `${before}(?:${escapedKeywords.join('|')})${after}`;
+
+    if (pattern.length > MAX_PATTERN_SIZE) {
+      console.error('[FB Blocker] Pattern too large. Reduce keywords.');
+      return null;
+    }
+    return new RegExp(pattern, flags);
   }
 
   matches(text) {
-    if (!text) return false;
-    if (!this.compiledRegex && this.regexPatterns.length === 0) return false;
+    return this.scan(text, false).length > 0;
+  }
 
-    // Check whitelist first
-    if (this.whitelistRegex) {
-      this.whitelistRegex.lastIndex = 0;
-      if (this.whitelistRegex.test(text)) {
-        return false;
+  /**
+   * First rule that matches text, with details for "why was this hidden"
+   * Weighted keywords are reported together as one 'score' match per category that reached its threshold:
+   * { keyword: null, category, source: 'score', term, score, threshold, breakdown: [{ text, term, weight }] }
+   * @returns {{keyword, text: string, category: string, source: 'keyword'|'regex'|'expression'|'wildcard'|'score', term: string}|null}
+   */
+  match(text) {
+    return this.scan(text, false)[0] || null;
+  }
+
+  /**
+   * All distinct rules found in text (empty when whitelisted)
+   * Every lookup takes a string (the body) or { body, author, shared, preview, comments, alt, aria }
+   * from getCachedFields; a keyword only sees the fields it lists, the whitelist sees all of them
+   * @returns {Array<{keyword, text: string, category: string, source: string, term: string}>}
+   */
+  matchAll(text) {
+    return this.scan(text, true);
+  }
+
+  scan(input, findAll) {
+    const fields = typeof input === 'string' ? { body: input } : (input || {});
+    if (!KEYWORD_FIELDS.some(field => fields[field])) return [];
+    if (this.plainGroups.length === 0 && this.regexPatterns.length === 0 && this.expressions.length === 0) return [];
+
+    // Join and fold lazily, once per field list: folding is only needed when a
+    // diacritic-insensitive or canonical group exists
+    const texts = new Map();
+    const textFor = (fold, ruleFields = KEYWORD_FIELDS) => {
+      const key = `${fold}:${ruleFields.join(',')}`;
+      if (!texts.has(key)) {
+        const raw = fold ? textFor(null, ruleFields) : ruleFields.map(field => fields[field]).filter(Boolean).join('\n');
+        texts.set(key, fold === 'canonical' ? canonicalize(raw) : fold === 'diacritics' ? stripDiacritics(raw) : raw);
       }
-    }
+      return texts.get(key);
+    };
 
-    // Check plain keywords
-    if (this.compiledRegex) {
-      this.compiledRegex.lastIndex = 0;
-      if (this.compiledRegex.test(text)) {
-        return true;
+    // Report the term as written in the post; diacritic folding keeps offsets for NFC text.
+    // Canonical text can be shorter (squeezed letters), so its own substring is reported
+    const termAt = (m, fold, ruleFields) => {
+      const text = textFor(null, ruleFields);
+      if (fold === 'diacritics' && textFor(fold, ruleFields).length === text.length) {
+        return text.substr(m.index, m[0].length);
+      }
+      return m[0];
+    };
+
+    // Check whitelist first - an entry for all categories means don't block,
+    // one limited to categories only excuses rules of those categories
+    const excused = new Set();
+    for (const { regex, fold, categories } of this.whitelistRules) {
+      if (categories && categories.every(category => excused.has(category))) continue;
+      regex.lastIndex = 0;
+      if (regex.test(textFor(fold))) {
+        if (!categories) return [];
+        categories.forEach(category => excused.add(category));
       }
     }
 
-    // Check regex patterns
-    for (const re of this.regexPatterns) {
-      re.lastIndex = 0;
-      if (re.test(text)) {
-        return true;
+    const found = [];
+    const seen = new Set();
+    const weighted = [];
+
+    // Hard-block rules can stop the scan early; weighted ones only count towards a score
+    const add = (entry, term) => {
+      if (entry.weight) {
+        weighted.push({ ...entry, term });
+        return false;
+      }
+      found.push({ ...entry, term });
+      return !findAll;
+    };
+
+    // Check plain keywords: map each matched substring back to its keyword
+    for (const { regex, fold, fields: ruleFields, caseSensitive, lookup } of this.plainGroups) {
+      regex.lastIndex = 0;
+      for (const m of textFor(fold, ruleFields).matchAll(regex)) {
+        // Unicode case folding can differ from toLowerCase(); never drop a real match
+        const entry = lookup.get(this.lookupKey(m[0], fold, caseSensitive)) || lookup.values().next().value;
+        if (!seen.has(entry)) {
+          seen.add(entry);
+          if (excused.has(entry.category)) continue;
+          if (add(entry, termAt(m, fold, ruleFields))) return found;
+        }
       }
     }
 
-    return false;
+    // Check regex and wildcard patterns
+    for (const { regex, fold, fields: ruleFields, entry } of this.regexPatterns) {
+      if (excused.has(entry.category)) continue;
+      regex.lastIndex = 0;
+      const m = regex.exec(textFor(fold, ruleFields));
+      if (m && add(entry, termAt(m, fold, ruleFields))) return found;
+    }
+
+    // Check boolean expressions
+    for (const { tree, fold, fields: ruleFields, entry } of this.expressions) {
+      if (excused.has(entry.category)) continue;
+      const term = RuleExpression.match(tree, textFor(fold, ruleFields));
+      if (term && add(entry, term)) return found;
+    }
+
+    for (const match of this.scoreMatches(weighted)) {
+      found.push(match);
+      if (!findAll) return found;
+    }
+
+    return found;
+  }
+
+  // Sum the weights of distinct weighted matches per category; one match per category at its threshold
+  scoreMatches(weighted) {
+    const byCategory = new Map();
+    for (const match of weighted) {
+      if (!byCategory.has(match.category)) byCategory.set(match.category, []);
+      byCategory.get(match.category).push(match);
+    }
+
+    const results = [];
+    for (const [category, matches] of byCategory) {
+      const score = matches.reduce((sum, m) => sum + m.weight, 0);
+      const threshold = this.thresholdFor(category);
+      if (score < threshold) continue;
+
+      matches.sort((a, b) => b.weight - a.weight);
+      results.push({
+        keyword: null,
+        text: matches[0].text,
+        category,
+        source: 'score',
+        term: matches[0].term,
+        score,
+        threshold,
+        breakdown: matches.map(({ text, term, weight }) => ({ text, term, weight }))
+      });
+    }
+    return results;
+  }
+
+  thresholdFor(category) {
+    const threshold = Number(this.options.categoryThresholds[category]);
+    if (threshold > 0) return threshold;
+    const global = Number(this.options.scoreThreshold);
+    return global > 0 ? global : DEFAULT_SCORE_THRESHOLD;
+  }
+
+  // Weight of a scored keyword, or null for keywords that block on their own
+  weightFor(kw) {
+    const weight = typeof kw === 'object' ? Number(kw.weight) : NaN;
+    return weight > 0 ? Math.min(weight, MAX_WEIGHT) : null;
+  }
+
+  // Expiry time in ms, or null for keywords that never expire
+  expiresAt(kw) {
+    const time = typeof kw === 'object' && kw.expiresAt ? Date.parse(kw.expiresAt) : NaN;
+    return Number.isNaN(time) ? null : time;
+  }
+
+  isExpired(kw, now = Date.now()) {
+    const time = this.expiresAt(kw);
+    return time !== null && time <= now;
+  }
+
+  isCategoryActive(kw) {
+    const category = typeof kw === 'object' ? (kw.category || 'default') : 'default';
+    return !this.options.disabledCategories.includes(category);
+  }
+
+  // Keyword scopes override the scopes of its category
+  isInScope(kw) {
+    if (this.options.path === null) return true;
+
+    const scopes = typeof kw === 'object' && Array.isArray(kw.scopes) && kw.scopes.length > 0
+      ? kw.scopes
+      : this.options.categoryScopes[typeof kw === 'object' ? (kw.category || 'default') : 'default'];
+    return matchesScope(scopes, this.options.path);
+  }
+
+  // A keyword's own flag (true or false) overrides the global setting; null or missing inherits it
+  isCaseSensitive(kw) {
+    const own = typeof kw === 'object' ? kw.caseSensitive : null;
+    return (own ?? this.options.caseSensitive) === true;
+  }
+
+  // Same rule for diacritic-insensitive mode, so a keyword can still tell "bán" from "ban"
+  ignoresDiacritics(kw) {
+    const own = typeof kw === 'object' ? kw.ignoreDiacritics : null;
+    return (own ?? this.options.ignoreDiacritics) === true;
+  }
+
+  // Whole word unless the keyword asks for prefix or substring matching
+  matchModeFor(kw) {
+    return typeof kw === 'object' && MATCH_MODES.includes(kw.matchMode) ? kw.matchMode : 'word';
+  }
+
+  // Canonical mode is switched on per keyword or per category
+  isCanonical(kw) {
+    const category = typeof kw === 'object' ? (kw.category || 'default') : 'default';
+    return (typeof kw === 'object' && kw.canonical === true) || this.options.canonicalCategories.includes(category);
+  }
+
+  // Fields a keyword is matched against, in KEYWORD_FIELDS order; none listed = the body
+  // ('text' is the older name of the body field)
+  fieldsFor(kw) {
+    const stored = typeof kw === 'object' && Array.isArray(kw.fields)
+      ? kw.fields.map(field => (field === 'text' ? 'body' : field))
+      : [];
+    const listed = KEYWORD_FIELDS.filter(field => stored.includes(field));
+    return listed.length > 0 ? listed : DEFAULT_KEYWORD_FIELDS;
   }
 
-  update(keywords, whitelist = []) {
+  // Canonical text already drops diacritics, so it wins over diacritic folding
+  foldFor(kw) {
+    if (this.isCanonical(kw)) return 'canonical';
+    return this.ignoresDiacritics(kw) ? 'diacritics' : null;
+  }
+
+  // Options are merged so callers can change one setting without repeating the rest
+  update(keywords, whitelist = [], options = {}) {
     this.keywords = keywords;
     this.whitelist = whitelist;
+    this.options = { ...this.options, ...options };
     this.compile();
   }
 
@@ -95,6 +835,167 @@ class KeywordMatcher {
   }
 }
 
+/**
+ * AuthorMatcher - Block or always show posts by author name or profile/page URL
+ * Entries containing "facebook.com", "profile.php" or starting with "/" are URLs,
+ * anything else is compared with the author's display name
+ */
+class AuthorMatcher {
+  constructor(blocked = [], allowed = []) {
+    this.update(blocked, allowed);
+  }
+
+  update(blocked = [], allowed = []) {
+    this.blocked = blocked.map(item => this.compileEntry(item)).filter(Boolean);
+    this.allowed = allowed.map(item => this.compileEntry(item)).filter(Boolean);
+  }
+
+  compileEntry(item) {
+    const text = (typeof item === 'string' ? item : item.text || '').trim();
+    if (!text) return null;
+
+    if (AuthorMatcher.isUrl(text)) {
+      return { text, url: AuthorMatcher.profileKey(text) };
+    }
+    return { text, name: normalizeText(text) };
+  }
+
+  /**
+   * @param {{name: string, url: string}|null} author - From the post header link
+   * @returns {{allowed: boolean, entry: {text: string}}|null} Allow list wins over block list
+   */
+  match(author) {
+    if (!author) return null;
+
+    const name = normalizeText(author.name || '').trim();
+    const url = author.url ? AuthorMatcher.profileKey(author.url) : null;
+    const hit = entry => entry.url ? entry.url === url : entry.name === name;
+
+    const allowedEntry = this.allowed.find(hit);
+    if (allowedEntry) return { allowed: true, entry: allowedEntry };
+
+    const blockedEntry = this.blocked.find(hit);
+    if (blockedEntry) return { allowed: false, entry: blockedEntry };
+
+    return null;
+  }
+
+  get count() {
+    return this.blocked.length + this.allowed.length;
+  }
+
+  static isUrl(text) {
+    return /facebook\.com|profile\.php|^\//i.test(text);
+  }
+
+  // "https://www.facebook.com/PageX/?ref=..." -> "pagex", ".../profile.php?id=123" -> "id:123"
+  static profileKey(url) {
+    try {
+      const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://www.facebook.com/${url.replace(/^.*facebook\.com\/?|^\//i, '')}`);
+      if (parsed.pathname.replace(/\/+$/, '') === '/profile.php') {
+        return `id:${parsed.searchParams.get('id')}`;
+      }
+      return decodeURIComponent(parsed.pathname).replace(/^\/+|\/+$/g, '').toLowerCase();
+    } catch (e) {
+      return url.toLowerCase();
+    }
+  }
+}
+
+/**
+ * DomainMatcher - Block posts that link to listed domains
+ * "example.com" matches example.com and www.example.com,
+ * "*.example.com" matches example.com and every subdomain.
+ * Facebook's outbound redirects (l.facebook.com/l.php?u=...) are unwrapped first.
+ */
+class DomainMatcher {
+  constructor(rules = [], whitelist = [], options = {}) {
+    this.update(rules, whitelist, { disabledCategories: [], ...options });
+  }
+
+  update(rules = [], whitelist = [], options = {}) {
+    this.rules = rules;
+    this.whitelist = whitelist;
+    this.options = { ...this.options, ...options };
+
+    this.entries = rules
+      .filter(rule => !this.options.disabledCategories.includes(rule.category || 'default'))
+      .map(rule => ({ ...DomainMatcher.parse(rule.text), rule }))
+      .filter(entry => entry.domain);
+    this.allowed = whitelist
+      .map(item => DomainMatcher.parse(typeof item === 'string' ? item : item.text))
+      .filter(entry => entry.domain);
+  }
+
+  /**
+   * @param {string[]} urls - Link hrefs found in a post
+   * @returns {{keyword: Object, text: string, term: string, category: string, source: string}|null}
+   */
+  match(urls) {
+    for (const url of urls) {
+      const host = DomainMatcher.hostOf(url);
+      if (!host || this.allowed.some(entry => DomainMatcher.covers(entry, host))) continue;
+
+      const entry = this.entries.find(e => DomainMatcher.covers(e, host));
+      if (entry) {
+        return {
+          keyword: entry.rule,
+          text: entry.rule.text,
+          term: host,
+          category: entry.rule.category || 'default',
+          source: 'domain'
+        };
+      }
+    }
+    return null;
+  }
+
+  get count() {
+    return this.entries.length;
+  }
+
+  static covers(entry, host) {
+    if (host === entry.domain || host === `www.${entry.domain}`) return true;
+    return entry.wildcard && host.endsWith(`.${entry.domain}`);
+  }
+
+  // "https://*.Example.com/path" -> { domain: "example.com", wildcard: true }
+  static parse(text) {
+    const raw = String(text || '').trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[/?#].*$/, '');
+    const wildcard = raw.startsWith('*.');
+    const host = raw.replace(/^\*\./, '').replace(/^www\./, '');
+
+    if (!/^([a-z0-9\u00a1-\uffff-]+\.)+[a-z0-9\u00a1-\uffff-]{2,}$/i.test(host)) {
+      return { domain: null, wildcard };
+    }
+    try {
+      // Punycode internationalized domains so they compare equal to link hosts
+      return { domain: new URL(`http://${host}`).hostname, wildcard };
+    } catch (e) {
+      return { domain: null, wildcard };
+    }
+  }
+
+  // Host of a link, unwrapping l.facebook.com/l.php?u=...; null for internal links
+  static hostOf(href) {
+    try {
+      let url = new URL(href, 'https://www.facebook.com');
+      if (/^(l|lm)\.facebook\.com$/.test(url.hostname) && url.searchParams.get('u')) {
+        url = new URL(url.searchParams.get('u'));
+      }
+      const host = url.hostname.toLowerCase();
+      if (!/^https?:$/.test(url.protocol) || /(^|\.)(facebook\.com|fb\.com|fb\.me|fbcdn\.net|messenger\.com)$/.test(host)) {
+        return null;
+      }
+      return host;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
 // Test utilities
 let passed = 0;
 let failed = 0;
@@ -188,8 +1089,7 @@ test('Multiple keywords: no match', () => {
 });
 
 // Test 4: Special Characters
-// Note: Word boundary \b doesn't work well with special chars at word edges
-// This is expected behavior - focus on alphanumeric keywords
+// Note: boundaries only look at letters/digits, so keywords may start or end with symbols
 test('Special chars: dot is escaped in middle of word', () => {
   const matcher = new KeywordMatcher(['test.com']);
   assertEqual(matcher.matches('visit test.com today'), true);
@@ -242,10 +1142,11 @@ test('Unicode: Vietnamese word matching', () => {
 });
 
 test('Unicode: Vietnamese should respect word boundary', () => {
-  const matcher = new KeywordMatcher(['bán']);
-  // Note: \b behavior with Vietnamese may vary
-  // This tests that the keyword is found
+  const matcher = new KeywordMatcher(['bán', 'đi']);
   assertEqual(matcher.matches('đang bán hàng'), true);
+  assertEqual(matcher.matches('đi chơi'), true);
+  assertEqual(matcher.matches('điện thoại'), false); // "ệ" is a letter, not a boundary
+  assertEqual(matcher.matches('mưabán'), false);
 });
 
 // Test 8: Update functionality
@@ -320,6 +1221,742 @@ test('Update: recompiles with whitelist', () => {
   assertEqual(matcher.matches('spam here'), false);
 });
 
+// Test 13: Category switches
+test('Categories: disabled category is not matched', () => {
+  const matcher = new KeywordMatcher(
+    [{ text: 'election', category: 'politics' }, { text: 'scam', category: 'spam' }],
+    [],
+    { disabledCategories: ['politics'] }
+  );
+  assertEqual(matcher.matches('election results'), false);
+  assertEqual(matcher.matches('total scam'), true);
+});
+
+test('Categories: string keywords belong to default category', () => {
+  const matcher = new KeywordMatcher(['spam'], [], { disabledCategories: ['default'] });
+  assertEqual(matcher.matches('this is spam'), false);
+});
+
+test('Categories: all categories disabled matches nothing', () => {
+  const matcher = new KeywordMatcher(
+    [{ text: 'spam', category: 'spam' }],
+    [],
+    { disabledCategories: ['spam'] }
+  );
+  assertEqual(matcher.matches('this is spam'), false);
+  assertEqual(matcher.count, 1);
+});
+
+test('Categories: update re-enables category and keeps other options', () => {
+  const keywords = [{ text: 'election', category: 'politics' }];
+  const matcher = new KeywordMatcher(keywords, [], { disabledCategories: ['politics'] });
+  assertEqual(matcher.matches('election day'), false);
+
+  matcher.update(keywords, []);
+  assertEqual(matcher.matches('election day'), false);
+
+  matcher.update(keywords, [], { disabledCategories: [] });
+  assertEqual(matcher.matches('election day'), true);
+});
+
+// Test 14: Case sensitivity
+test('Case sensitive: per-keyword flag keeps "AI" from matching "ai"', () => {
+  const matcher = new KeywordMatcher([{ text: 'AI', caseSensitive: true }]);
+  assertEqual(matcher.matches('new AI model'), true);
+  assertEqual(matcher.matches('ai ơi'), false);
+});
+
+test('Case sensitive: global setting applies to keywords without flag', () => {
+  const matcher = new KeywordMatcher(['ICE'], [], { caseSensitive: true });
+  assertEqual(matcher.matches('ICE raids'), true);
+  assertEqual(matcher.matches('ice cream'), false);
+});
+
+test('Case sensitive: mixed groups compile separately', () => {
+  const matcher = new KeywordMatcher([
+    { text: 'AI', caseSensitive: true },
+    { text: 'spam', caseSensitive: false }
+  ]);
+  assertEqual(matcher.matches('SPAM here'), true);
+  assertEqual(matcher.matches('say ai'), false);
+});
+
+test('Case sensitive: a keyword can opt out of the global setting', () => {
+  const matcher = new KeywordMatcher([{ text: 'spam', caseSensitive: false }, { text: 'ICE', caseSensitive: null }], [], { caseSensitive: true });
+  assertEqual(matcher.matches('SPAM here'), true);
+  assertEqual(matcher.matches('ICE raids'), true);
+  assertEqual(matcher.matches('ice cream'), false);
+});
+
+test('Case sensitive: regex keyword honors flag', () => {
+  const matcher = new KeywordMatcher([{ text: 'NFT\\d*', isRegex: true, caseSensitive: true }]);
+  assertEqual(matcher.matches('buy NFT2 now'), true);
+  assertEqual(matcher.matches('buy nft2 now'), false);
+});
+
+test('Case sensitive: toggling global setting via update', () => {
+  const matcher = new KeywordMatcher(['ICE']);
+  assertEqual(matcher.matches('ice cream'), true);
+
+  matcher.update(['ICE'], [], { caseSensitive: true });
+  assertEqual(matcher.matches('ice cream'), false);
+});
+
+// Test 15: Diacritic-insensitive mode
+test('Diacritics: per-keyword flag matches text typed without diacritics', () => {
+  const matcher = new KeywordMatcher([{ text: 'chính trị', ignoreDiacritics: true }]);
+  assertEqual(matcher.matches('bàn chuyện chinh tri'), true);
+  assertEqual(matcher.matches('bàn chuyện chính trị'), true);
+});
+
+test('Diacritics: off by default', () => {
+  const matcher = new KeywordMatcher(['chính trị']);
+  assertEqual(matcher.matches('bàn chuyện chinh tri'), false);
+});
+
+test('Diacritics: global setting folds keywords typed without diacritics too', () => {
+  const matcher = new KeywordMatcher(['tien ao'], [], { ignoreDiacritics: true });
+  assertEqual(matcher.matches('Đầu tư TIỀN ẢO ngay'), true);
+});
+
+test('Diacritics: đ is folded to d', () => {
+  const matcher = new KeywordMatcher(['đảng'], [], { ignoreDiacritics: true });
+  assertEqual(matcher.matches('tin dang moi'), true);
+  assertEqual(matcher.matches('dangerous'), false);
+});
+
+test('Diacritics: word boundary still applies after folding', () => {
+  const matcher = new KeywordMatcher(['bán'], [], { ignoreDiacritics: true });
+  assertEqual(matcher.matches('ban hang'), true);
+  assertEqual(matcher.matches('banh mi'), false);
+});
+
+test('Diacritics: a keyword can require exact diacritics when the global setting is on', () => {
+  const matcher = new KeywordMatcher([{ text: 'bán', ignoreDiacritics: false }, 'chính trị'], [], { ignoreDiacritics: true });
+  assertEqual(matcher.matches('bán hàng'), true);
+  assertEqual(matcher.matches('ban hang'), false);
+  assertEqual(matcher.matches('chinh tri'), true);
+});
+
+test('Diacritics: whitelist matches folded text', () => {
+  const matcher = new KeywordMatcher(
+    [{ text: 'chính trị', ignoreDiacritics: true }],
+    ['hội đồng thành phố']
+  );
+  assertEqual(matcher.matches('chinh tri hoi dong thanh pho'), false);
+  assertEqual(matcher.matches('chinh tri trung uong'), true);
+});
+
+test('Diacritics: combines with case sensitivity', () => {
+  const matcher = new KeywordMatcher([{ text: 'ĐẢNG', ignoreDiacritics: true, caseSensitive: true }]);
+  assertEqual(matcher.matches('DANG'), true);
+  assertEqual(matcher.matches('dang'), false);
+});
+
+// Test 16: matchAll returns matched keywords
+test('matchAll: returns each distinct matched keyword once', () => {
+  const spoiler = { text: 'finale', category: 'other', action: 'blur' };
+  const scam = { text: 'scam', category: 'spam', action: 'remove' };
+  const matcher = new KeywordMatcher([spoiler, scam, 'unused']);
+  const matched = matcher.matchAll('Finale spoiler: finale is a scam');
+  assertEqual(matched.length, 2);
+  assertEqual(matched[0].keyword, spoiler);
+  assertEqual(matched[1].keyword, scam);
+  assertEqual(matched[1].category, 'spam');
+});
+
+test('matchAll: maps folded and case-insensitive matches back to keyword', () => {
+  const kw = { text: 'Chính Trị', ignoreDiacritics: true };
+  const matcher = new KeywordMatcher([kw]);
+  const matched = matcher.matchAll('CHINH TRI hom nay');
+  assertEqual(matched.length, 1);
+  assertEqual(matched[0].keyword, kw);
+});
+
+test('matchAll: includes regex keywords', () => {
+  const kw = { text: 'sp[a@]m', isRegex: true, category: 'spam' };
+  const matcher = new KeywordMatcher([kw]);
+  const matched = matcher.matchAll('sp@m here');
+  assertEqual(matched.length, 1);
+  assertEqual(matched[0].keyword, kw);
+});
+
+test('matchAll: whitelisted text returns no matches', () => {
+  const matcher = new KeywordMatcher(['spam'], ['spam filter']);
+  assertEqual(matcher.matchAll('spam filter').length, 0);
+});
+
+// Test 17: Match details
+test('Match details: plain keyword reports term, category and source', () => {
+  const matcher = new KeywordMatcher([{ text: 'bitcoin', category: 'spam' }]);
+  const match = matcher.match('Mua BITCOIN ngay');
+  assertEqual(match.term, 'BITCOIN');
+  assertEqual(match.text, 'bitcoin');
+  assertEqual(match.category, 'spam');
+  assertEqual(match.source, 'keyword');
+});
+
+test('Match details: regex keyword reports pattern and matched text', () => {
+  const matcher = new KeywordMatcher([{ text: '\\d{10}', isRegex: true, category: 'spam' }]);
+  const match = matcher.match('Gọi 0912345678 ngay');
+  assertEqual(match.source, 'regex');
+  assertEqual(match.text, '\\d{10}');
+  assertEqual(match.term, '0912345678');
+});
+
+test('Match details: folded match reports term as written in the post', () => {
+  const matcher = new KeywordMatcher([{ text: 'chinh tri', ignoreDiacritics: true }]);
+  assertEqual(matcher.match('Bàn chuyện chính trị').term, 'chính trị');
+});
+
+test('Match details: no match returns null', () => {
+  const matcher = new KeywordMatcher(['spam']);
+  assertEqual(matcher.match('hello'), null);
+});
+
+// Test 18: Author rules
+test('Authors: blocks by display name, ignoring case and diacritics', () => {
+  const authors = new AuthorMatcher([{ id: '1', text: 'Trang Tin Nóng' }]);
+  const verdict = authors.match({ name: 'trang tin nong', url: '/somepage' });
+  assertEqual(verdict.allowed, false);
+  assertEqual(verdict.entry.text, 'Trang Tin Nóng');
+  assertEqual(authors.match({ name: 'Trang Tin Nóng 24h', url: '' }), null);
+});
+
+test('Authors: blocks by profile or page link', () => {
+  const authors = new AuthorMatcher([
+    'https://www.facebook.com/PageX',
+    'facebook.com/profile.php?id=123'
+  ]);
+  assertEqual(authors.match({ name: 'Anything', url: 'https://www.facebook.com/pagex/?__cft__=abc' }).allowed, false);
+  assertEqual(authors.match({ name: 'Someone', url: '/profile.php?id=123&__tn__=R' }).allowed, false);
+  assertEqual(authors.match({ name: 'Someone', url: '/profile.php?id=456' }), null);
+});
+
+test('Authors: always-show list wins over block list', () => {
+  const authors = new AuthorMatcher(['Bạn Thân'], ['facebook.com/ban.than']);
+  const verdict = authors.match({ name: 'Bạn Thân', url: 'https://www.facebook.com/ban.than' });
+  assertEqual(verdict.allowed, true);
+});
+
+test('Authors: empty entries are ignored', () => {
+  const authors = new AuthorMatcher(['', { text: '  ' }], []);
+  assertEqual(authors.count, 0);
+  assertEqual(authors.match({ name: '', url: '' }), null);
+});
+
+// Test 19: Surface scopes
+test('Scopes: surface detection from URL path', () => {
+  assertEqual(getSurface('/'), 'feed');
+  assertEqual(getSurface('/groups/123/posts/456'), 'groups');
+  assertEqual(getSurface('/marketplace/item/1'), 'marketplace');
+  assertEqual(getSurface('/some.profile'), null);
+});
+
+test('Scopes: URL patterns match whole path segments', () => {
+  assertEqual(matchesScope(['/groups/123'], '/groups/123/posts/9'), true);
+  assertEqual(matchesScope(['/groups/123'], '/groups/1234'), false);
+  assertEqual(matchesScope(['/groups/*/buy_sell'], '/groups/42/buy_sell'), true);
+  assertEqual(matchesScope([], '/anything'), true);
+});
+
+test('Scopes: keyword only active on its surfaces', () => {
+  const keywords = [{ text: 'iphone', scopes: ['feed'] }, 'scam'];
+  const onFeed = new KeywordMatcher(keywords, [], { path: '/' });
+  const onMarketplace = new KeywordMatcher(keywords, [], { path: '/marketplace' });
+  assertEqual(onFeed.matches('iphone 15 giá rẻ'), true);
+  assertEqual(onMarketplace.matches('iphone 15 giá rẻ'), false);
+  assertEqual(onMarketplace.matches('this is a scam'), true);
+});
+
+test('Scopes: category scopes apply unless the keyword has its own', () => {
+  const keywords = [
+    { text: 'bán', category: 'ads' },
+    { text: 'pass lại', category: 'ads', scopes: ['/groups/123'] }
+  ];
+  const matcher = new KeywordMatcher(keywords, [], {
+    categoryScopes: { ads: ['feed'] },
+    path: '/groups/123'
+  });
+  assertEqual(matcher.matches('cần bán xe'), false);
+  assertEqual(matcher.matches('pass lại xe'), true);
+});
+
+test('Scopes: update with new path recompiles active keywords', () => {
+  const matcher = new KeywordMatcher([{ text: 'spoiler', scopes: ['watch'] }], [], { path: '/' });
+  assertEqual(matcher.matches('spoiler alert'), false);
+  matcher.update(matcher.keywords, matcher.whitelist, { path: '/watch' });
+  assertEqual(matcher.matches('spoiler alert'), true);
+});
+
+// Test 20: Expiring keywords
+test('Expiry: expired keywords are skipped', () => {
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const matcher = new KeywordMatcher([
+    { text: 'finale', expiresAt: past },
+    { text: 'spoiler', expiresAt: future },
+    { text: 'scam', expiresAt: null }
+  ]);
+  assertEqual(matcher.matches('the finale aired'), false);
+  assertEqual(matcher.matches('spoiler ahead'), true);
+  assertEqual(matcher.matches('scam'), true);
+  assertEqual(matcher.nextExpiry, Date.parse(future));
+});
+
+test('Expiry: invalid dates never expire', () => {
+  const matcher = new KeywordMatcher([{ text: 'finale', expiresAt: 'someday' }]);
+  assertEqual(matcher.matches('finale'), true);
+  assertEqual(matcher.nextExpiry, null);
+});
+
+// Test 21: Linked domains
+test('Domains: plain rule matches the domain and www only', () => {
+  const domains = new DomainMatcher([{ text: 'bit.ly', category: 'spam' }]);
+  assertEqual(domains.match(['https://bit.ly/abc']).term, 'bit.ly');
+  assertEqual(domains.match(['https://www.bit.ly/abc']).category, 'spam');
+  assertEqual(domains.match(['https://x.bit.ly/abc']), null);
+  assertEqual(domains.match(['https://notbit.ly/abc']), null);
+});
+
+test('Domains: wildcard rule matches subdomains', () => {
+  const domains = new DomainMatcher([{ text: '*.example-news.vn' }]);
+  assertEqual(domains.match(['https://hot.example-news.vn/a']).term, 'hot.example-news.vn');
+  assertEqual(domains.match(['https://example-news.vn/']).source, 'domain');
+  assertEqual(domains.match(['https://example-news.vn.evil.com/']), null);
+});
+
+test('Domains: unwraps l.facebook.com redirects and ignores internal links', () => {
+  const domains = new DomainMatcher([{ text: 'example-news.vn' }]);
+  const wrapped = 'https://l.facebook.com/l.php?u=https%3A%2F%2Fexample-news.vn%2Fbai-viet&h=AT0abc';
+  assertEqual(domains.match([wrapped]).term, 'example-news.vn');
+  assertEqual(domains.match(['https://www.facebook.com/groups/123', '/profile.php?id=1']), null);
+});
+
+test('Domains: whitelist and disabled categories', () => {
+  const rules = [{ text: '*.example-news.vn', category: 'spam' }];
+  const domains = new DomainMatcher(rules, ['good.example-news.vn']);
+  assertEqual(domains.match(['https://good.example-news.vn/a']), null);
+  assertEqual(domains.match(['https://good.example-news.vn/a', 'https://bad.example-news.vn/b']).term, 'bad.example-news.vn');
+
+  domains.update(rules, [], { disabledCategories: ['spam'] });
+  assertEqual(domains.count, 0);
+});
+
+test('Domains: rule parsing', () => {
+  assertEqual(DomainMatcher.parse('https://WWW.Example.com/path').domain, 'example.com');
+  assertEqual(DomainMatcher.parse('*.example.com').wildcard, true);
+  assertEqual(DomainMatcher.parse('not a domain').domain, null);
+});
+
+// Test 22: Boolean expressions
+test('Expressions: AND / OR / NOT', () => {
+  const matcher = new KeywordMatcher([
+    { text: '"giveaway" AND ("share" OR "tag") NOT "official"', isExpression: true, category: 'spam' }
+  ]);
+  assertEqual(matcher.matches('Giveaway! Share this post to win'), true);
+  assertEqual(matcher.matches('Giveaway! Tag 3 friends'), true);
+  assertEqual(matcher.matches('Giveaway today only'), false);
+  assertEqual(matcher.matches('Official giveaway - share to enter'), false);
+
+  const match = matcher.match('giveaway: tag a friend');
+  assertEqual(match.source, 'expression');
+  assertEqual(match.term, 'giveaway');
+  assertEqual(match.category, 'spam');
+});
+
+test('Expressions: NEAR/n counts words between terms', () => {
+  const matcher = new KeywordMatcher([{ text: '"bitcoin" NEAR/5 "double"', isExpression: true }]);
+  assertEqual(matcher.matches('Send bitcoin and we double it'), true);
+  assertEqual(matcher.matches('Double your money, then later buy some shoes and maybe bitcoin'), false);
+});
+
+test('Expressions: terms use word boundaries and diacritic folding', () => {
+  const matcher = new KeywordMatcher([
+    { text: '"tặng quà" AND "chia sẻ"', isExpression: true, ignoreDiacritics: true }
+  ]);
+  assertEqual(matcher.matches('Tang qua mien phi, chia se ngay'), true);
+  assertEqual(matcher.matches('tặng quàx chia sẻ'), false);
+});
+
+test('Expressions: validation errors', () => {
+  assertEqual(RuleExpression.validate('"a" AND ("b" OR "c")').valid, true);
+  assertEqual(RuleExpression.validate('bitcoin NEAR double').valid, true);
+  assertEqual(RuleExpression.validate('"a" AND').valid, false);
+  assertEqual(RuleExpression.validate('"a" "b"').valid, false);
+  assertEqual(RuleExpression.validate('("a" OR "b"').valid, false);
+  assertEqual(RuleExpression.validate('"unclosed').valid, false);
+  assertEqual(RuleExpression.validate('NOT "a"').valid, false);
+  assertEqual(RuleExpression.validate('("a" AND "b") NEAR/3 "c"').valid, false);
+  assertEqual(RuleExpression.validate('"a" NEAR/0 "b"').valid, false);
+});
+
+test('Expressions: invalid stored expression is skipped', () => {
+  const matcher = new KeywordMatcher([{ text: '"a" AND', isExpression: true }, 'scam']);
+  assertEqual(matcher.matches('a scam'), true);
+  assertEqual(matcher.matchAll('a scam').length, 1);
+});
+
+// Test 23: Canonical (anti-obfuscation) matching
+test('Canonical: folds homoglyphs, leetspeak and repeats', () => {
+  assertEqual(canonicalize('CR¥PT0'), 'crypto');
+  assertEqual(canonicalize('сrурtо'), 'crypto'); // Cyrillic look-alikes
+  assertEqual(canonicalize('Kiếm tiềnnnn'), 'kiem tien');
+  assertEqual(canonicalKey('c.r.y.p.t.o'), 'crypto');
+});
+
+test('Canonical: English obfuscations match', () => {
+  const matcher = new KeywordMatcher([{ text: 'crypto', canonical: true }]);
+  assertEqual(matcher.matches('Invest in c.r.y.p.t.o today'), true);
+  assertEqual(matcher.matches('Best cr¥pt0 signals'), true);
+  assertEqual(matcher.matches('c r y p t o giveaway'), true);
+  assertEqual(matcher.matches('сrурtо'), true);
+  assertEqual(matcher.matches('CRYYYPTOOO'), true);
+  assertEqual(matcher.matches('cryptocurrency'), false);
+  assertEqual(matcher.matches('encrypt'), false);
+});
+
+test('Canonical: Vietnamese obfuscations match', () => {
+  const matcher = new KeywordMatcher([{ text: 'kiếm tiền', canonical: true, category: 'spam' }]);
+  assertEqual(matcher.matches('k i ế m t i ề n online'), true);
+  assertEqual(matcher.matches('K.I.Ế.M T.I.Ề.N'), true);
+  assertEqual(matcher.matches('kiem tien nhanh'), true);
+  assertEqual(matcher.matches('kiếmtiền'), true);
+  assertEqual(matcher.matches('k1ếm t1ền'), true);
+  assertEqual(matcher.matches('tìm kiếm việc'), false);
+
+  const match = matcher.match('Cách k-i-ế-m t-i-ề-n tại nhà');
+  assertEqual(match.text, 'kiếm tiền');
+  assertEqual(match.term, 'k-i-e-m t-i-e-n');
+});
+
+test('Canonical: switched on per category, reports the right keyword', () => {
+  const keywords = [
+    { text: 'casino', category: 'spam' },
+    { text: 'xổ số', category: 'spam' },
+    { text: 'bitcoin', category: 'default' }
+  ];
+  const matcher = new KeywordMatcher(keywords, [], { canonicalCategories: ['spam'] });
+  assertEqual(matcher.match('c@s1n0 online').text, 'casino');
+  assertEqual(matcher.match('x.ổ s.ố hôm nay').text, 'xổ số');
+  assertEqual(matcher.matches('b1tc01n'), false);
+
+  matcher.update(keywords, [], { canonicalCategories: [] });
+  assertEqual(matcher.matches('c@s1n0 online'), false);
+});
+
+test('Canonical: expressions and whitelist use the canonical text', () => {
+  const matcher = new KeywordMatcher([
+    { text: '"crypto" AND "x2"', isExpression: true, canonical: true },
+    { text: 'casino', canonical: true }
+  ], ['c@sino royale']);
+  assertEqual(matcher.matches('c.r.y.p.t.o x2 lợi nhuận'), true);
+  assertEqual(matcher.matches('c.r.y.p.t.o lợi nhuận'), false);
+  assertEqual(matcher.matches('casino royale'), false);
+  assertEqual(matcher.matches('c a s i n o'), true);
+});
+
+test('Canonical: short keywords do not match letters spread across words', () => {
+  const matcher = new KeywordMatcher([
+    { text: 'ban', canonical: true },
+    { text: 'sex', canonical: true },
+    { text: 'xổ số', canonical: true }
+  ]);
+  assertEqual(matcher.matches('Quán b a n h mi ngon'), false);
+  assertEqual(matcher.matches('Top 5 ex-members of the band'), false);
+  assertEqual(matcher.matches('s.e.x'), false);
+  assertEqual(matcher.matches('BAAAN'), true);
+  assertEqual(matcher.matches('5ex'), true);
+  assertEqual(matcher.matches('x0 s0 hôm nay'), true);
+});
+
+test('Canonical: a letter shared by two words matches with or without the break', () => {
+  const matcher = new KeywordMatcher([{ text: 'book keeper', canonical: true }]);
+  assertEqual(matcher.matches('Hiring a bookkeeper'), true);
+  assertEqual(matcher.matches('Hiring a book keeper'), true);
+  assertEqual(matcher.matches('Hiring a bookeeper'), true);
+});
+
+test('Canonical: long runs of separated letters are scanned in linear time', () => {
+  const matcher = new KeywordMatcher([{ text: 'crypto', canonical: true }]);
+  const started = Date.now();
+  assertEqual(matcher.matches('c.'.repeat(20000)), false);
+  assertEqual(matcher.matches('c r y p t '.repeat(4000)), false);
+  assert(Date.now() - started < 200, `took ${Date.now() - started} ms`);
+});
+
+// Test 24: Unicode boundaries and match modes
+test('Boundaries: Vietnamese letters next to the keyword', () => {
+  const matcher = new KeywordMatcher(['u', 'do', 'ca']);
+  assertEqual(matcher.matches('ưu đãi'), false);
+  assertEqual(matcher.matches('độ cao'), false);
+  assertEqual(matcher.matches('cả nhà'), false);
+  assertEqual(matcher.matches('cá'), false);
+  assertEqual(matcher.matches('do đó'), true);
+});
+
+test('Boundaries: decomposed (NFD) marks stay inside the word', () => {
+  const matcher = new KeywordMatcher(['ca']);
+  assertEqual(matcher.matches('cá'.normalize('NFD')), false);
+  assertEqual(matcher.matches('ca sĩ'.normalize('NFD')), true);
+});
+
+test('Boundaries: non-Latin scripts', () => {
+  const matcher = new KeywordMatcher(['спам', 'ok']);
+  assertEqual(matcher.matches('это спам!'), true);
+  assertEqual(matcher.matches('спамер'), false);
+  assertEqual(matcher.matches('okей'), false);
+  assertEqual(matcher.matches('ok123'), false);
+});
+
+test('Match modes: prefix and substring', () => {
+  const matcher = new KeywordMatcher([
+    { text: 'bitcoin', matchMode: 'prefix' },
+    { text: 'sale', matchMode: 'substring' },
+    { text: 'book' }
+  ]);
+  assertEqual(matcher.matches('bitcoins for sale'), true);
+  assertEqual(matcher.match('free bitcoins').term, 'bitcoin');
+  assertEqual(matcher.matches('mybitcoin wallet'), false);
+  assertEqual(matcher.match('wholesale prices').text, 'sale');
+  assertEqual(matcher.matches('facebook'), false);
+});
+
+test('Match modes: apply to expression terms and fold modes', () => {
+  const matcher = new KeywordMatcher([
+    { text: '"tiền" AND "đầu tư"', isExpression: true, matchMode: 'prefix', ignoreDiacritics: true },
+    { text: 'crypto', matchMode: 'prefix', canonical: true }
+  ]);
+  assertEqual(matcher.matches('tienao dau tu'), true);
+  assertEqual(matcher.matches('c.r.y.p.t.o.currency'), true);
+  assertEqual(matcher.matches('encrypted'), false);
+});
+
+test('Match modes: unknown mode falls back to whole word', () => {
+  const matcher = new KeywordMatcher([{ text: 'book', matchMode: 'bogus' }]);
+  assertEqual(matcher.matches('facebook'), false);
+  assertEqual(matcher.matches('a book'), true);
+});
+
+// Test 25: Wildcard patterns
+test('Wildcard: * matches letters within a word only', () => {
+  const matcher = new KeywordMatcher([{ text: 'free*', isWildcard: true }]);
+  assertEqual(matcher.matches('Get your freebie now'), true);
+  assertEqual(matcher.matches('free ship'), true);
+  assertEqual(matcher.match('freeship toàn quốc').term, 'freeship');
+  assertEqual(matcher.matches('carefree'), false);
+  assertEqual(matcher.match('freeship').source, 'wildcard');
+});
+
+test('Wildcard: ? matches exactly one character', () => {
+  const matcher = new KeywordMatcher([{ text: 'c?n', isWildcard: true }]);
+  assertEqual(matcher.matches('c@n you'), true);
+  assertEqual(matcher.matches('con'), true);
+  assertEqual(matcher.matches('cn'), false);
+  assertEqual(matcher.matches('coin'), false);
+});
+
+test('Wildcard: | alternatives with Vietnamese and diacritic folding', () => {
+  const matcher = new KeywordMatcher([
+    { text: 'kiếm tiền* | việc nhẹ lương cao', isWildcard: true, ignoreDiacritics: true }
+  ]);
+  assertEqual(matcher.matches('Viec nhe luong cao cho sinh vien'), true);
+  assertEqual(matcher.matches('kiem tienonline'), true);
+  assertEqual(matcher.matches('tìm việc'), false);
+});
+
+test('Wildcard: regex characters are literal', () => {
+  const matcher = new KeywordMatcher([{ text: 'a.b (c)', isWildcard: true }]);
+  assertEqual(matcher.matches('a.b (c)'), true);
+  assertEqual(matcher.matches('axb c'), false);
+});
+
+test('Wildcard: validation', () => {
+  assertEqual(Wildcard.validate('free*|giveaway').valid, true);
+  assertEqual(Wildcard.validate('*').valid, false);
+  assertEqual(Wildcard.validate('a||b').valid, false);
+  assertEqual(Wildcard.validate('a*b*c*d*').valid, false);
+  assertEqual(Wildcard.validate('x'.repeat(Wildcard.MAX_LENGTH + 1)).valid, false);
+});
+
+test('Wildcard: bounded patterns stay fast on hostile input', () => {
+  const matcher = new KeywordMatcher([{ text: 'a*a*a*b', isWildcard: true }]);
+  const start = Date.now();
+  assertEqual(matcher.matches('a'.repeat(5000)), false);
+  assert(Date.now() - start < 1000, 'Wildcard scan took too long');
+});
+
+test('Wildcard: invalid stored pattern is skipped', () => {
+  const matcher = new KeywordMatcher([{ text: '**', isWildcard: true }, 'scam']);
+  assertEqual(matcher.matchAll('** scam').length, 1);
+});
+
+// Test 26: Pattern and category-limited whitelist entries
+test('Whitelist: regex entry', () => {
+  const matcher = new KeywordMatcher(['sale'], [{ text: 'shop\\s+ABC', isRegex: true }]);
+  assertEqual(matcher.matches('sale at shop   abc'), false);
+  assertEqual(matcher.matches('sale today'), true);
+});
+
+test('Whitelist: wildcard entry uses diacritic folding when keywords do', () => {
+  const matcher = new KeywordMatcher([{ text: 'giảm giá', ignoreDiacritics: true }], [{ text: 'thời trang *', isWildcard: true }]);
+  assertEqual(matcher.matches('Giam gia 50% - Thoi trang ABC'), false);
+  assertEqual(matcher.matches('Giảm giá sốc'), true);
+});
+
+test('Whitelist: entry limited to a category only excuses that category', () => {
+  const keywords = [
+    { text: 'bầu cử', category: 'politics' },
+    { text: 'kiếm tiền', category: 'spam' }
+  ];
+  const matcher = new KeywordMatcher(keywords, [{ text: 'hội đồng thành phố', categories: ['politics'] }]);
+  assertEqual(matcher.matches('Hội đồng thành phố họp về bầu cử'), false);
+  assertEqual(matcher.matches('Bầu cử sắp tới'), true);
+
+  const match = matcher.match('Hội đồng thành phố: bầu cử và kiếm tiền online');
+  assertEqual(match.category, 'spam');
+  assertEqual(matcher.matchAll('Hội đồng thành phố: bầu cử và kiếm tiền online').length, 1);
+});
+
+test('Whitelist: unlimited entry still excuses every category', () => {
+  const matcher = new KeywordMatcher([
+    { text: 'bầu cử', category: 'politics' },
+    { text: 'kiếm tiền', category: 'spam' }
+  ], ['hội đồng thành phố', { text: 'x', categories: [] }]);
+  assertEqual(matcher.matches('Hội đồng thành phố: bầu cử và kiếm tiền'), false);
+});
+
+test('Whitelist: category limit applies to regex and expression rules', () => {
+  const matcher = new KeywordMatcher([
+    { text: '\\d{10}', isRegex: true, category: 'spam' },
+    { text: '"vote" AND "now"', isExpression: true, category: 'politics' }
+  ], [{ text: 'hotline', categories: ['spam', 'politics'] }]);
+  assertEqual(matcher.matches('hotline 0901234567, vote now'), false);
+  assertEqual(matcher.matches('call 0901234567'), true);
+});
+
+test('Whitelist: invalid regex entry is skipped', () => {
+  const matcher = new KeywordMatcher(['scam'], [{ text: '[bad', isRegex: true }]);
+  assertEqual(matcher.matches('scam [bad'), true);
+});
+
+// Test 27: Weighted scoring
+test('Score: weighted keywords alone stay under the threshold', () => {
+  const matcher = new KeywordMatcher([
+    { text: 'lãi suất', weight: 5, category: 'spam' },
+    { text: 'inbox', weight: 5, category: 'spam' },
+    { text: 'cam kết', weight: 3, category: 'spam' }
+  ]);
+  assertEqual(matcher.matches('Lãi suất ngân hàng tăng'), false);
+  assertEqual(matcher.matches('Lãi suất cao, cam kết'), false);
+});
+
+test('Score: summed weights reach the threshold', () => {
+  const matcher = new KeywordMatcher([
+    { text: 'lãi suất', weight: 5, category: 'spam' },
+    { text: 'inbox', weight: 6, category: 'spam' },
+    { text: 'cam kết', weight: 3, category: 'spam' }
+  ]);
+  const match = matcher.match('Lãi suất 5%/tháng, cam kết lợi nhuận, inbox ngay');
+  assertEqual(match.source, 'score');
+  assertEqual(match.category, 'spam');
+  assertEqual(match.score, 14);
+  assertEqual(match.threshold, 10);
+  assertEqual(match.term, 'inbox');
+  assertEqual(match.keyword, null);
+  assertEqual(match.breakdown.map(item => item.weight).join(','), '6,5,3');
+});
+
+test('Score: each distinct keyword counts once', () => {
+  const matcher = new KeywordMatcher([{ text: 'inbox', weight: 4 }]);
+  assertEqual(matcher.matches('inbox inbox inbox inbox'), false);
+});
+
+test('Score: hard-block keywords keep blocking on their own', () => {
+  const matcher = new KeywordMatcher([{ text: 'scam' }, { text: 'inbox', weight: 4 }]);
+  const matches = matcher.matchAll('scam, inbox');
+  assertEqual(matches.length, 1);
+  assertEqual(matches[0].source, 'keyword');
+  assertEqual(matcher.match('inbox scam').text, 'scam');
+});
+
+test('Score: per-category threshold overrides the global one', () => {
+  const keywords = [
+    { text: 'bầu cử', weight: 3, category: 'politics' },
+    { text: 'ứng viên', weight: 3, category: 'politics' },
+    { text: 'giveaway', weight: 3, category: 'spam' },
+    { text: 'share', weight: 3, category: 'spam' }
+  ];
+  const matcher = new KeywordMatcher(keywords, [], { scoreThreshold: 6, categoryThresholds: { politics: 8 } });
+  assertEqual(matcher.matches('Bầu cử: gặp gỡ ứng viên'), false);
+  assertEqual(matcher.match('Giveaway! Share now').category, 'spam');
+  // Weights of different categories are not added together
+  assertEqual(matcher.matches('Bầu cử giveaway'), false);
+});
+
+test('Score: weights work for regex and expression rules', () => {
+  const matcher = new KeywordMatcher([
+    { text: '\\d{10}', isRegex: true, weight: 5 },
+    { text: '"chuyển khoản" NEAR/3 "trước"', isExpression: true, weight: 5 }
+  ]);
+  assertEqual(matcher.matches('Gọi 0901234567'), false);
+  assertEqual(matcher.matches('Gọi 0901234567, chuyển khoản trước'), true);
+});
+
+// Test 28: Fields (body, author, shared post, link card, comments, alt text, aria-labels)
+test('Fields: keywords look at the body by default; a string is the body', () => {
+  const matcher = new KeywordMatcher([{ text: 'bitcoin' }]);
+  assertEqual(matcher.matches('Mua bitcoin ngay'), true);
+  assertEqual(matcher.matches({ body: 'Mua bitcoin ngay' }), true);
+  assertEqual(matcher.matches({ body: 'Ảnh đi chơi cuối tuần', comments: 'Bán bitcoin giá rẻ inbox' }), false);
+  assertEqual(matcher.matches({ body: 'Hay quá', author: 'Bitcoin Việt Nam đã chia sẻ một bài viết' }), false);
+  assertEqual(matcher.matches({ body: 'Xem này', shared: 'Bitcoin sắp tăng giá' }), false);
+});
+
+test('Fields: a keyword only sees the fields it lists', () => {
+  const matcher = new KeywordMatcher([
+    { text: 'sốc', fields: ['preview'] },
+    { text: 'meme', fields: ['alt'], isWildcard: true },
+    { text: 'lừa đảo', fields: ['body', 'comments'] },
+    { text: 'Trang Tin Nhanh', fields: ['author', 'shared'] }
+  ]);
+  assertEqual(matcher.matches({ body: 'Tin sốc quá mọi người' }), false);
+  assertEqual(matcher.match({ body: 'Đọc đi', preview: 'Tin sốc: sự thật về...' }).text, 'sốc');
+  assertEqual(matcher.matches('meme hay'), false);
+  assertEqual(matcher.match({ alt: "Có thể là hình ảnh về văn bản cho biết 'meme'" }).text, 'meme');
+  assertEqual(matcher.match({ body: 'Ảnh', comments: 'Shop này lừa đảo đấy' }).text, 'lừa đảo');
+  assertEqual(matcher.match({ body: 'Hay', author: 'A đã chia sẻ bài viết của Trang Tin Nhanh' }).term, 'Trang Tin Nhanh');
+});
+
+test('Fields: the older "text" field means body; unknown or empty lists fall back to body', () => {
+  const matcher = new KeywordMatcher([
+    { text: 'alpha', fields: ['text'] },
+    { text: 'beta', fields: [] },
+    { text: 'gamma', fields: ['photo'] }
+  ]);
+  assertEqual(matcher.matches('alpha'), true);
+  assertEqual(matcher.matches({ alt: 'alpha' }), false);
+  assertEqual(matcher.matches({ body: 'beta' }), true);
+  assertEqual(matcher.matches({ comments: 'beta gamma' }), false);
+  assertEqual(matcher.matches({ body: 'gamma' }), true);
+  assertEqual(matcher.matches({}), false);
+});
+
+test('Fields: expressions read the joined fields, the whitelist reads every field', () => {
+  const matcher = new KeywordMatcher(
+    [{ text: '"giảm giá" AND "inbox"', isExpression: true, fields: ['body', 'alt'] }],
+    ['hội chợ']
+  );
+  assertEqual(matcher.matches({ body: 'Giảm giá 50%', alt: 'Inbox ngay' }), true);
+  assertEqual(matcher.matches({ body: 'Giảm giá 50%', preview: 'Inbox ngay' }), false);
+  assertEqual(matcher.matches({ body: 'Giảm giá 50%', alt: 'Inbox ngay', comments: 'Hội chợ Tết' }), false);
+});
+
+test('Fields: terms keep their diacritics when matched in a folded field list', () => {
+  const matcher = new KeywordMatcher([{ text: 'chinh tri', ignoreDiacritics: true, fields: ['alt', 'aria'] }]);
+  assertEqual(matcher.match({ body: 'x', alt: 'Ảnh', aria: 'Bàn chuyện chính trị' }).term, 'chính trị');
+});
+
 // ============================================
 // Results
 // ============================================
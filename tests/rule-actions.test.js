@@ -0,0 +1,295 @@
+/**
+ * Rule Actions Tests
+ * Run with: node tests/rule-actions.test.js
+ * How actions from different rules combine is decided in filterContent, so content.js is loaded in a
+ * sandbox over a minimal DOM of plain feed units (no computed styles, no layout)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Minimal DOM: attribute/tag selectors joined by commas, enough for the post and label selectors
+class FakeElement {
+  constructor(tagName, attributes = {}, children = []) {
+    this.localName = tagName;
+    this.tagName = tagName.toUpperCase();
+    this.nodeType = 1;
+    this.attributes = { ...attributes };
+    this.dataset = {};
+    this.style = {};
+    this.parentElement = null;
+    this.childNodes = [];
+    this.ownText = '';
+    this.classes = new Set();
+    this.classList = {
+      add: (...names) => names.forEach(name => this.classes.add(name)),
+      remove: (...names) => names.forEach(name => this.classes.delete(name)),
+      contains: name => this.classes.has(name)
+    };
+    children.forEach(child => this.appendChild(typeof child === 'string' ? FakeElement.text(child) : child));
+  }
+
+  static text(data) {
+    const element = new FakeElement('#text');
+    element.nodeType = 3;
+    element.ownText = data;
+    return element;
+  }
+
+  get parentNode() {
+    return this.parentElement;
+  }
+
+  get children() {
+    return this.childNodes.filter(child => child.nodeType === 1);
+  }
+
+  get textContent() {
+    return this.nodeType === 3 ? this.ownText : this.ownText + this.childNodes.map(child => child.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.childNodes = [];
+    this.ownText = String(value);
+  }
+
+  set className(value) {
+    this.classes = new Set(String(value).split(/\s+/).filter(Boolean));
+  }
+
+  getAttribute(name) {
+    if (name.startsWith('data-')) {
+      const key = name.slice(5).replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+      if (key in this.dataset) return this.dataset[key];
+    }
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  hasAttribute(name) {
+    return this.getAttribute(name) !== null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  appendChild(child) {
+    child.parentElement = this;
+    this.childNodes.push(child);
+    return child;
+  }
+
+  insertBefore(child, reference) {
+    child.parentElement = this;
+    const index = this.childNodes.indexOf(reference);
+    this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, child);
+    return child;
+  }
+
+  remove() {
+    if (!this.parentElement) return;
+    this.parentElement.childNodes = this.parentElement.childNodes.filter(child => child !== this);
+    this.parentElement = null;
+  }
+
+  contains(other) {
+    for (let node = other; node; node = node.parentElement) {
+      if (node === this) return true;
+    }
+    return false;
+  }
+
+  addEventListener() {}
+
+  matches(selectors) {
+    return selectors.split(',').some(selector => this.matchesOne(selector.trim()));
+  }
+
+  // tag, .class and [attr], [attr="v"], [attr^="v"], [attr*="v"]; combinators never match
+  matchesOne(selector) {
+    if (this.nodeType !== 1 || /[\s>:]/.test(selector.replace(/\[[^\]]*\]/g, ''))) return false;
+    const tag = selector.match(/^[a-z][\w-]*/i);
+    if (tag && tag[0].toLowerCase() !== this.localName) return false;
+    for (const [, name] of selector.matchAll(/\.([\w-]+)/g)) {
+      if (!this.classes.has(name)) return false;
+    }
+    for (const [, name, operator, value] of selector.matchAll(/\[([\w-]+)(?:([\^*]?=)"([^"]*)")?\]/g)) {
+      const actual = this.getAttribute(name);
+      if (actual === null) return false;
+      if (operator === '=' && actual !== value) return false;
+      if (operator === '^=' && !actual.startsWith(value)) return false;
+      if (operator === '*=' && !actual.includes(value)) return false;
+    }
+    return true;
+  }
+
+  closest(selectors) {
+    for (let node = this; node; node = node.parentElement) {
+      if (node.matches(selectors)) return node;
+    }
+    return null;
+  }
+
+  descendants() {
+    return this.children.flatMap(child => [child, ...child.descendants()]);
+  }
+
+  querySelectorAll(selectors) {
+    return this.descendants().filter(element => element.matches(selectors));
+  }
+
+  querySelector(selectors) {
+    return this.querySelectorAll(selectors)[0] || null;
+  }
+}
+
+function loadContentScript(body) {
+  const pending = () => new Promise(() => {}); // storage never answers, so init() waits forever
+  const document = {
+    body,
+    createElement: tagName => new FakeElement(tagName),
+    querySelectorAll: selectors => body.querySelectorAll(selectors),
+    querySelector: selectors => body.querySelector(selectors),
+    getElementById: id => body.descendants().find(element => element.getAttribute('id') === id) || null
+  };
+  const context = {
+    console: { log() {}, error() {}, warn() {} },
+    Intl,
+    URL,
+    setTimeout,
+    clearTimeout,
+    crypto: { randomUUID: () => 'id' },
+    location: { pathname: '/' },
+    document,
+    window: { addEventListener() {} },
+    getComputedStyle: () => ({}),
+    chrome: {
+      i18n: { getMessage: () => '' },
+      storage: {
+        local: { get: pending, set: pending },
+        sync: { get: pending, set: pending },
+        onChanged: { addListener() {} }
+      },
+      runtime: { onMessage: { addListener() {} } }
+    }
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8'), context);
+  return context;
+}
+
+// One feed unit: header with a label, then the post message
+function feedUnit(label, message) {
+  return new FakeElement('div', { 'data-pagelet': 'FeedUnit_1' }, [
+    new FakeElement('div', { role: 'article' }, [
+      new FakeElement('h3', {}, [new FakeElement('a', { href: '/shopdemo' }, ['Shop Demo'])]),
+      new FakeElement('span', {}, [label]),
+      new FakeElement('div', { 'data-ad-preview': 'message' }, [message])
+    ])
+  ]);
+}
+
+function run(body, setup) {
+  const context = loadContentScript(body);
+  vm.runInContext(setup, context);
+  vm.runInContext('filterContent()', context);
+  return context;
+}
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================
+// Test Cases
+// ============================================
+
+console.log('\n=== Rule Actions Tests ===\n');
+
+const HIGHLIGHT_GIVEAWAY = `
+  matcher.update([{ text: 'giveaway', action: 'highlight' }], []);
+  applyBuiltInRules({});
+`;
+
+// Test 1: Highlight alone
+test('Highlight: marks the post without settling it', () => {
+  const unit = feedUnit('2 giờ', 'Big giveaway this weekend');
+  const body = new FakeElement('body', {}, [unit]);
+  run(body, HIGHLIGHT_GIVEAWAY);
+
+  assert(unit.classList.contains('fb-blocker-highlighted'), 'post should be highlighted');
+  assertEqual(unit.dataset.fbHighlighted, 'true');
+  assertEqual(unit.dataset.fbBlocked, undefined);
+  assertEqual(body.querySelectorAll('.fb-blocker-placeholder').length, 0);
+});
+
+// Test 2: Highlight plus a hiding rule
+test('Highlight + Sponsored label: the built-in rule still hides the post', () => {
+  const unit = feedUnit('Sponsored', 'Big giveaway this weekend');
+  const body = new FakeElement('body', {}, [unit]);
+  run(body, HIGHLIGHT_GIVEAWAY);
+
+  assertEqual(unit.dataset.fbBlocked, 'true');
+  assertEqual(unit.style.display, 'none');
+  assert(!unit.classList.contains('fb-blocker-highlighted'), 'hiding replaces the highlight');
+  assertEqual(unit.dataset.fbHighlighted, undefined);
+  assertEqual(body.querySelectorAll('.fb-blocker-placeholder').length, 1);
+});
+
+test('Highlight + Sponsored label: also when the label is only in aria-label', () => {
+  const unit = feedUnit('', 'Big giveaway this weekend');
+  unit.querySelector('span').setAttribute('aria-label', 'Được tài trợ');
+  const body = new FakeElement('body', {}, [unit]);
+  run(body, HIGHLIGHT_GIVEAWAY);
+
+  assertEqual(unit.dataset.fbBlocked, 'true');
+});
+
+// Test 3: Reset
+test('Reset: clears the highlight', () => {
+  const unit = feedUnit('2 giờ', 'Big giveaway this weekend');
+  const body = new FakeElement('body', {}, [unit]);
+  const context = run(body, HIGHLIGHT_GIVEAWAY);
+  vm.runInContext('resetHiddenPosts()', context);
+
+  assert(!unit.classList.contains('fb-blocker-highlighted'), 'highlight should be cleared');
+  assertEqual(unit.dataset.fbHighlighted, undefined);
+});
+
+// ============================================
+// Results
+// ============================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,212 @@
+/**
+ * Schedule Tests
+ * Run with: node tests/schedule.test.js
+ */
+
+// Inline Schedule for testing (same as in src/utils/schedule.js)
+/**
+ * Schedule - Turn the whole blocker or single categories on by time of day
+ * A rule is { id, target: 'all' | category, days: [0-6] (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }.
+ * A target with at least one rule is only active inside its windows.
+ * Windows whose end is before their start run past midnight.
+ */
+const Schedule = {
+  TIME_PATTERN: /^([01]\d|2[0-3]):[0-5]\d$/,
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  },
+
+  isValid(rule) {
+    return !!rule && typeof rule.target === 'string' &&
+      Array.isArray(rule.days) && rule.days.length > 0 &&
+      rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+      this.TIME_PATTERN.test(rule.start) && this.TIME_PATTERN.test(rule.end) &&
+      rule.start !== rule.end;
+  },
+
+  /**
+   * Is the rule's window open at the given time?
+   * @param {Object} rule - Valid schedule rule
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  isOpen(rule, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const start = this.toMinutes(rule.start);
+    const end = this.toMinutes(rule.end);
+
+    if (start < end) {
+      return rule.days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Overnight: evening part on a scheduled day, morning part on the day after
+    return (rule.days.includes(day) && minutes >= start) ||
+      (rule.days.includes((day + 6) % 7) && minutes < end);
+  },
+
+  rulesFor(schedules, target) {
+    return (schedules || []).filter(rule => rule.target === target && this.isValid(rule));
+  },
+
+  /**
+   * @param {Array} schedules - All schedule rules
+   * @param {string} target - 'all' or a category
+   * @param {Date} date
+   * @returns {boolean} true when the target has no rules or one of its windows is open
+   */
+  isActive(schedules, target, date = new Date()) {
+    const rules = this.rulesFor(schedules, target);
+    return rules.length === 0 || rules.some(rule => this.isOpen(rule, date));
+  },
+
+  // Targets that have at least one valid rule
+  targets(schedules) {
+    return [...new Set((schedules || []).filter(rule => this.isValid(rule)).map(rule => rule.target))];
+  },
+
+  /**
+   * Next time any window opens or closes
+   * @param {Array} schedules - All schedule rules
+   * @param {Date} date - Search after this time
+   * @param {string|null} target - Only look at this target's rules
+   * @returns {Date|null}
+   */
+  nextChange(schedules, date = new Date(), target = null) {
+    let next = null;
+    const rules = (schedules || []).filter(rule => this.isValid(rule) && (!target || rule.target === target));
+
+    for (const rule of rules) {
+      const start = this.toMinutes(rule.start);
+      let end = this.toMinutes(rule.end);
+      if (end < start) end += 24 * 60;
+
+      // Start at yesterday: an overnight window from yesterday may close today
+      for (let offset = -1; offset <= 7; offset++) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+        if (!rule.days.includes(day.getDay())) continue;
+
+        for (const minutes of [start, end]) {
+          const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+          if (time > date && (!next || time < next)) next = time;
+        }
+      }
+    }
+
+    return next;
+  },
+
+  /**
+   * Next time the target actually switches on or off (skips back-to-back windows)
+   * @returns {Date|null}
+   */
+  nextSwitch(schedules, target, date = new Date()) {
+    const current = this.isActive(schedules, target, date);
+    let time = date;
+
+    for (let i = 0; i < 50; i++) {
+      time = this.nextChange(schedules, time, target);
+      if (!time) return null;
+      if (this.isActive(schedules, target, time) !== current) return time;
+    }
+    return null;
+  }
+};
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================
+// Test Cases
+// ============================================
+
+console.log('\n=== Schedule Tests ===\n');
+
+// 2026-10-19 is a Monday
+const at = (day, hours, minutes = 0) => new Date(2026, 9, 19 + day, hours, minutes);
+const weekdays = { id: '1', target: 'all', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+const lateSpam = { id: '2', target: 'spam', days: [5], start: '22:00', end: '06:00' };
+
+// Test 1: Validation
+test('Validation: rejects missing days and equal times', () => {
+  assertEqual(Schedule.isValid(weekdays), true);
+  assertEqual(Schedule.isValid({ ...weekdays, days: [] }), false);
+  assertEqual(Schedule.isValid({ ...weekdays, end: '09:00' }), false);
+  assertEqual(Schedule.isValid({ ...weekdays, start: '9:00' }), false);
+  assertEqual(Schedule.isValid({ ...weekdays, days: [7] }), false);
+});
+
+// Test 2: Windows
+test('Windows: open between start and end on scheduled days', () => {
+  assertEqual(Schedule.isActive([weekdays], 'all', at(0, 8, 59)), false);
+  assertEqual(Schedule.isActive([weekdays], 'all', at(0, 9, 0)), true);
+  assertEqual(Schedule.isActive([weekdays], 'all', at(0, 17, 0)), false);
+  assertEqual(Schedule.isActive([weekdays], 'all', at(5, 12, 0)), false); // Saturday
+});
+
+test('Windows: overnight window continues into the next day', () => {
+  assertEqual(Schedule.isActive([lateSpam], 'spam', at(4, 23, 0)), true); // Friday night
+  assertEqual(Schedule.isActive([lateSpam], 'spam', at(5, 5, 59)), true); // Saturday morning
+  assertEqual(Schedule.isActive([lateSpam], 'spam', at(5, 6, 0)), false);
+  assertEqual(Schedule.isActive([lateSpam], 'spam', at(0, 5, 0)), false); // Monday morning
+});
+
+test('Windows: targets without rules are always active', () => {
+  assertEqual(Schedule.isActive([lateSpam], 'all', at(0, 3, 0)), true);
+  assertEqual(Schedule.isActive([], 'politics', at(0, 3, 0)), true);
+  assertEqual(Schedule.targets([weekdays, lateSpam, { target: 'ads' }]).join(','), 'all,spam');
+});
+
+// Test 3: Boundaries
+test('Boundaries: next change is the nearest start or end', () => {
+  assertEqual(Schedule.nextChange([weekdays, lateSpam], at(0, 8, 0)).getTime(), at(0, 9, 0).getTime());
+  assertEqual(Schedule.nextChange([weekdays, lateSpam], at(4, 18, 0)).getTime(), at(4, 22, 0).getTime());
+  assertEqual(Schedule.nextChange([lateSpam], at(5, 1, 0)).getTime(), at(5, 6, 0).getTime());
+  assertEqual(Schedule.nextChange([], at(0, 8, 0)), null);
+});
+
+test('Boundaries: next switch skips back-to-back windows', () => {
+  const morning = { ...weekdays, end: '12:00' };
+  const afternoon = { ...weekdays, id: '3', start: '12:00' };
+  assertEqual(Schedule.nextSwitch([morning, afternoon], 'all', at(0, 10, 0)).getTime(), at(0, 17, 0).getTime());
+  assertEqual(Schedule.nextSwitch([weekdays], 'all', at(4, 18, 0)).getTime(), at(7, 9, 0).getTime());
+});
+
+// ============================================
+// Results
+// ============================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}
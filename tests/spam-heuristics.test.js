@@ -0,0 +1,249 @@
+/**
+ * Spam Heuristics Tests
+ * Run with: node tests/spam-heuristics.test.js
+ */
+
+// Text helpers (same as in content.js)
+function normalizeText(text) {
+  return stripDiacritics(text).toLowerCase();
+}
+
+function stripDiacritics(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+// Inline SpamHeuristics for testing (same as in src/core/spam-heuristics.js)
+/**
+ * SpamHeuristics - Scores comments that look like bot replies, without any keyword list
+ * Signals (each can be switched off): contact details (links, phone numbers, Zalo/Telegram handles),
+ * emoji walls, the same text repeated in one thread, and known bot phrasing.
+ * Each signal adds 0-3 points; a comment reaching SPAM_SCORE is spam, so one strong signal is enough.
+ * Text is read through normalizeText() from the content script.
+ */
+const SpamHeuristics = {
+  SIGNALS: ['contacts', 'emoji', 'repeated', 'phrases'],
+  SPAM_SCORE: 3,
+  SHORT_COMMENT_WORDS: 15, // one contact detail in a comment this short is suspicious
+  MIN_REPEAT_LENGTH: 20, // "đẹp quá" repeated is normal, a repeated paragraph is not
+
+  LINK_PATTERN: /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|vn|ly|me|io|co|xyz|top|link|site|online|shop|info|click)\b(?:\/\S*)?/gu,
+  // Local (0...) or international (+...) numbers with optional spaces, dots or dashes; prices don't start with 0
+  PHONE_PATTERN: /(?:\+\d{1,3}|\b0)(?:[\s.-]?\d){8,10}\b/gu,
+  HANDLE_PATTERN: /\b(?:zalo|zl|telegram|tele|tg|whatsapp|viber)\s*[:.-]?\s*(?:@[a-z0-9_.]{3,}|\+?\d)/gu, // t.me/... counts as a link
+  EMOJI_PATTERN: /\p{Extended_Pictographic}/gu,
+
+  // Normalized (lowercase, no diacritics); matched as whole words
+  BOT_PHRASES: [
+    'ib minh', 'ib em', 'inbox minh', 'inbox em', 'check ib', 'check inbox',
+    'xem trang ca nhan', 'xem tuong nha', 'ket ban zalo', 'lien he zalo', 'add zalo',
+    'thu nhap thu dong', 'kiem tien online', 'viec nhe luong cao', 'lam viec tai nha',
+    'click vao link', 'bam vao link', 'link o bio', 'nhan qua mien phi',
+    'check my profile', 'dm me', 'message me on', 'link in bio', 'work from home',
+    'earn money online', 'passive income', 'contact me on whatsapp'
+  ],
+  phraseRegex: null, // built from BOT_PHRASES on first use
+
+  /**
+   * Stored settings with every signal on unless switched off
+   * @param {Object} stored - { enabled, signals: { contacts, emoji, repeated, phrases } }
+   * @returns {{enabled: boolean, signals: Object}}
+   */
+  settings(stored = {}) {
+    const signals = (stored && stored.signals) || {};
+    return {
+      enabled: !!stored && stored.enabled === true,
+      signals: Object.fromEntries(this.SIGNALS.map(signal => [signal, signals[signal] !== false]))
+    };
+  },
+
+  contactPoints(normalized) {
+    const contacts = ['LINK_PATTERN', 'PHONE_PATTERN', 'HANDLE_PATTERN']
+      .reduce((sum, key) => sum + (normalized.match(this[key]) || []).length, 0);
+    if (contacts === 0) return 0;
+    if (contacts >= 2) return 3;
+    const words = (normalized.match(/[\p{L}\p{N}]+/gu) || []).length;
+    return words <= this.SHORT_COMMENT_WORDS ? 2 : 1;
+  },
+
+  emojiPoints(text) {
+    const emoji = (text.match(this.EMOJI_PATTERN) || []).length;
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    const ratio = emoji / (emoji + letters || 1);
+    if (emoji >= 10 && ratio >= 0.5) return 3;
+    if (emoji >= 5 && ratio >= 0.25) return 2;
+    if (emoji >= 3 && ratio >= 0.1) return 1;
+    return 0;
+  },
+
+  repeatPoints(copies) {
+    if (copies >= 3) return 3;
+    return copies === 2 ? 2 : 0;
+  },
+
+  phrasePoints(normalized) {
+    if (!this.phraseRegex) {
+      const phrases = this.BOT_PHRASES.map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      this.phraseRegex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${phrases.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+    }
+    const hits = new Set(normalized.match(this.phraseRegex) || []).size;
+    if (hits === 0) return 0;
+    return hits >= 2 ? 3 : 2;
+  },
+
+  /**
+   * Key for counting copies of a comment in a thread, or null when it is too short to count
+   * @param {string} text
+   * @returns {string|null}
+   */
+  repeatKey(text) {
+    const key = normalizeText(text).replace(/\s+/g, ' ').trim();
+    return key.length >= this.MIN_REPEAT_LENGTH ? key : null;
+  },
+
+  /**
+   * Score a comment with the enabled signals
+   * @param {string} text
+   * @param {Object} signals - { signal: boolean }, from settings()
+   * @param {number} copies - Comments in the same thread with this text (1 = unique)
+   * @returns {{spam: boolean, score: number, signals: Array<{signal: string, points: number}>}}
+   */
+  evaluate(text, signals, copies = 1) {
+    const normalized = normalizeText(text);
+    const points = {
+      contacts: () => this.contactPoints(normalized),
+      emoji: () => this.emojiPoints(text),
+      repeated: () => this.repeatPoints(copies),
+      phrases: () => this.phrasePoints(normalized)
+    };
+
+    const fired = this.SIGNALS
+      .filter(signal => signals[signal])
+      .map(signal => ({ signal, points: points[signal]() }))
+      .filter(item => item.points > 0);
+    const score = fired.reduce((sum, item) => sum + item.points, 0);
+
+    return { spam: score >= this.SPAM_SCORE, score, signals: fired };
+  }
+};
+
+
+// Test utilities
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (error) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${error.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+// ============================================
+// Test Cases
+// ============================================
+
+console.log('\n=== Spam Heuristics Tests ===\n');
+
+const all = SpamHeuristics.settings({ enabled: true }).signals;
+const only = signal => Object.fromEntries(SpamHeuristics.SIGNALS.map(name => [name, name === signal]));
+const signalsOf = result => result.signals.map(item => `${item.signal}+${item.points}`).join(',');
+
+// Test 1: Settings
+test('Settings: off by default, every signal on unless switched off', () => {
+  const settings = SpamHeuristics.settings();
+  assertEqual(settings.enabled, false);
+  assertEqual(Object.values(settings.signals).every(Boolean), true);
+  assertEqual(SpamHeuristics.settings({ enabled: true, signals: { emoji: false } }).signals.emoji, false);
+  assertEqual(SpamHeuristics.settings(null).enabled, false);
+});
+
+// Test 2: Contact details
+test('Contacts: phone numbers, handles and links', () => {
+  assertEqual(signalsOf(SpamHeuristics.evaluate('Kết bạn Zalo 0912 345 678 nhé', only('contacts'))), 'contacts+3');
+  assertEqual(signalsOf(SpamHeuristics.evaluate('Gọi em 0912.345.678', only('contacts'))), 'contacts+2');
+  assertEqual(signalsOf(SpamHeuristics.evaluate('Xem tại t.me/freecoin', only('contacts'))), 'contacts+2');
+  assertEqual(signalsOf(SpamHeuristics.evaluate('Đơn giản là vào https://bit.ly/abc', only('contacts'))), 'contacts+2');
+});
+
+test('Contacts: prices, dates and chat about Zalo are not contacts', () => {
+  assertEqual(SpamHeuristics.evaluate('Giá 100.000.000đ nhé bạn', all).score, 0);
+  assertEqual(SpamHeuristics.evaluate('Ngày 2024-12-23 họp lúc 09:00', all).score, 0);
+  assertEqual(SpamHeuristics.evaluate('zalo cho mình với', all).score, 0);
+});
+
+test('Contacts: one link in a long comment is weak', () => {
+  const text = 'Mình đọc bài này thấy rất hay, mọi người có thể tham khảo thêm bài viết chi tiết hơn tại vnexpress.net nhé';
+  assertEqual(signalsOf(SpamHeuristics.evaluate(text, all)), 'contacts+1');
+  assertEqual(SpamHeuristics.evaluate(text, all).spam, false);
+});
+
+// Test 3: Emoji
+test('Emoji: walls are spam, a few emoji are not', () => {
+  assertEqual(SpamHeuristics.evaluate('😍😍😍😍😍😍😍😍😍😍😍', all).spam, true);
+  assertEqual(signalsOf(SpamHeuristics.evaluate('Đẹp quá 😍😍😍', all)), 'emoji+1');
+  assertEqual(SpamHeuristics.evaluate('Đẹp quá 😍', all).score, 0);
+});
+
+// Test 4: Repeated text
+test('Repeated: copies in the thread add points', () => {
+  const text = 'Sản phẩm tuyệt vời, mình đã dùng thử rồi';
+  assertEqual(SpamHeuristics.evaluate(text, all, 1).score, 0);
+  assertEqual(signalsOf(SpamHeuristics.evaluate(text, all, 2)), 'repeated+2');
+  assertEqual(SpamHeuristics.evaluate(text, all, 3).spam, true);
+});
+
+test('Repeated: short comments are not counted', () => {
+  assertEqual(SpamHeuristics.repeatKey('Đẹp quá'), null);
+  assertEqual(SpamHeuristics.repeatKey('  Sản phẩm   tuyệt vời, mình đã dùng '), 'san pham tuyet voi, minh da dung');
+});
+
+// Test 5: Bot phrasing
+test('Phrases: whole words, without diacritics', () => {
+  assertEqual(signalsOf(SpamHeuristics.evaluate('Ib em để biết thêm', all)), 'phrases+2');
+  assertEqual(SpamHeuristics.evaluate('Ib em nha, check inbox để nhận quà', all).spam, true);
+  assertEqual(SpamHeuristics.evaluate('Kiếm tiền online, xem trang cá nhân', all).spam, true);
+  assertEqual(SpamHeuristics.evaluate('Tôi là bác sĩ tim em bé', all).score, 0);
+});
+
+// Test 6: Signals combine
+test('Combined: weaker signals add up, switched-off signals are ignored', () => {
+  const text = 'Gọi em 0912.345.678 😍😍😍';
+  assertEqual(SpamHeuristics.evaluate(text, all).score, 3);
+  assertEqual(SpamHeuristics.evaluate(text, all).spam, true);
+  assertEqual(SpamHeuristics.evaluate(text, { ...all, emoji: false }).spam, false);
+  assertEqual(SpamHeuristics.evaluate('Mình đồng ý với bạn, bài viết rất hay và bổ ích', all).score, 0);
+});
+
+// ============================================
+// Results
+// ============================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+  process.exit(1);
+}